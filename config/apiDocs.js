@@ -0,0 +1,719 @@
+// API documentation metadata used by utils/openApi.js to build the OpenAPI
+// document served at /api/openapi.json. Paths, methods, request bodies and
+// query parameters of validated routes (config/requestSchemas.js), credential
+// fields and admin requirements come from the routes themselves; this file
+// adds summaries, response shapes, bodies of routes without a schema and the
+// error codes each route can return. Schemas use the format of
+// config/requestSchemas.js.
+
+// Every `code` an error response can carry, with its HTTP status(es)
+const ERROR_CODES = {
+  INVALID_JSON: { status: 400, description: 'The request body is not valid JSON' },
+  INVALID_INPUT: { status: 400, description: 'The request body or query failed validation; `errors` lists each failing field' },
+  TEXT_TOO_LONG: { status: 400, description: 'Text input is longer than 4000 characters' },
+  INVALID_API_KEY: { status: [400, 401], description: 'No provider credential was sent or configured (400), or the provider rejected it (401)' },
+  INVALID_CREDENTIALS: { status: 400, description: '`credentials` is not an object of provider -> { credentialId | apiKey }' },
+  UNKNOWN_PROVIDER: { status: 400, description: '`credentials` names a provider that does not exist' },
+  CREDENTIAL_PROVIDER_MISMATCH: { status: 400, description: '`credentialId`, or a credential in `credentials`, belongs to another provider than the one it is used for' },
+  INVALID_PROVIDER: { status: 400, description: 'Unknown provider for a new credential' },
+  INVALID_ID: { status: 400, description: 'The id in the path is malformed' },
+  INVALID_CURSOR: { status: 400, description: 'The pagination cursor is malformed' },
+  UNKNOWN_MODEL: { status: 400, description: 'A requested model key is not in the model registry' },
+  INVALID_MODEL_CONFIG: { status: 400, description: 'A model registry change is invalid; `problems` lists why' },
+  INVALID_TEMPLATE: { status: 400, description: 'A prompt template version is invalid; `problems` lists why' },
+  PROMPT_VARIABLES_MISSING: { status: 400, description: 'A prompt preview is missing required variables' },
+  INVALID_DATASET: { status: 400, description: 'An evaluation dataset is malformed; `problems` lists why' },
+  EVAL_TOO_MANY_CASES: { status: 400, description: 'More cases selected than one request may run (EVAL_MAX_CASES)' },
+  INVALID_SCOPE: { status: 400, description: 'A token was requested without scopes or with an unknown scope' },
+  INVALID_ROLE: { status: 400, description: 'The role is not owner, editor, responder or viewer' },
+  AUTHENTICATION_REQUIRED: { status: 401, description: 'No `Authorization: Bearer <token>` header was sent' },
+  INVALID_TOKEN: { status: 401, description: 'The bearer token is unknown, expired or revoked' },
+  INVALID_LOGIN: { status: 401, description: 'The email or password is incorrect' },
+  FORBIDDEN: { status: 403, description: 'Only the server admin key (ADMIN_API_KEY) may call this endpoint' },
+  INSUFFICIENT_SCOPE: { status: 403, description: 'The token lacks the scope this endpoint requires' },
+  WORKSPACE_MISMATCH: { status: 403, description: 'X-Workspace-Id names another workspace than the token belongs to' },
+  NOT_A_MEMBER: { status: 403, description: 'The signed-in user is not a member of the workspace named by X-Workspace-Id' },
+  USER_REQUIRED: { status: 403, description: 'The endpoint needs a session token of a signed-in user' },
+  CORS_NOT_ALLOWED: { status: 403, description: 'The request Origin is not an allowed frontend' },
+  REVIEW_NOT_FOUND: { status: 404, description: 'No review with this id in the workspace' },
+  SESSION_NOT_FOUND: { status: 404, description: 'No chat session with this id in the workspace' },
+  CREDENTIAL_NOT_FOUND: { status: 404, description: 'No credential with this id in the workspace' },
+  TOKEN_NOT_FOUND: { status: 404, description: 'No API token with this id in the workspace' },
+  BUSINESS_NOT_FOUND: { status: 404, description: 'No business profile with this id in the workspace' },
+  BRAND_VOICE_NOT_FOUND: { status: 404, description: 'No brand voice with this id in the workspace' },
+  USER_NOT_FOUND: { status: 404, description: 'No user with this id or email' },
+  MEMBER_NOT_FOUND: { status: 404, description: 'The user is not a member of the workspace' },
+  USE_CASE_NOT_FOUND: { status: 404, description: 'No models are configured for the use case' },
+  MODEL_NOT_FOUND: { status: 404, description: 'The model key is not in the registry' },
+  PROMPT_NOT_FOUND: { status: 404, description: 'No prompt template with this name' },
+  PROMPT_VERSION_NOT_FOUND: { status: 404, description: 'The template has no such version in the workspace' },
+  DATASET_NOT_FOUND: { status: 404, description: 'No evaluation dataset with this name' },
+  EVAL_RUN_NOT_FOUND: { status: 404, description: 'No stored evaluation run with this id in the workspace' },
+  NOT_FOUND: { status: 404, description: 'No endpoint matches the method and path' },
+  PROMPT_VERSION_CONFLICT: { status: 409, description: 'Another prompt version was published at the same time; retry' },
+  EMAIL_TAKEN: { status: 409, description: 'An account with this email already exists' },
+  WORKSPACE_TAKEN: { status: 409, description: 'The workspace slug is taken' },
+  MEMBER_EXISTS: { status: 409, description: 'The user is already a member of the workspace' },
+  LAST_OWNER: { status: 409, description: 'The last owner of a workspace cannot be removed or demoted' },
+  PAYLOAD_TOO_LARGE: { status: 413, description: 'The request body is larger than 10 MB' },
+  QUOTA_EXCEEDED: { status: 429, description: 'The provider quota is used up' },
+  RATE_LIMIT_EXCEEDED: { status: 429, description: 'The provider rate limit was hit; see Retry-After' },
+  TOO_MANY_REQUESTS: { status: 429, description: 'This client or its workspace used up the request budget of the route tier; see Retry-After and GET /api/quota' },
+  TOO_MANY_FAILED_ATTEMPTS: { status: 429, description: 'Too many failed sign-in or token attempts from this IP address, or failed sign-ins to this account; see Retry-After' },
+  TOKEN_LIMIT_EXCEEDED: { status: 429, description: 'This client or its workspace used up its LLM token budget; see Retry-After and GET /api/quota' },
+  INTERNAL_ERROR: { status: 500, description: 'Unexpected server error' },
+  CREDENTIAL_DECRYPT_FAILED: { status: 500, description: 'A stored credential could not be decrypted (was CREDENTIAL_MASTER_KEY changed?)' },
+  LLAMA_API_ERROR: { status: 500, description: 'The model call failed for another reason' },
+  ANALYSIS_ERROR: { status: 500, description: 'Voice analysis failed' },
+  REVIEW_GENERATION_ERROR: { status: 500, description: 'Review generation failed' },
+  LOCATION_SUGGESTION_ERROR: { status: 500, description: 'Location suggestion failed' },
+  CUSTOMER_SERVICE_ERROR: { status: 500, description: 'Customer service response generation failed' },
+  ENHANCED_LLM_ERROR: { status: 500, description: 'Enhanced response generation failed' },
+  QUALITY_ANALYSIS_ERROR: { status: 500, description: 'Response quality analysis failed' },
+  MODEL_COMPARISON_ERROR: { status: 500, description: 'Model comparison failed' },
+  STREAM_ERROR: { status: 500, description: 'A stream failed after its first event; sent as an SSE `error` event' },
+  BLOG_GENERATION_ERROR: { status: 500, description: 'Blog post generation failed' },
+  REVIEWS_ERROR: { status: 500, description: 'Reading or writing reviews failed' },
+  MODELS_ERROR: { status: 500, description: 'Reading the model registry failed' },
+  SESSION_ERROR: { status: 500, description: 'Chat session storage failed' },
+  CREDENTIAL_ERROR: { status: 500, description: 'Credential storage or resolution failed' },
+  PROMPT_ERROR: { status: 500, description: 'Prompt template storage failed' },
+  USAGE_ERROR: { status: 500, description: 'Usage reporting failed' },
+  EVALUATION_ERROR: { status: 500, description: 'The evaluation failed' },
+  QUOTA_ERROR: { status: 500, description: 'Reading the rate limit counters failed' },
+  TOKEN_ERROR: { status: 500, description: 'API token storage failed' },
+  ACCOUNT_ERROR: { status: 500, description: 'Account, workspace or membership storage failed' },
+  BUSINESS_ERROR: { status: 500, description: 'Business profile storage failed' },
+  BRAND_VOICE_ERROR: { status: 500, description: 'Brand voice storage failed' },
+  UPSTREAM_ERROR: { status: 502, description: 'The provider failed or could not be reached' },
+  INVALID_MODEL_OUTPUT: { status: 502, description: 'The model did not return valid JSON, even after a repair attempt; see `parseErrors`' },
+  ADMIN_DISABLED: { status: 503, description: 'Server admin endpoints are disabled because ADMIN_API_KEY is not set' },
+  DATABASE_UNAVAILABLE: { status: 503, description: 'The endpoint needs MongoDB, which is not connected' },
+  VAULT_NOT_CONFIGURED: { status: 503, description: 'Credential storage needs CREDENTIAL_MASTER_KEY' },
+  PROVIDER_UNAVAILABLE: { status: 503, description: 'The provider circuit breaker is open; retry after Retry-After seconds' },
+  UPSTREAM_TIMEOUT: { status: 504, description: 'The provider did not respond in time' }
+};
+
+// Codes added automatically by route middleware (see utils/openApi.js):
+// credential resolution and provider calls, `credentials` maps, `businessId`, bearer token
+// authentication, scope, membership, signed-in user and server admin checks, rate limits (generation
+// routes also have a token budget)
+const PROVIDER_ERRORS = ['INVALID_API_KEY', 'CREDENTIAL_NOT_FOUND', 'CREDENTIAL_PROVIDER_MISMATCH', 'QUOTA_EXCEEDED', 'RATE_LIMIT_EXCEEDED', 'UPSTREAM_ERROR', 'PROVIDER_UNAVAILABLE', 'UPSTREAM_TIMEOUT'];
+const CREDENTIAL_MAP_ERRORS = ['INVALID_CREDENTIALS', 'UNKNOWN_PROVIDER', 'CREDENTIAL_PROVIDER_MISMATCH'];
+const BUSINESS_ERRORS = ['INVALID_INPUT', 'BUSINESS_NOT_FOUND', 'BUSINESS_ERROR'];
+const AUTH_ERRORS = ['AUTHENTICATION_REQUIRED', 'INVALID_TOKEN', 'WORKSPACE_MISMATCH', 'TOO_MANY_FAILED_ATTEMPTS', 'DATABASE_UNAVAILABLE'];
+const SCOPE_ERRORS = ['INSUFFICIENT_SCOPE', 'NOT_A_MEMBER'];
+const USER_ERRORS = ['USER_REQUIRED'];
+const ADMIN_ERRORS = ['FORBIDDEN', 'ADMIN_DISABLED'];
+const RATE_LIMIT_ERRORS = ['TOO_MANY_REQUESTS'];
+const GENERATION_LIMIT_ERRORS = ['TOO_MANY_REQUESTS', 'TOKEN_LIMIT_EXCEEDED'];
+
+// Shared response pieces
+const usage = {
+  type: 'object',
+  description: 'Token usage reported by the provider',
+  properties: {
+    prompt_tokens: { type: 'number' },
+    completion_tokens: { type: 'number' },
+    total_tokens: { type: 'number' }
+  }
+};
+
+const success = (properties, description) => ({
+  type: 'object',
+  description,
+  properties: {
+    success: { type: 'boolean', description: 'Always true' },
+    ...properties
+  }
+});
+
+const generation = (properties) => success({
+  ...properties,
+  usage,
+  model: { type: 'string', description: 'Provider model id that answered' },
+  timestamp: { type: 'string', description: 'ISO 8601 time of the response' }
+});
+
+const object = (description) => ({ type: 'object', description });
+const list = (description, items = { type: 'object' }) => ({ type: 'array', items, description });
+const text = (description) => ({ type: 'string', description });
+
+const parseStatus = { type: 'string', enum: ['ok', 'coerced', 'repaired'], description: 'How the model JSON was parsed' };
+
+const review = object('Stored review: review, sentiment, aiResponse, handledBy, type, extra, createdAt');
+const session = object('Chat session: id, title, messageCount, lastMessageAt, createdAt (and messages when fetched by id)');
+const credential = object('Credential metadata: id, provider, label, isDefault, lastUsedAt, createdAt (never the key)');
+const apiToken = object('API token metadata: id, workspace, name, prefix, scopes, expiresAt, revokedAt, lastUsedAt, createdAt');
+const user = object('User: id, email, name, createdAt');
+const business = object('Business profile: id, name, category, cuisine, address, hours, menuHighlights, usps, contactChannels, brandVoiceId, createdAt, updatedAt');
+const brandVoice = object('Brand voice: id, name, tone, formality, emojiPolicy, bannedWords, requiredPhrases, samples, isDefault, createdAt, updatedAt');
+const brandVoiceCheck = {
+  type: 'object',
+  nullable: true,
+  description: 'The text checked against the brand voice that applied: brandVoice (id, name), compliant and violations ' +
+    '(rule: banned_word, required_phrase, emoji or formality; message; term). Null when no voice applied.'
+};
+const workspace = object('Workspace: slug (the X-Workspace-Id value), name, role of the user, createdAt');
+const member = object('Member: user, role, createdAt');
+const signIn = object('Session token: token (send as `Authorization: Bearer <token>`) and expiresAt');
+const run = object('Evaluation run: id, name, dataset, task, config, summary, results, startedAt, completedAt');
+
+const OPERATIONS = {
+  'GET /api/test': {
+    tag: 'System',
+    summary: 'Check that the server is running',
+    response: success({ message: text(), timestamp: text(), environment: text() })
+  },
+  'GET /api/health': {
+    tag: 'System',
+    summary: 'Health check with provider circuit breaker state',
+    response: {
+      type: 'object',
+      properties: {
+        status: text('OK'),
+        timestamp: text(),
+        uptime: { type: 'number', description: 'Seconds since start' },
+        environment: text(),
+        apiKeyConfigured: { type: 'boolean', description: 'Whether NVIDIA_API_KEY is set' },
+        mockMode: { type: 'boolean', description: 'Whether LLM calls are answered by the mock provider' },
+        providers: object('Circuit breaker state per provider')
+      }
+    }
+  },
+  'GET /api/openapi.json': {
+    tag: 'System',
+    summary: 'This OpenAPI document',
+    response: object('OpenAPI 3 document')
+  },
+  'GET /api/docs': {
+    tag: 'System',
+    summary: 'Interactive API documentation',
+    contentType: 'text/html',
+    response: text('Swagger UI page')
+  },
+
+  'GET /api/llama': {
+    tag: 'Conversation',
+    summary: 'Check that the Llama endpoint is reachable',
+    response: success({ message: text(), method: text(), timestamp: text() })
+  },
+  'POST /api/llama': {
+    tag: 'Conversation',
+    summary: 'Conversational response',
+    description: 'With `sessionId`, history is loaded from and saved to the chat session instead of `conversationHistory`.',
+    stream: true,
+    response: generation({
+      response: text('Assistant reply'),
+      sessionId: text('Chat session the exchange was saved to (when sessionId was sent)'),
+      qualityAnalysis: object('overallScore, metrics, strengths, weaknesses, suggestions'),
+      brandVoiceCheck
+    }),
+    errors: ['SESSION_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'LLAMA_API_ERROR']
+  },
+
+  'POST /api/voice/analyze': {
+    tag: 'Voice',
+    summary: 'Analyze a voice transcript',
+    response: generation({
+      analysis: object('sentiment, confidence, keyPoints, suggestedRating, tone and more (config/outputSchemas.js)'),
+      parseStatus,
+      provider: text('Model display name')
+    }),
+    errors: ['INVALID_MODEL_OUTPUT', 'ANALYSIS_ERROR']
+  },
+  'POST /api/voice/generate-review': {
+    tag: 'Voice',
+    summary: 'Generate a review from a voice transcript',
+    description: 'The review is saved to the database when it is connected.',
+    response: generation({
+      review: text('Generated review'),
+      provider: text('Model display name'),
+      brandVoiceCheck
+    }),
+    errors: ['REVIEW_GENERATION_ERROR']
+  },
+  'POST /api/voice/suggest-location': {
+    tag: 'Voice',
+    summary: 'Suggest places mentioned in a voice transcript',
+    response: generation({
+      suggestions: list('Suggested places with name, type, confidence and reason'),
+      analysis: object('What the transcript reveals about the location'),
+      parseStatus,
+      provider: text('Model display name')
+    }),
+    errors: ['INVALID_MODEL_OUTPUT', 'LOCATION_SUGGESTION_ERROR']
+  },
+  'POST /api/voice/customer-service-response': {
+    tag: 'Voice',
+    summary: 'Draft a reply to a negative review',
+    description: 'Reviews with another sentiment get `response: null`. Replies are saved to the database when it is connected.',
+    response: success({
+      response: { type: 'string', nullable: true, description: 'Reply to the customer' },
+      staffName: text('Name the reply is signed with'),
+      message: text('Set when no reply was needed'),
+      brandVoiceCheck
+    }),
+    errors: ['CUSTOMER_SERVICE_ERROR']
+  },
+
+  'POST /api/enhanced-llm': {
+    tag: 'Enhanced LLM',
+    summary: 'Response from the best model for the input, with fallback and quality refinement',
+    stream: true,
+    response: success({
+      response: text('Final response'),
+      analysis: object('Input analysis: contentType, complexity, sentiment, useCase'),
+      model: text('Model that answered'),
+      answeredBy: object('Model key, id and provider that answered'),
+      attempts: list('Models tried in the fallback chain'),
+      refinement: object('Critique-and-rewrite iterations, scores and stop reason (`disabled` when turned off)'),
+      strategy: text('Response strategy'),
+      confidence: { type: 'number' },
+      qualityAnalysis: object('overallScore, metrics, strengths, weaknesses, suggestions'),
+      brandVoiceCheck,
+      timestamp: text()
+    }),
+    errors: ['ENHANCED_LLM_ERROR']
+  },
+  'POST /api/analyze-response-quality': {
+    tag: 'Enhanced LLM',
+    summary: 'Score a response',
+    response: success({
+      qualityAnalysis: object('overallScore, metrics, strengths, weaknesses, suggestions'),
+      timestamp: text()
+    }),
+    errors: ['QUALITY_ANALYSIS_ERROR']
+  },
+  'POST /api/compare-models': {
+    tag: 'Enhanced LLM',
+    summary: 'Run the input through several models concurrently and rank the answers',
+    response: success({
+      comparison: object('input, timeoutMs, analysis, comparisons (per model status, response, latencyMs, qualityScore, brandVoiceCheck, rank), best'),
+      timestamp: text()
+    }),
+    errors: ['UNKNOWN_MODEL', 'MODEL_COMPARISON_ERROR']
+  },
+  'GET /api/available-models': {
+    tag: 'Enhanced LLM',
+    summary: 'Models the enhanced endpoints can use',
+    response: success({
+      models: list('key, name, provider, strengths, temperature, maxTokens'),
+      responsePatterns: object('Response patterns per content type'),
+      timestamp: text()
+    }),
+    errors: ['MODELS_ERROR']
+  },
+
+  'POST /api/blog/generate': {
+    tag: 'Blog',
+    summary: 'Generate a restaurant blog post',
+    description: 'Restaurant details left out of the request are taken from the business profile named by `businessId`; ' +
+      'the brand voice tone, when there is one, takes precedence over `tone`.',
+    response: success({
+      blogPost: text('Markdown blog post'),
+      wordCount: { type: 'number' },
+      model: text('Provider model id'),
+      brandVoiceCheck,
+      toneConflict: object('Only when the request `tone` differs from the brand voice tone: requested and used (the voice tone)')
+    }),
+    errors: ['BLOG_GENERATION_ERROR']
+  },
+  'GET /api/blog/model': {
+    tag: 'Blog',
+    summary: 'Model used for blog generation',
+    response: success({ model: object('name (model id), displayName, provider, description, useCase, strengths, params') }),
+    errors: ['MODELS_ERROR']
+  },
+
+  'GET /api/reviews': {
+    tag: 'Reviews',
+    summary: 'List reviews and customer service responses, newest first',
+    response: success({
+      reviews: list('Reviews', review),
+      pagination: object('total, limit, hasMore, nextCursor'),
+      message: text('Set when the database is not connected')
+    }),
+    errors: ['INVALID_INPUT', 'INVALID_CURSOR', 'REVIEWS_ERROR']
+  },
+  'GET /api/reviews/:id': {
+    tag: 'Reviews',
+    summary: 'Fetch a review',
+    response: success({ review }),
+    errors: ['INVALID_ID', 'REVIEW_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'REVIEWS_ERROR']
+  },
+  'PATCH /api/reviews/:id': {
+    tag: 'Reviews',
+    summary: 'Update fields of a review',
+    response: success({ review }),
+    errors: ['INVALID_INPUT', 'INVALID_ID', 'REVIEW_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'REVIEWS_ERROR']
+  },
+  'DELETE /api/reviews/:id': {
+    tag: 'Reviews',
+    summary: 'Delete a review',
+    response: success({ id: text() }),
+    errors: ['INVALID_ID', 'REVIEW_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'REVIEWS_ERROR']
+  },
+
+  'GET /api/models': {
+    tag: 'Models',
+    summary: 'Model configurations for every use case',
+    response: success({ models: list('Model configurations'), useCases: object('Use case descriptions'), timestamp: text() }),
+    errors: ['MODELS_ERROR']
+  },
+  'GET /api/models/:useCase': {
+    tag: 'Models',
+    summary: 'Models for a use case',
+    response: success({
+      models: list('Model configurations'),
+      fallback: list('Fallback model keys', { type: 'string' }),
+      useCase: text(),
+      description: text(),
+      timestamp: text()
+    }),
+    errors: ['USE_CASE_NOT_FOUND', 'MODELS_ERROR']
+  },
+  'GET /api/admin/model-registry': {
+    tag: 'Models',
+    summary: 'Full model registry as loaded',
+    response: success({ source: text('Registry file'), models: list('Models'), useCases: list('Use cases'), overrides: object('Runtime changes') })
+  },
+  'PUT /api/admin/model-registry/models/:key': {
+    tag: 'Models',
+    summary: 'Create or update a model',
+    body: object('Model fields, e.g. { "id": "meta/llama-3.3-70b-instruct" }'),
+    response: success({ model: object() }),
+    errors: ['INVALID_MODEL_CONFIG', 'MODELS_ERROR']
+  },
+  'PUT /api/admin/model-registry/use-cases/:useCase': {
+    tag: 'Models',
+    summary: 'Create or update a use case',
+    body: object('Use case fields, e.g. { "models": [{ "model": "claude" }, { "model": "llama" }] }'),
+    response: success({ useCase: object() }),
+    errors: ['INVALID_MODEL_CONFIG', 'MODEL_NOT_FOUND', 'MODELS_ERROR']
+  },
+  'POST /api/admin/model-registry/reset': {
+    tag: 'Models',
+    summary: 'Discard runtime changes and reload the registry file',
+    response: success({ source: text('Registry file') }),
+    errors: ['INVALID_MODEL_CONFIG', 'MODELS_ERROR']
+  },
+
+  'POST /api/credentials': {
+    tag: 'Credentials',
+    summary: 'Register a provider API key for the workspace',
+    status: 201,
+    response: success({ credential }),
+    errors: ['INVALID_INPUT', 'INVALID_PROVIDER', 'INVALID_API_KEY', 'VAULT_NOT_CONFIGURED', 'DATABASE_UNAVAILABLE', 'CREDENTIAL_ERROR']
+  },
+  'GET /api/credentials': {
+    tag: 'Credentials',
+    summary: 'List the workspace credentials',
+    response: success({ credentials: list('Credentials', credential) }),
+    errors: ['DATABASE_UNAVAILABLE', 'CREDENTIAL_ERROR']
+  },
+  'DELETE /api/credentials/:id': {
+    tag: 'Credentials',
+    summary: 'Delete a credential',
+    response: success({ id: text() }),
+    errors: ['CREDENTIAL_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'CREDENTIAL_ERROR']
+  },
+
+  'POST /api/tokens': {
+    tag: 'Tokens',
+    summary: 'Issue an API token for the workspace',
+    status: 201,
+    response: success({ token: object('API token metadata plus `token`, the bearer token itself, returned only here') }),
+    errors: ['INVALID_INPUT', 'INVALID_SCOPE', 'DATABASE_UNAVAILABLE', 'TOKEN_ERROR']
+  },
+  'GET /api/tokens': {
+    tag: 'Tokens',
+    summary: 'List the workspace tokens, including revoked ones',
+    response: success({ tokens: list('Tokens', apiToken), scopes: object('Scope name -> description') }),
+    errors: ['DATABASE_UNAVAILABLE', 'TOKEN_ERROR']
+  },
+  'DELETE /api/tokens/:id': {
+    tag: 'Tokens',
+    summary: 'Revoke a token',
+    response: success({ token: apiToken }),
+    errors: ['TOKEN_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'TOKEN_ERROR']
+  },
+
+  'POST /api/businesses': {
+    tag: 'Businesses',
+    summary: 'Create a business profile',
+    description: 'Generation routes take its id as `businessId` and describe the business to the model.',
+    status: 201,
+    response: success({ business }),
+    errors: ['BRAND_VOICE_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'BUSINESS_ERROR']
+  },
+  'GET /api/businesses': {
+    tag: 'Businesses',
+    summary: 'List the workspace business profiles, by name',
+    response: success({ businesses: list('Business profiles', business) }),
+    errors: ['DATABASE_UNAVAILABLE', 'BUSINESS_ERROR']
+  },
+  'GET /api/businesses/:id': {
+    tag: 'Businesses',
+    summary: 'Fetch a business profile',
+    response: success({ business }),
+    errors: ['BUSINESS_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'BUSINESS_ERROR']
+  },
+  'PATCH /api/businesses/:id': {
+    tag: 'Businesses',
+    summary: 'Update fields of a business profile',
+    description: 'Lists (menuHighlights, usps, contactChannels) are replaced as a whole. `brandVoiceId: null` detaches the brand voice.',
+    response: success({ business }),
+    errors: ['BUSINESS_NOT_FOUND', 'BRAND_VOICE_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'BUSINESS_ERROR']
+  },
+  'DELETE /api/businesses/:id': {
+    tag: 'Businesses',
+    summary: 'Delete a business profile',
+    response: success({ id: text() }),
+    errors: ['BUSINESS_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'BUSINESS_ERROR']
+  },
+
+  'POST /api/brand-voices': {
+    tag: 'Brand Voices',
+    summary: 'Create a brand voice',
+    description: 'With `isDefault` it applies to every generation request of the workspace; a business profile with its ' +
+      '`brandVoiceId` uses it instead of the default. Generated text is checked against the voice (`brandVoiceCheck`).',
+    status: 201,
+    response: success({ brandVoice }),
+    errors: ['DATABASE_UNAVAILABLE', 'BRAND_VOICE_ERROR']
+  },
+  'GET /api/brand-voices': {
+    tag: 'Brand Voices',
+    summary: 'List the workspace brand voices, by name',
+    response: success({ brandVoices: list('Brand voices', brandVoice) }),
+    errors: ['DATABASE_UNAVAILABLE', 'BRAND_VOICE_ERROR']
+  },
+  'GET /api/brand-voices/:id': {
+    tag: 'Brand Voices',
+    summary: 'Fetch a brand voice',
+    response: success({ brandVoice }),
+    errors: ['BRAND_VOICE_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'BRAND_VOICE_ERROR']
+  },
+  'PATCH /api/brand-voices/:id': {
+    tag: 'Brand Voices',
+    summary: 'Update fields of a brand voice',
+    description: 'Lists are replaced as a whole. `isDefault: true` replaces the previous workspace default.',
+    response: success({ brandVoice }),
+    errors: ['BRAND_VOICE_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'BRAND_VOICE_ERROR']
+  },
+  'DELETE /api/brand-voices/:id': {
+    tag: 'Brand Voices',
+    summary: 'Delete a brand voice',
+    description: 'Business profiles that used it fall back to the workspace default voice.',
+    response: success({ id: text() }),
+    errors: ['BRAND_VOICE_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'BRAND_VOICE_ERROR']
+  },
+
+  'POST /api/auth/register': {
+    tag: 'Accounts',
+    summary: 'Create an account and its first workspace, and sign in',
+    description: 'The new user owns the workspace.',
+    status: 201,
+    response: success({ user, workspaces: list('The new workspace', workspace), session: signIn }),
+    errors: ['INVALID_INPUT', 'EMAIL_TAKEN', 'DATABASE_UNAVAILABLE', 'ACCOUNT_ERROR']
+  },
+  'POST /api/auth/login': {
+    tag: 'Accounts',
+    summary: 'Sign in with email and password',
+    description: 'Wrong passwords are counted per IP address and per account; too many in a window block sign-in with 429.',
+    response: success({ user, workspaces: list('Workspaces of the user', workspace), session: signIn }),
+    errors: ['INVALID_INPUT', 'INVALID_LOGIN', 'TOO_MANY_FAILED_ATTEMPTS', 'DATABASE_UNAVAILABLE', 'ACCOUNT_ERROR']
+  },
+  'POST /api/auth/logout': {
+    tag: 'Accounts',
+    summary: 'Revoke the session token of the request',
+    errors: ['ACCOUNT_ERROR']
+  },
+  'GET /api/auth/me': {
+    tag: 'Accounts',
+    summary: 'The signed-in user and their workspaces',
+    response: success({
+      user,
+      workspaces: list('Workspaces of the user', workspace),
+      workspace: { type: 'string', nullable: true, description: 'Workspace the request acted on' },
+      role: { type: 'string', nullable: true, description: 'Role of the user there' }
+    }),
+    errors: ['USER_NOT_FOUND', 'ACCOUNT_ERROR']
+  },
+
+  'GET /api/workspaces': {
+    tag: 'Workspaces',
+    summary: 'Workspaces of the signed-in user, with their role in each',
+    response: success({ workspaces: list('Workspaces', workspace) }),
+    errors: ['ACCOUNT_ERROR']
+  },
+  'POST /api/workspaces': {
+    tag: 'Workspaces',
+    summary: 'Create a workspace owned by the signed-in user',
+    description: 'An agency creates one workspace per client.',
+    status: 201,
+    response: success({ workspace }),
+    errors: ['INVALID_INPUT', 'WORKSPACE_TAKEN', 'ACCOUNT_ERROR']
+  },
+  'GET /api/members': {
+    tag: 'Workspaces',
+    summary: 'List the members of the workspace and their roles',
+    response: success({ members: list('Members', member), roles: list('Role names', { type: 'string' }) }),
+    errors: ['ACCOUNT_ERROR']
+  },
+  'POST /api/members': {
+    tag: 'Workspaces',
+    summary: 'Add a registered user to the workspace',
+    status: 201,
+    response: success({ member }),
+    errors: ['INVALID_INPUT', 'INVALID_ROLE', 'USER_NOT_FOUND', 'MEMBER_EXISTS', 'ACCOUNT_ERROR']
+  },
+  'PATCH /api/members/:userId': {
+    tag: 'Workspaces',
+    summary: 'Change the role of a member',
+    response: success({ member: object('userId and the new role') }),
+    errors: ['INVALID_ROLE', 'MEMBER_NOT_FOUND', 'LAST_OWNER', 'ACCOUNT_ERROR']
+  },
+  'DELETE /api/members/:userId': {
+    tag: 'Workspaces',
+    summary: 'Remove a member from the workspace',
+    response: success({ member: object('userId of the removed member') }),
+    errors: ['MEMBER_NOT_FOUND', 'LAST_OWNER', 'ACCOUNT_ERROR']
+  },
+
+  'POST /api/sessions': {
+    tag: 'Sessions',
+    summary: 'Create a chat session',
+    status: 201,
+    response: success({ session }),
+    errors: ['INVALID_INPUT', 'DATABASE_UNAVAILABLE', 'SESSION_ERROR']
+  },
+  'GET /api/sessions': {
+    tag: 'Sessions',
+    summary: 'List chat sessions, most recently active first',
+    response: success({ sessions: list('Sessions', session) }),
+    errors: ['DATABASE_UNAVAILABLE', 'SESSION_ERROR']
+  },
+  'GET /api/sessions/:id': {
+    tag: 'Sessions',
+    summary: 'Fetch a chat session with its messages',
+    response: success({ session }),
+    errors: ['SESSION_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'SESSION_ERROR']
+  },
+  'DELETE /api/sessions/:id': {
+    tag: 'Sessions',
+    summary: 'Delete a chat session and its messages',
+    response: success({ id: text() }),
+    errors: ['SESSION_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'SESSION_ERROR']
+  },
+
+  'GET /api/prompts': {
+    tag: 'Prompts',
+    summary: 'List prompt templates with active and latest versions',
+    response: success({ templates: list('Templates') }),
+    errors: ['PROMPT_ERROR']
+  },
+  'GET /api/prompts/:name': {
+    tag: 'Prompts',
+    summary: 'Fetch a template with its active text and version history',
+    response: success({ template: object() }),
+    errors: ['PROMPT_NOT_FOUND', 'PROMPT_ERROR']
+  },
+  'POST /api/prompts/:name/preview': {
+    tag: 'Prompts',
+    summary: 'Render a template without publishing it',
+    response: success({ preview: object('Rendered text and variable report') }),
+    errors: ['INVALID_INPUT', 'INVALID_TEMPLATE', 'PROMPT_VARIABLES_MISSING', 'PROMPT_NOT_FOUND', 'PROMPT_VERSION_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'PROMPT_ERROR']
+  },
+  'POST /api/prompts/:name/versions': {
+    tag: 'Prompts',
+    summary: 'Publish a new template version and make it active',
+    status: 201,
+    response: success({ name: text(), version: object() }),
+    errors: ['INVALID_INPUT', 'INVALID_TEMPLATE', 'PROMPT_NOT_FOUND', 'PROMPT_VERSION_CONFLICT', 'DATABASE_UNAVAILABLE', 'PROMPT_ERROR']
+  },
+  'POST /api/prompts/:name/rollback': {
+    tag: 'Prompts',
+    summary: 'Make an earlier template version active again',
+    response: success({ template: object() }),
+    errors: ['INVALID_INPUT', 'PROMPT_NOT_FOUND', 'PROMPT_VERSION_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'PROMPT_ERROR']
+  },
+
+  'GET /api/usage': {
+    tag: 'Usage',
+    summary: 'Aggregated token usage and cost for the workspace',
+    response: success({
+      workspace: text(),
+      groupBy: list('Dimensions', { type: 'string' }),
+      currency: text('USD'),
+      totals: object('Calls, tokens and cost'),
+      groups: list('Totals per group')
+    }),
+    errors: ['INVALID_INPUT', 'DATABASE_UNAVAILABLE', 'USAGE_ERROR']
+  },
+  'GET /api/usage/records': {
+    tag: 'Usage',
+    summary: 'Individual LLM calls for the workspace',
+    response: success({ records: list('Usage records') }),
+    errors: ['INVALID_INPUT', 'DATABASE_UNAVAILABLE', 'USAGE_ERROR']
+  },
+
+  'GET /api/quota': {
+    tag: 'Usage',
+    summary: 'Remaining rate limit allowance of the caller',
+    response: success({
+      client: object('What the budget is keyed by: type (token or ip) and id'),
+      workspace: { type: 'string', nullable: true, description: 'Workspace whose shared budget the caller also uses' },
+      store: text('Counter store: memory or mongodb'),
+      tiers: object('Per tier (standard, generation): description, windowMs, requests { limit, used, remaining, resetAt }, ' +
+        'for generation tokens, and the same for the workspace under `workspace`')
+    }),
+    errors: ['QUOTA_ERROR']
+  },
+
+  'GET /api/evals/datasets': {
+    tag: 'Evaluation',
+    summary: 'Golden datasets in config/evals',
+    response: success({ datasets: list('name, task, description and case count') }),
+    errors: ['INVALID_DATASET', 'EVALUATION_ERROR']
+  },
+  'POST /api/evals/runs': {
+    tag: 'Evaluation',
+    summary: 'Run a dataset and store the run',
+    status: 201,
+    response: success({ run }),
+    errors: ['INVALID_INPUT', 'EVAL_TOO_MANY_CASES', 'INVALID_DATASET', 'DATASET_NOT_FOUND', 'MODEL_NOT_FOUND', 'PROMPT_VERSION_NOT_FOUND', 'EVALUATION_ERROR']
+  },
+  'GET /api/evals/runs': {
+    tag: 'Evaluation',
+    summary: 'Stored runs, newest first (summaries only)',
+    response: success({ runs: list('Runs', run) }),
+    errors: ['INVALID_INPUT', 'DATABASE_UNAVAILABLE', 'EVALUATION_ERROR']
+  },
+  'GET /api/evals/runs/:id': {
+    tag: 'Evaluation',
+    summary: 'A stored run with per-case results',
+    response: success({ run }),
+    errors: ['EVAL_RUN_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'EVALUATION_ERROR']
+  },
+  'POST /api/evals/compare': {
+    tag: 'Evaluation',
+    summary: 'Compare a candidate run against a base run',
+    response: success({ comparison: object('Per-case changes, deltas, counts and `regressed`') }),
+    errors: ['INVALID_INPUT', 'EVAL_RUN_NOT_FOUND', 'DATABASE_UNAVAILABLE', 'EVALUATION_ERROR']
+  }
+};
+
+module.exports = {
+  ERROR_CODES,
+  PROVIDER_ERRORS,
+  CREDENTIAL_MAP_ERRORS,
+  BUSINESS_ERRORS,
+  AUTH_ERRORS,
+  SCOPE_ERRORS,
+  USER_ERRORS,
+  ADMIN_ERRORS,
+  RATE_LIMIT_ERRORS,
+  GENERATION_LIMIT_ERRORS,
+  OPERATIONS
+};
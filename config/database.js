@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
+const logger = require('../utils/logger');
 
 // MongoDB connection (optional for development)
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/reviewgen';
@@ -11,15 +12,37 @@ const connectToMongoDB = async () => {
       serverSelectionTimeoutMS: 5000, // 5 second timeout
       socketTimeoutMS: 45000,
     });
-    console.log('✅ Connected to MongoDB');
   } catch (err) {
-    console.warn('⚠️  MongoDB connection failed, running without database');
-    console.warn('   To enable database features, start MongoDB with: sudo service mongodb start');
+    logger.warn('MongoDB connection failed, running without database', {
+      error: err,
+      hint: 'To enable database features, start MongoDB with: sudo service mongodb start'
+    });
+    return;
+  }
+
+  await backfillReviewWorkspaces();
+};
+
+// Reviews stored before workspaces existed have no `workspace` field, so no
+// workspace query matches them. They belong to the default workspace; this
+// runs on every start and is a no-op once they are assigned.
+const backfillReviewWorkspaces = async () => {
+  try {
+    const { modifiedCount } = await Review.updateMany(
+      { workspace: { $exists: false } },
+      { $set: { workspace: 'default' } }
+    );
+    if (modifiedCount > 0) {
+      logger.info('Assigned reviews without a workspace to the default workspace', { count: modifiedCount });
+    }
+  } catch (err) {
+    logger.warn('Failed to assign reviews without a workspace to the default workspace', { error: err });
   }
 };
 
 // Review Schema and Model
 const reviewSchema = new mongoose.Schema({
+  workspace: { type: String, required: true, default: 'default' },
   review: { type: String, required: true },
   sentiment: { type: String, required: true },
   aiResponse: { type: String },
@@ -29,19 +52,257 @@ const reviewSchema = new mongoose.Schema({
   extra: { type: mongoose.Schema.Types.Mixed }, // for any extra data
 });
 
+// Newest-first listing per workspace with cursor pagination, optionally filtered
+reviewSchema.index({ workspace: 1, createdAt: -1, _id: -1 });
+reviewSchema.index({ workspace: 1, type: 1, sentiment: 1, createdAt: -1 });
+
 const Review = mongoose.model('Review', reviewSchema);
 
+// Credential Schema and Model
+// Provider API keys registered by workspace admins. The key itself is only
+// stored encrypted (see services/credentialVault.js).
+const credentialSchema = new mongoose.Schema({
+  workspace: { type: String, required: true, default: 'default', index: true },
+  provider: { type: String, required: true },
+  label: { type: String },
+  encryptedKey: { type: String, required: true },
+  keyHint: { type: String },
+  isDefault: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date },
+});
+
+const Credential = mongoose.model('Credential', credentialSchema);
+
+// Chat Session Schema and Model
+const chatSessionSchema = new mongoose.Schema({
+  workspace: { type: String, required: true, default: 'default', index: true },
+  title: { type: String },
+  model: { type: String },
+  messageCount: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+const ChatSession = mongoose.model('ChatSession', chatSessionSchema);
+
+// Chat Message Schema and Model
+const chatMessageSchema = new mongoose.Schema({
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'ChatSession', required: true },
+  role: { type: String, enum: ['system', 'user', 'assistant'], required: true },
+  content: { type: String, required: true },
+  tokens: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+chatMessageSchema.index({ session: 1, createdAt: 1 });
+
+const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
+
+// Prompt Template Schema and Model
+// Workspace-published versions of the built-in templates in config/prompts.js.
+// At most one version per workspace and template is active at a time.
+const promptTemplateSchema = new mongoose.Schema({
+  workspace: { type: String, required: true, default: 'default' },
+  name: { type: String, required: true },
+  version: { type: Number, required: true },
+  template: { type: String, required: true },
+  note: { type: String },
+  isActive: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+});
+
+promptTemplateSchema.index({ workspace: 1, name: 1, version: 1 }, { unique: true });
+
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+
+// Usage Record Schema and Model
+// One document per outbound LLM call, written by services/usageTracker.js
+const usageRecordSchema = new mongoose.Schema({
+  workspace: { type: String, required: true, default: 'default' },
+  endpoint: { type: String },
+  requestId: { type: String }, // X-Request-Id of the API request that made the call
+  provider: { type: String, required: true },
+  model: { type: String },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  latencyMs: { type: Number },
+  cost: { type: Number }, // estimated USD, null when the model has no price
+  streamed: { type: Boolean, default: false },
+  status: { type: String, enum: ['success', 'error'], default: 'success' },
+  errorCode: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+usageRecordSchema.index({ workspace: 1, createdAt: -1 });
+
+const UsageRecord = mongoose.model('UsageRecord', usageRecordSchema);
+
+// Evaluation Run Schema and Model
+// One run of a golden dataset (config/evals/) through a model and prompt
+// versions, written by services/evaluationService.js
+const evalRunSchema = new mongoose.Schema({
+  workspace: { type: String, required: true, default: 'default' },
+  name: { type: String },
+  dataset: { type: String, required: true },
+  task: { type: String, required: true },
+  config: { type: mongoose.Schema.Types.Mixed }, // model, modelId, promptVersions
+  summary: { type: mongoose.Schema.Types.Mixed },
+  results: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+evalRunSchema.index({ workspace: 1, dataset: 1, createdAt: -1 });
+
+const EvalRun = mongoose.model('EvalRun', evalRunSchema);
+
+// Rate Limit Counter Schema and Model
+// Request and token counters per client and window, shared by every instance
+// when RATE_LIMIT_STORE=mongodb (services/rateLimitStores.js)
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // client:tier:metric:windowStart
+  total: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+// User Schema and Model
+// People who sign in with email and password (services/accountService.js)
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String },
+  passwordHash: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const User = mongoose.model('User', userSchema);
+
+// Workspace Schema and Model
+// A business (or an agency's client) whose data is kept apart from every other
+// workspace. `slug` is the value stored in the `workspace` field of the other
+// collections and sent in X-Workspace-Id.
+const workspaceSchema = new mongoose.Schema({
+  slug: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+// Membership Schema and Model
+// A user's role in a workspace (owner, editor, responder or viewer)
+const membershipSchema = new mongoose.Schema({
+  workspace: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: ['owner', 'editor', 'responder', 'viewer'], required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+membershipSchema.index({ workspace: 1, user: 1 }, { unique: true });
+membershipSchema.index({ user: 1, createdAt: 1 });
+
+const Membership = mongoose.model('Membership', membershipSchema);
+
+// API Token Schema and Model
+// Bearer tokens (services/apiTokenService.js): `api` tokens issued to clients
+// of one workspace with fixed scopes, and `session` tokens from signing in,
+// which act for a user with the role of their membership. Only a SHA-256
+// hash of the token is stored; `prefix` identifies it in listings.
+const apiTokenSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['api', 'session'], default: 'api' },
+  workspace: { type: String, index: true }, // api tokens only
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // session tokens only
+  name: { type: String, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true },
+  scopes: { type: [String], default: [] },
+  expiresAt: { type: Date },
+  revokedAt: { type: Date },
+  lastUsedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+// Business Schema and Model
+// A business profile (services/businessProfileService.js): what generation
+// routes tell the model about the business when a request names it with
+// `businessId`. An agency's workspace can hold several.
+const businessSchema = new mongoose.Schema({
+  workspace: { type: String, required: true, default: 'default' },
+  name: { type: String, required: true },
+  category: { type: String }, // e.g. restaurant, cafe, food truck
+  cuisine: { type: String },
+  address: { type: String },
+  hours: { type: String }, // free text, e.g. "Tue-Sun 12:00-22:00"
+  menuHighlights: { type: [String], default: [] },
+  usps: { type: [String], default: [] }, // unique selling points
+  contactChannels: {
+    type: [{ _id: false, channel: { type: String, required: true }, value: { type: String, required: true } }],
+    default: []
+  },
+  brandVoice: { type: mongoose.Schema.Types.ObjectId, ref: 'BrandVoice' }, // overrides the workspace default
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+businessSchema.index({ workspace: 1, name: 1 });
+
+const Business = mongoose.model('Business', businessSchema);
+
+// Brand Voice Schema and Model
+// How generated content should sound (services/brandVoiceService.js). A
+// business uses its own voice, otherwise the workspace default (isDefault).
+const brandVoiceSchema = new mongoose.Schema({
+  workspace: { type: String, required: true, default: 'default' },
+  name: { type: String, required: true },
+  tone: { type: [String], default: [] }, // descriptors, e.g. warm, witty
+  formality: { type: String, enum: ['casual', 'neutral', 'formal'], default: 'neutral' },
+  emojiPolicy: { type: String, enum: ['none', 'sparing', 'allowed'], default: 'sparing' },
+  bannedWords: { type: [String], default: [] },
+  requiredPhrases: { type: [String], default: [] },
+  samples: { type: [String], default: [] },
+  isDefault: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+brandVoiceSchema.index({ workspace: 1, isDefault: 1 });
+
+const BrandVoice = mongoose.model('BrandVoice', brandVoiceSchema);
+
 // Event listeners
 mongoose.connection.on('connected', () => {
-  console.log('✅ Connected to MongoDB');
+  logger.info('Connected to MongoDB');
 });
 
 mongoose.connection.on('error', (err) => {
-  console.warn('⚠️  MongoDB connection error:', err.message);
+  logger.warn('MongoDB connection error', { error: err });
 });
 
 module.exports = {
   connectToMongoDB,
   Review,
+  Credential,
+  ChatSession,
+  ChatMessage,
+  PromptTemplate,
+  UsageRecord,
+  EvalRun,
+  RateLimitCounter,
+  User,
+  Workspace,
+  Membership,
+  ApiToken,
+  Business,
+  BrandVoice,
   mongoose
 }; 
\ No newline at end of file
@@ -0,0 +1,116 @@
+// Canned model output for the offline mock provider
+// (services/providers/mockProvider.js).
+// A fixture is chosen by the endpoint of the current request, or, outside a
+// request (scripts, evaluation runs), by a pattern in the system prompt.
+// `content` is a string or a function of the last user message; JSON fixtures
+// match the schemas in config/outputSchemas.js.
+
+const voiceAnalysis = {
+  sentiment: 'positive',
+  confidence: 0.86,
+  keyPoints: ['Friendly staff', 'Food arrived quickly', 'Slightly noisy dining room'],
+  topics: ['service', 'food', 'atmosphere'],
+  suggestions: ['Mention the dishes that were ordered', 'Add when the visit took place'],
+  tone: 'enthusiastic',
+  actionItems: ['Thank the staff for the quick service'],
+  summary: 'The speaker had a positive visit with friendly, fast service and minor noise.',
+  speakingPace: 'normal'
+};
+
+const locationSuggestions = {
+  suggestions: [
+    {
+      name: 'Harbor View Bistro',
+      type: 'restaurant',
+      description: 'Waterfront bistro matching the place described in the transcript',
+      confidence: 0.82,
+      keywords: ['bistro', 'waterfront', 'dinner'],
+      address: '12 Pier Road',
+      coordinates: null
+    },
+    {
+      name: 'Old Town Coffee House',
+      type: 'restaurant',
+      description: 'Cafe mentioned as a nearby alternative',
+      confidence: 0.41,
+      keywords: ['coffee', 'old town'],
+      address: null,
+      coordinates: null
+    }
+  ],
+  analysis: {
+    locationMentioned: true,
+    locationType: 'restaurant',
+    specificPlace: 'Harbor View Bistro',
+    cityOrArea: null,
+    confidence: 0.82
+  }
+};
+
+module.exports = [
+  {
+    name: 'voice_analysis',
+    endpoint: '/voice/analyze',
+    pattern: /voice analysis/i,
+    json: true,
+    content: JSON.stringify(voiceAnalysis, null, 2)
+  },
+  {
+    name: 'location_suggestions',
+    endpoint: '/voice/suggest-location',
+    pattern: /location analysis/i,
+    json: true,
+    content: JSON.stringify(locationSuggestions, null, 2)
+  },
+  {
+    name: 'review_generation',
+    endpoint: '/voice/generate-review',
+    pattern: /review writer/i,
+    content: 'Visited this restaurant recently and came away impressed. The staff greeted us right away and the food arrived quickly, hot and well seasoned. The dining room got a little loud later in the evening, but it never spoiled the meal. I would happily come back and recommend it for a relaxed dinner with friends.'
+  },
+  {
+    name: 'customer_service',
+    endpoint: '/voice/customer-service-response',
+    pattern: /customer relationship agent/i,
+    content: "Hi there, I'm really sorry your visit didn't live up to what you expected. Thank you for telling us about it. I've passed your feedback to the kitchen and floor team, and I'd love the chance to make it right next time. Please reach out to us directly so we can take care of you."
+  },
+  {
+    name: 'blog_generation',
+    endpoint: '/blog/generate',
+    pattern: /restaurant blog/i,
+    content: `# A Taste of the Season
+
+There is something special about the first cool evening of autumn, and our kitchen has been waiting for it all year.
+
+## What's New on the Menu
+
+Our chefs have built this season's menu around local produce: roasted squash, wild mushrooms and fresh herbs from nearby farms. Every dish is made to share, so bring friends and order a little of everything.
+
+## Why It Matters to Us
+
+Cooking with what is in season means better flavour and closer ties to the growers we rely on. It also keeps our menu changing, so there is always a reason to visit again.
+
+## Join Us
+
+Book a table this week and let us know what you think. We can't wait to cook for you.`
+  },
+  {
+    name: 'enhanced',
+    endpoint: /\/(enhanced-llm|compare-models)$/,
+    pattern: /intelligent AI assistant/i,
+    content: (input) => `Thanks for reaching out about "${input.slice(0, 80)}". Here is a clear answer.
+
+First, the key point: this is a deterministic mock response, so the same input always produces the same text. Second, it is structured into short sections to make it easy to follow.
+
+Would you like more detail on any part of this?`
+  },
+  {
+    name: 'conversation',
+    endpoint: '/llama',
+    content: (input) => `Mock reply: I hear you asking about "${input.slice(0, 80)}". This response comes from the offline mock provider. What would you like to explore next?`
+  },
+  {
+    name: 'default',
+    content: (input) => `Mock response to: "${input.slice(0, 80)}"`
+  }
+];
@@ -0,0 +1,75 @@
+// Schemas for endpoints that ask the model for JSON.
+// Used by utils/structuredOutput.js to validate and coerce model output;
+// fields with a `default` are filled in when the model leaves them out.
+
+const stringList = { type: 'array', items: { type: 'string' }, default: [] };
+
+const LOCATION_TYPES = ['restaurant', 'hotel', 'store', 'attraction', 'service', 'other'];
+
+const voiceAnalysis = {
+  type: 'object',
+  properties: {
+    sentiment: { type: 'string', enum: ['positive', 'negative', 'neutral'], required: true },
+    confidence: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+    keyPoints: stringList,
+    topics: stringList,
+    suggestions: stringList,
+    tone: { type: 'string', default: 'neutral' },
+    actionItems: stringList,
+    summary: { type: 'string', required: true },
+    wordCount: { type: 'number', integer: true, minimum: 0 },
+    speakingPace: { type: 'string', enum: ['slow', 'normal', 'fast'], default: 'normal' }
+  }
+};
+
+const locationSuggestions = {
+  type: 'object',
+  properties: {
+    suggestions: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', required: true },
+          type: { type: 'string', enum: LOCATION_TYPES, default: 'other' },
+          description: { type: 'string', default: '' },
+          confidence: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+          keywords: stringList,
+          address: { type: 'string', nullable: true, default: null },
+          coordinates: {
+            type: 'object',
+            nullable: true,
+            default: null,
+            properties: {
+              latitude: { type: 'number', minimum: -90, maximum: 90, required: true },
+              longitude: { type: 'number', minimum: -180, maximum: 180, required: true }
+            }
+          }
+        }
+      }
+    },
+    analysis: {
+      type: 'object',
+      default: {
+        locationMentioned: false,
+        locationType: 'unknown',
+        specificPlace: null,
+        cityOrArea: null,
+        confidence: 0
+      },
+      properties: {
+        locationMentioned: { type: 'boolean', default: false },
+        locationType: { type: 'string', enum: [...LOCATION_TYPES, 'unknown'], default: 'unknown' },
+        specificPlace: { type: 'string', nullable: true, default: null },
+        cityOrArea: { type: 'string', nullable: true, default: null },
+        confidence: { type: 'number', minimum: 0, maximum: 1, default: 0 }
+      }
+    }
+  }
+};
+
+module.exports = {
+  voiceAnalysis,
+  locationSuggestions
+};
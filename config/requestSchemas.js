@@ -0,0 +1,524 @@
+// Request body and query string schemas for every endpoint that takes input.
+// Enforced by middleware/validate.js (see utils/requestValidation.js for the
+// schema format) and exported for API documentation. Credential fields of the
+// generation routes (apiKey, credentialId, credentials) are handled by
+// middleware/credentials.js and `businessId` by middleware/business.js; they
+// are not listed here.
+
+const MAX_TEXT_LENGTH = 4000;
+
+// Free text sent to a model: trimmed, angle brackets removed
+const text = (description, extra = {}) => ({
+  type: 'string',
+  required: true,
+  minLength: 1,
+  maxLength: MAX_TEXT_LENGTH,
+  maxLengthCode: 'TEXT_TOO_LONG',
+  sanitize: true,
+  description,
+  ...extra
+});
+
+const optionalString = (maxLength, description, extra = {}) => ({ type: 'string', maxLength, sanitize: true, description, ...extra });
+
+const conversationHistory = {
+  type: 'array',
+  maxItems: 50,
+  default: [],
+  description: 'Earlier messages of the conversation, oldest first',
+  items: {
+    type: 'object',
+    properties: {
+      role: { type: 'string', enum: ['user', 'assistant'], required: true },
+      content: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH }
+    }
+  }
+};
+
+const context = {
+  type: 'object',
+  default: {},
+  description: 'Extra context for model selection and response shaping'
+};
+
+const REVIEW_TYPES = ['restaurant', 'hotel', 'product', 'service', 'experience', 'app', 'place', 'general'];
+const SENTIMENTS = ['positive', 'negative', 'neutral', 'unknown'];
+const BLOG_LENGTHS = ['short', 'medium', 'long'];
+
+const conversation = {
+  type: 'object',
+  properties: {
+    text: text('User message', { alias: 'prompt' }),
+    sessionId: { type: 'string', maxLength: 100, description: 'Server-side chat session to load history from and save to' },
+    conversationHistory
+  }
+};
+
+const voiceAnalysis = {
+  type: 'object',
+  properties: {
+    transcript: text('Voice transcript to analyze')
+  }
+};
+
+const reviewGeneration = {
+  type: 'object',
+  properties: {
+    transcript: text('Voice transcript to turn into a review'),
+    analysis: { type: 'object', nullable: true, description: 'Result of /api/voice/analyze, stored with the review' },
+    reviewType: { type: 'string', enum: REVIEW_TYPES, default: 'general', description: 'Kind of thing being reviewed' }
+  }
+};
+
+const locationSuggestion = {
+  type: 'object',
+  properties: {
+    transcript: text('Voice transcript that may mention a place'),
+    currentLocation: {
+      type: 'object',
+      nullable: true,
+      default: null,
+      description: 'Device location used to disambiguate places',
+      properties: {
+        latitude: { type: 'number', minimum: -90, maximum: 90, required: true },
+        longitude: { type: 'number', minimum: -180, maximum: 180, required: true }
+      }
+    }
+  }
+};
+
+const customerServiceResponse = {
+  type: 'object',
+  properties: {
+    review: text('Customer review to respond to'),
+    sentiment: {
+      type: 'string',
+      enum: SENTIMENTS,
+      required: true,
+      description: 'Sentiment of the review; only negative reviews get a response'
+    }
+  }
+};
+
+const enhancedLLM = {
+  type: 'object',
+  properties: {
+    text: text('User input', { alias: 'prompt' }),
+    conversationHistory,
+    context
+  }
+};
+
+const compareModels = {
+  type: 'object',
+  properties: {
+    text: text('Input to send to every model'),
+    models: {
+      type: 'array',
+      maxItems: 6,
+      items: { type: 'string', required: true },
+      description: 'Registry model keys to compare (default: the chain the input is routed to)'
+    },
+    timeoutMs: { type: 'number', integer: true, minimum: 1000, maximum: 120000, default: 30000, description: 'Shared deadline for all models' },
+    context
+  }
+};
+
+const responseQuality = {
+  type: 'object',
+  properties: {
+    response: { type: 'string', required: true, minLength: 1, maxLength: 20000, description: 'Response text to score' },
+    contentType: { type: 'string', maxLength: 50, default: 'general', description: 'conversation, analysis, customer_service, review or general' },
+    context
+  }
+};
+
+const blogGeneration = {
+  type: 'object',
+  properties: {
+    topic: optionalString(200, 'Blog post topic', { required: true, minLength: 1 }),
+    restaurantName: optionalString(200, 'Restaurant name; required unless `businessId` is sent', { minLength: 1 }),
+    restaurantType: optionalString(100, 'Kind of restaurant, e.g. bistro or food truck (default: the business category)'),
+    cuisine: optionalString(100, 'Cuisine served (default: the business cuisine, else "Various")'),
+    location: optionalString(200, 'City or neighbourhood (default: the business address, else "Not specified")'),
+    targetAudience: optionalString(200, 'Readers the post is written for', { default: 'general audience' }),
+    tone: optionalString(50, 'Writing tone, e.g. friendly or professional (default: "friendly"). Ignored when a brand voice with a tone applies'),
+    length: { type: 'string', enum: BLOG_LENGTHS, default: 'medium', description: 'short (300-500 words), medium (600-800) or long (900-1200)' },
+    keyPoints: {
+      type: ['array', 'string'],
+      maxItems: 20,
+      maxLength: 2000,
+      items: { type: 'string', maxLength: 500 },
+      description: 'Points the post must cover'
+    },
+    specialFeatures: {
+      type: ['array', 'string'],
+      maxItems: 20,
+      maxLength: 2000,
+      items: { type: 'string', maxLength: 500 },
+      description: 'Dishes, events or features to highlight'
+    }
+  }
+};
+
+// Business profiles (POST /api/businesses; PATCH takes the same fields, none required)
+const profileList = (description) => ({
+  type: 'array',
+  maxItems: 20,
+  items: { type: 'string', maxLength: 200, sanitize: true },
+  description
+});
+
+const businessFields = {
+  name: optionalString(200, 'Business name', { minLength: 1 }),
+  category: optionalString(100, 'Kind of business, e.g. restaurant, cafe or food truck'),
+  cuisine: optionalString(100, 'Cuisine served'),
+  address: optionalString(300, 'Street address or neighbourhood'),
+  hours: optionalString(300, 'Opening hours, e.g. "Tue-Sun 12:00-22:00, closed Mondays"'),
+  menuHighlights: profileList('Signature dishes and drinks'),
+  usps: profileList('Unique selling points: what sets the business apart'),
+  contactChannels: {
+    type: 'array',
+    maxItems: 10,
+    description: 'Ways customers can reach the business',
+    items: {
+      type: 'object',
+      properties: {
+        channel: optionalString(50, 'e.g. phone, email, website or instagram', { required: true, minLength: 1 }),
+        value: optionalString(200, 'Number, address, URL or handle', { required: true, minLength: 1 })
+      }
+    }
+  },
+  brandVoiceId: { type: 'string', nullable: true, description: 'Brand voice for this business (default: the workspace default voice); null detaches it' }
+};
+
+const businessProfile = {
+  type: 'object',
+  properties: {
+    ...businessFields,
+    name: { ...businessFields.name, required: true }
+  }
+};
+
+const businessProfileUpdate = {
+  type: 'object',
+  properties: businessFields
+};
+
+// Brand voices (POST /api/brand-voices; PATCH takes the same fields, none required)
+const brandVoiceFields = {
+  name: optionalString(100, 'Voice name, e.g. "Cosy bistro"', { minLength: 1 }),
+  tone: profileList('Tone descriptors, e.g. warm, witty, down-to-earth'),
+  formality: { type: 'string', enum: ['casual', 'neutral', 'formal'], description: 'casual, neutral or formal (default: neutral)' },
+  emojiPolicy: { type: 'string', enum: ['none', 'sparing', 'allowed'], description: 'none, sparing (at most 2) or allowed (default: sparing)' },
+  bannedWords: profileList('Words and phrases generated text must not use'),
+  requiredPhrases: profileList('Phrases generated text must include, e.g. a sign-off'),
+  samples: {
+    type: 'array',
+    maxItems: 5,
+    items: { type: 'string', maxLength: 1000, sanitize: true },
+    description: 'Example texts written in this voice'
+  },
+  isDefault: { type: 'boolean', description: 'Use this voice for requests without a business voice; replaces the previous default' }
+};
+
+const brandVoice = {
+  type: 'object',
+  properties: {
+    ...brandVoiceFields,
+    name: { ...brandVoiceFields.name, required: true }
+  }
+};
+
+const brandVoiceUpdate = {
+  type: 'object',
+  properties: brandVoiceFields
+};
+
+// Page size query parameter
+const limitQuery = (max, fallback) => ({
+  type: 'number',
+  integer: true,
+  minimum: 1,
+  maximum: max,
+  default: fallback,
+  description: `Page size (at most ${max})`
+});
+
+const dateQuery = (description) => ({ type: 'string', format: 'date', description });
+
+// Filter values are matched as sent, so they are not sanitized
+const filterQuery = (description) => ({ type: 'string', maxLength: 200, description });
+
+// Reviews (GET /api/reviews query, PATCH /api/reviews/:id)
+const reviewList = {
+  type: 'object',
+  properties: {
+    type: filterQuery('Filter by type; comma-separated for several'),
+    sentiment: filterQuery('Filter by sentiment; comma-separated for several'),
+    handledBy: filterQuery('Filter by handler; comma-separated for several'),
+    from: dateQuery('Created at or after (ISO date)'),
+    to: dateQuery('Created at or before (ISO date)'),
+    q: filterQuery('Text search in the review and the AI response'),
+    limit: limitQuery(200, 50),
+    cursor: filterQuery('nextCursor of the previous page')
+  }
+};
+
+const reviewUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  minProperties: 1,
+  properties: {
+    review: text('Review text'),
+    sentiment: optionalString(50, 'Sentiment of the review', { minLength: 1 }),
+    aiResponse: optionalString(20000, 'AI response to the review'),
+    handledBy: optionalString(100, 'Who handled the review, e.g. AI or a staff name'),
+    type: optionalString(50, 'Kind of entry, e.g. customer_service or review_generation'),
+    extra: { type: 'object', description: 'Any extra data' }
+  }
+};
+
+// Chat sessions (POST /api/sessions, GET /api/sessions query)
+const sessionCreate = {
+  type: 'object',
+  properties: {
+    title: optionalString(200, 'Session title')
+  }
+};
+
+const sessionList = {
+  type: 'object',
+  properties: {
+    limit: limitQuery(200, 50)
+  }
+};
+
+// Prompt templates. Template text is not sanitized: it is checked by the
+// template service (INVALID_TEMPLATE).
+const promptVersionNumber = { type: 'number', integer: true, minimum: 0 };
+
+const promptPreview = {
+  type: 'object',
+  properties: {
+    variables: { type: 'object', default: {}, description: 'Sample values for the template variables' },
+    template: { type: 'string', maxLength: 20000, description: 'Draft template text' },
+    version: { ...promptVersionNumber, description: 'Stored version to render (0 = built-in)' }
+  }
+};
+
+const promptVersion = {
+  type: 'object',
+  properties: {
+    template: { type: 'string', required: true, maxLength: 20000, description: 'Template text' },
+    note: optionalString(500, 'What changed in this version')
+  }
+};
+
+const promptRollback = {
+  type: 'object',
+  properties: {
+    version: { ...promptVersionNumber, required: true, description: 'Version to make active (0 = built-in template)' }
+  }
+};
+
+// API tokens and provider credentials (POST /api/tokens, POST /api/credentials)
+const SCOPES = ['reviews:read', 'reviews:write', 'generate', 'prompts:write', 'businesses:write', 'admin'];
+
+const tokenCreate = {
+  type: 'object',
+  properties: {
+    name: optionalString(100, 'What the token is for', { required: true, minLength: 1 }),
+    scopes: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      code: 'INVALID_SCOPE',
+      items: { type: 'string', enum: SCOPES, code: 'INVALID_SCOPE' },
+      description: 'admin includes the other scopes'
+    },
+    expiresAt: { type: 'string', format: 'date', nullable: true, description: 'ISO date after which the token is rejected (default: never)' }
+  }
+};
+
+const credentialCreate = {
+  type: 'object',
+  properties: {
+    provider: { type: 'string', required: true, maxLength: 50, code: 'INVALID_PROVIDER', description: 'nvidia, openai, anthropic, gemini or custom' },
+    apiKey: { type: 'string', required: true, minLength: 1, maxLength: 1000, code: 'INVALID_API_KEY', description: 'Provider API key; stored encrypted' },
+    label: optionalString(100, 'Label shown in listings'),
+    isDefault: { type: 'boolean', default: false, description: 'Use for requests that send no credential' }
+  }
+};
+
+// Accounts, workspaces and members
+const ROLES = ['owner', 'editor', 'responder', 'viewer'];
+
+const role = { type: 'string', required: true, enum: ROLES, code: 'INVALID_ROLE', description: 'owner, editor, responder or viewer' };
+const email = { type: 'string', required: true, minLength: 1, maxLength: 254, description: 'Email address' };
+
+const register = {
+  type: 'object',
+  properties: {
+    email,
+    password: { type: 'string', required: true, minLength: 8, maxLength: 200, description: 'At least 8 characters' },
+    name: optionalString(100, 'Display name'),
+    workspaceName: optionalString(100, 'Name of the first workspace (default: "<name>\'s workspace")')
+  }
+};
+
+const login = {
+  type: 'object',
+  properties: {
+    email,
+    password: { type: 'string', required: true, minLength: 1, maxLength: 200 }
+  }
+};
+
+const workspaceCreate = {
+  type: 'object',
+  properties: {
+    name: optionalString(100, 'Workspace name', { required: true, minLength: 1 }),
+    slug: { type: 'string', maxLength: 63, description: '2-63 lowercase letters, digits or dashes (default: derived from the name)' }
+  }
+};
+
+const memberCreate = {
+  type: 'object',
+  properties: { email, role }
+};
+
+const memberUpdate = {
+  type: 'object',
+  properties: { role }
+};
+
+// Usage reports (GET /api/usage and GET /api/usage/records query)
+const usageFilters = {
+  from: dateQuery('Calls at or after (ISO date)'),
+  to: dateQuery('Calls at or before (ISO date)'),
+  endpoint: filterQuery('e.g. "POST /api/voice/analyze"'),
+  model: filterQuery('Provider model id'),
+  requestId: filterQuery('X-Request-Id of an API request; only the calls made for it')
+};
+
+const usageSummary = {
+  type: 'object',
+  properties: {
+    groupBy: filterQuery('Comma-separated: day, endpoint, provider, model (default day)'),
+    ...usageFilters
+  }
+};
+
+const usageRecords = {
+  type: 'object',
+  properties: {
+    ...usageFilters,
+    sort: { type: 'string', enum: ['recent', 'tokens'], default: 'recent', description: 'Newest first or most tokens first' },
+    limit: limitQuery(200, 50),
+    minTokens: { type: 'number', integer: true, minimum: 0, description: 'Only calls with at least this many tokens' }
+  }
+};
+
+// Evaluations
+const evalRun = {
+  type: 'object',
+  properties: {
+    dataset: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Dataset name (GET /api/evals/datasets)' },
+    model: { type: 'string', maxLength: 100, description: 'Registry model key (default: the use case model)' },
+    promptVersions: { type: 'object', default: {}, description: 'Template name -> version, e.g. { "review_generation.user": 2 }' },
+    name: optionalString(200, 'Run name'),
+    cases: { type: 'array', items: { type: 'string', maxLength: 100 }, description: 'Case ids to run (default: all)' }
+  }
+};
+
+const evalRunList = {
+  type: 'object',
+  properties: {
+    dataset: filterQuery('Filter by dataset'),
+    limit: limitQuery(100, 20)
+  }
+};
+
+// A run object sent for comparison (POST /api/evals/runs or CLI output). Only
+// the fields the comparison reads are checked; the rest is passed through.
+const evalRunObject = (description) => ({
+  type: 'object',
+  description,
+  properties: {
+    summary: { type: 'object', required: true, description: 'Run summary (passRate, avgQualityScore, ...)' },
+    results: {
+      type: 'array',
+      required: true,
+      description: 'Per-case results',
+      items: {
+        type: 'object',
+        required: true,
+        properties: {
+          id: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Case id' },
+          status: { type: 'string', required: true, enum: ['passed', 'failed', 'error'] },
+          qualityScore: { type: 'number', nullable: true },
+          assertions: {
+            type: 'array',
+            required: true,
+            items: {
+              type: 'object',
+              required: true,
+              properties: {
+                type: { type: 'string', required: true, maxLength: 100 },
+                passed: { type: 'boolean', required: true }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+});
+
+const evalCompare = {
+  type: 'object',
+  description: 'Either stored run ids or run objects',
+  properties: {
+    baseRunId: { type: 'string', maxLength: 100, description: 'Stored base run' },
+    candidateRunId: { type: 'string', maxLength: 100, description: 'Stored candidate run' },
+    base: evalRunObject('Base run object, e.g. CLI output'),
+    candidate: evalRunObject('Candidate run object')
+  }
+};
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  conversation,
+  voiceAnalysis,
+  reviewGeneration,
+  locationSuggestion,
+  customerServiceResponse,
+  enhancedLLM,
+  compareModels,
+  responseQuality,
+  blogGeneration,
+  businessProfile,
+  businessProfileUpdate,
+  brandVoice,
+  brandVoiceUpdate,
+  reviewList,
+  reviewUpdate,
+  sessionCreate,
+  sessionList,
+  promptPreview,
+  promptVersion,
+  promptRollback,
+  tokenCreate,
+  credentialCreate,
+  register,
+  login,
+  workspaceCreate,
+  memberCreate,
+  memberUpdate,
+  usageSummary,
+  usageRecords,
+  evalRun,
+  evalRunList,
+  evalCompare
+};
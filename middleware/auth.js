@@ -0,0 +1,112 @@
+const apiTokenService = require('../services/apiTokenService');
+const accountService = require('../services/accountService');
+const rateLimiter = require('../services/rateLimiter');
+const { getRequestContext } = require('../utils/requestContext');
+const { AuthenticationError, ForbiddenError, ServiceUnavailableError } = require('../utils/errors');
+
+// Public: liveness checks, documentation, registration and sign-in
+const PUBLIC_PATHS = ['/api/health', '/api/test', '/api/docs', '/api/openapi.json', '/api/auth/register', '/api/auth/login'];
+
+const isPublic = (req) => {
+  const path = req.originalUrl.split('?')[0].replace(/\/+$/, '');
+  return PUBLIC_PATHS.some(publicPath => path === publicPath || path.startsWith(`${publicPath}/`));
+};
+
+const unauthenticated = (res, error) => {
+  res.set('WWW-Authenticate', 'Bearer');
+  return error;
+};
+
+// Require `Authorization: Bearer <token>` on every /api route except the
+// public ones. The token's principal is stored in req.auth (see
+// apiTokenService.authenticate). Workspace tokens act on their own workspace:
+// it replaces X-Workspace-Id, and a different X-Workspace-Id is rejected.
+// Signed-in users act on X-Workspace-Id (default: their first workspace) with
+// the scopes of their role there (req.auth.role). The server admin
+// (ADMIN_API_KEY) picks the workspace with X-Workspace-Id.
+// Rejected tokens count as failed attempts of the client IP; once it has
+// RATE_LIMIT_AUTH_MAX_FAILURES in the window its requests get 429 before any
+// token is checked (services/rateLimiter.js).
+const authenticate = async (req, res, next) => {
+  if (req.method === 'OPTIONS' || isPublic(req)) return next();
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (!/^Bearer$/i.test(scheme || '') || !token) {
+    return next(unauthenticated(res, new AuthenticationError('A bearer token is required (Authorization: Bearer <token>)', {
+      code: 'AUTHENTICATION_REQUIRED'
+    })));
+  }
+
+  const requested = req.get('X-Workspace-Id');
+  const attempt = [`ip:${req.ip}`];
+  try {
+    await rateLimiter.assertAuthAttemptsLeft(attempt);
+    req.auth = await apiTokenService.authenticate(token);
+    if (req.auth.userId) {
+      Object.assign(req.auth, await accountService.resolveMembership(req.auth.userId, requested));
+    }
+  } catch (error) {
+    if (error.status !== 401) return next(error);
+    await rateLimiter.recordAuthFailure(attempt);
+    return next(unauthenticated(res, error));
+  }
+
+  if (req.auth.workspace && requested && requested !== req.auth.workspace) {
+    return next(new ForbiddenError('This token belongs to another workspace', { code: 'WORKSPACE_MISMATCH' }));
+  }
+  if (req.auth.workspace) {
+    getRequestContext().workspace = req.auth.workspace;
+  }
+
+  next();
+};
+
+// Allow the route only to tokens with `scope` (admin tokens have every scope)
+// and to users whose role in the workspace grants it. The scope is kept on
+// the middleware for the OpenAPI document.
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (req.auth && req.auth.userId && !req.auth.role) {
+      return next(new ForbiddenError('You are not a member of this workspace', { code: 'NOT_A_MEMBER' }));
+    }
+    if (!req.auth || !apiTokenService.hasScope(req.auth, scope)) {
+      const message = req.auth && req.auth.role
+        ? `The ${req.auth.role} role does not allow this (needs the "${scope}" scope)`
+        : `This token lacks the "${scope}" scope`;
+      return next(new ForbiddenError(message, { code: 'INSUFFICIENT_SCOPE' }));
+    }
+    next();
+  };
+  middleware.scope = scope;
+  return middleware;
+};
+
+// Account routes (sign-out, own workspaces) act for a user, so they need a
+// session token from signing in
+const requireUser = (req, res, next) => {
+  if (!req.auth || !req.auth.userId) {
+    return next(new ForbiddenError('This endpoint needs a signed-in user (a session token from POST /api/auth/login)', { code: 'USER_REQUIRED' }));
+  }
+  next();
+};
+
+// Server-wide settings (the model registry) are shared by every workspace,
+// so only the server admin (ADMIN_API_KEY) may change them
+const requireServerAdmin = (req, res, next) => {
+  if (!process.env.ADMIN_API_KEY) {
+    return next(new ServiceUnavailableError('Server admin endpoints are disabled. Set ADMIN_API_KEY to enable them.', { code: 'ADMIN_DISABLED' }));
+  }
+  if (!req.auth || !req.auth.serverAdmin) {
+    return next(new ForbiddenError('Only the server admin key (ADMIN_API_KEY) may do this'));
+  }
+  next();
+};
+requireServerAdmin.scope = 'admin';
+
+module.exports = {
+  PUBLIC_PATHS,
+  authenticate,
+  requireScope,
+  requireUser,
+  requireServerAdmin
+};
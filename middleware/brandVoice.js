@@ -0,0 +1,14 @@
+const brandVoiceService = require('../services/brandVoiceService');
+const { getWorkspace } = require('./credentials');
+
+// Set req.brandVoice to the brand voice that applies to a generation request:
+// the voice of the business in req.business (see resolveBusiness), else the
+// workspace default, else null. Lookup failures never fail the request.
+const resolveBrandVoice = async (req, res, next) => {
+  req.brandVoice = await brandVoiceService.resolveVoice(getWorkspace(req), req.business);
+  next();
+};
+
+module.exports = {
+  resolveBrandVoice
+};
@@ -0,0 +1,27 @@
+const businessProfileService = require('../services/businessProfileService');
+const { getWorkspace } = require('./credentials');
+const { ValidationError, toAppError } = require('../utils/errors');
+
+// Load the business profile named by `businessId` in the body into
+// req.business (null without one). Generation routes pass it on to their
+// prompts; unknown ids fail with BUSINESS_NOT_FOUND.
+const resolveBusiness = async (req, res, next) => {
+  const { businessId } = req.body || {};
+  req.business = null;
+
+  if (businessId === undefined || businessId === null) return next();
+  if (typeof businessId !== 'string' || businessId === '') {
+    return next(new ValidationError('businessId must be a non-empty string'));
+  }
+
+  try {
+    req.business = await businessProfileService.getBusiness(getWorkspace(req), businessId);
+    next();
+  } catch (error) {
+    next(toAppError(error, 'Failed to load the business profile', 'BUSINESS_ERROR'));
+  }
+};
+
+module.exports = {
+  resolveBusiness
+};
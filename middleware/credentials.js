@@ -0,0 +1,123 @@
+const credentialVault = require('../services/credentialVault');
+const { hasProvider } = require('../services/providers');
+const { ValidationError, toAppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Workspace the request acts on: the workspace of the request's token, or
+// the X-Workspace-Id header for the server admin (see middleware/auth.js)
+const getWorkspace = (req) => (req.auth && req.auth.workspace) || req.get('X-Workspace-Id') || 'default';
+
+// Resolve the provider API key for a generation route and expose it as
+// req.apiKey. Clients should send `credentialId` (from POST /api/credentials);
+// a raw `apiKey` in the body still works but is deprecated. With neither, the
+// workspace's default credential for `provider` is used. With `optional`,
+// requests without any credential continue with req.apiKey = null.
+// The options are kept on the middleware for the OpenAPI document.
+const resolveApiKey = ({ provider, optional = false } = {}) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const { credentialId, apiKey } = req.body || {};
+
+      if (apiKey !== undefined && typeof apiKey !== 'string') {
+        return next(new ValidationError('API key must be a string', { code: 'INVALID_API_KEY' }));
+      }
+
+      const resolved = await credentialVault.resolveApiKey({
+        workspace: getWorkspace(req),
+        credentialId,
+        apiKey,
+        provider
+      });
+
+      if (!resolved && optional) {
+        req.apiKey = null;
+        req.credential = null;
+        return next();
+      }
+
+      if (!resolved) {
+        return next(new ValidationError('A provider credential is required. Send credentialId (or the deprecated apiKey).', {
+          code: 'INVALID_API_KEY'
+        }));
+      }
+
+      if (resolved.source === 'request') {
+        res.set('Deprecation', 'true');
+        res.set('Warning', '299 - "apiKey in the request body is deprecated; register a credential and send credentialId"');
+      }
+
+      req.apiKey = resolved.apiKey;
+      req.credential = resolved;
+      next();
+    } catch (error) {
+      next(toAppError(error, 'Failed to resolve credential', 'CREDENTIAL_ERROR'));
+    }
+  };
+
+  middleware.credential = { provider, optional };
+  return middleware;
+};
+
+// Resolve a per-provider credential map from the body into req.providerKeys:
+//   credentials: { anthropic: { credentialId: '...' }, openai: { apiKey: '...' } }
+// Used by endpoints that call several providers in one request.
+const resolveCredentialMap = async (req, res, next) => {
+  const { credentials = {} } = req.body || {};
+  req.providerKeys = {};
+
+  if (credentials === null || typeof credentials !== 'object' || Array.isArray(credentials)) {
+    return next(new ValidationError('credentials must be an object keyed by provider', { code: 'INVALID_CREDENTIALS' }));
+  }
+
+  try {
+    for (const [provider, entry] of Object.entries(credentials)) {
+      if (!hasProvider(provider)) {
+        return next(new ValidationError(`Unknown provider in credentials: ${provider}`, { code: 'UNKNOWN_PROVIDER' }));
+      }
+      if (!entry || (typeof entry.credentialId !== 'string' && typeof entry.apiKey !== 'string')) {
+        return next(new ValidationError(`credentials.${provider} must contain a credentialId or apiKey string`, { code: 'INVALID_CREDENTIALS' }));
+      }
+
+      const resolved = await credentialVault.resolveApiKey({
+        workspace: getWorkspace(req),
+        credentialId: entry.credentialId,
+        apiKey: entry.apiKey
+      });
+
+      if (resolved.provider && resolved.provider !== provider) {
+        return next(new ValidationError(`credentials.${provider} refers to a ${resolved.provider} credential`, { code: 'CREDENTIAL_PROVIDER_MISMATCH' }));
+      }
+      req.providerKeys[provider] = resolved.apiKey;
+    }
+    next();
+  } catch (error) {
+    next(toAppError(error, 'Failed to resolve credential', 'CREDENTIAL_ERROR'));
+  }
+};
+
+// Key lookup for requests that call several providers (fallback chains,
+// model comparison). Returns an async (provider) => apiKey | null function
+// for a request already handled by resolveApiKey: a key from the request's
+// credential map wins, then the resolved credential for its own provider, then
+// the workspace default credential. A raw body `apiKey` counts as a credential
+// for the route's declared provider only, so it is never sent to another one.
+const providerKeyResolver = (req) => async (provider) => {
+  if (req.providerKeys?.[provider]) return req.providerKeys[provider];
+  if (req.credential?.provider === provider) return req.apiKey;
+
+  try {
+    const stored = await credentialVault.resolveApiKey({ workspace: getWorkspace(req), provider });
+    if (stored) return stored.apiKey;
+  } catch (error) {
+    logger.warn('Failed to resolve credential', { provider, error });
+  }
+
+  return null;
+};
+
+module.exports = {
+  getWorkspace,
+  resolveApiKey,
+  resolveCredentialMap,
+  providerKeyResolver
+};
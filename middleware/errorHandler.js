@@ -0,0 +1,33 @@
+const { toAppError, NotFoundError, errorEnvelope } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Single place where errors become responses (see utils/errors.js).
+// Routes and middleware pass errors to next(); unknown errors become a 500.
+// Sets Retry-After (seconds) when a provider or circuit breaker supplied one.
+// The code is also kept in res.locals for the request log (middleware/requestLogger.js).
+const errorHandler = (err, req, res, next) => {
+  // Streaming responses report failures as SSE events (utils/sse.js)
+  if (res.headersSent) return next(err);
+
+  const error = toAppError(err);
+  res.locals.errorCode = error.code;
+  if (error.status >= 500) {
+    logger.error('Request failed', { code: error.code, status: error.status, error: error.cause || error });
+  }
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  res.status(error.status).json(errorEnvelope(error, req.id));
+};
+
+// Requests that matched no route
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError('Endpoint not found'));
+};
+
+module.exports = {
+  errorHandler,
+  notFoundHandler
+};
@@ -0,0 +1,72 @@
+const rateLimiter = require('../services/rateLimiter');
+const { getRequestContext } = require('../utils/requestContext');
+
+// Routes that call a model, counted in the generation tier (and against the
+// token budget); every other /api route is in the standard tier
+const GENERATION_ROUTES = [
+  'POST /api/llama',
+  'POST /api/voice/analyze',
+  'POST /api/voice/generate-review',
+  'POST /api/voice/suggest-location',
+  'POST /api/voice/customer-service-response',
+  'POST /api/enhanced-llm',
+  'POST /api/compare-models',
+  'POST /api/blog/generate',
+  'POST /api/evals/runs'
+];
+
+// Not rate limited: liveness checks and documentation
+const EXEMPT_PATHS = ['/api/health', '/api/test', '/api/docs', '/api/openapi.json'];
+
+const routeOf = (req) => req.originalUrl.split('?')[0].replace(/\/+$/, '') || '/';
+
+// Who a request is counted against: the API token it authenticated with
+// (middleware/auth.js), otherwise its IP address. Nothing the client sends
+// (body fields, X-Workspace-Id) names the counter, so it cannot pick a fresh one.
+const getRateLimitClient = (req) => (req.auth ? `token:${req.auth.tokenId}` : `ip:${req.ip}`);
+
+// The workspace whose shared budget a request is also counted against: the
+// one its token or membership was authenticated for (null for the server admin)
+const getRateLimitWorkspace = (req) => (req.auth && req.auth.workspace) || null;
+
+const getRateLimitTier = (req) => (GENERATION_ROUTES.includes(`${req.method} ${routeOf(req)}`) ? 'generation' : 'standard');
+
+// Count the request against its client's and workspace's budgets
+// (services/rateLimiter.js). Mounted after authentication, which names both.
+// Sets the RateLimit-* headers of the request's tier and passes a 429 to the
+// error handler once the budget is used up.
+const clientRateLimit = async (req, res, next) => {
+  const path = routeOf(req);
+  if (req.method === 'OPTIONS' || EXEMPT_PATHS.some(exempt => path === exempt || path.startsWith(`${exempt}/`))) {
+    return next();
+  }
+
+  const client = getRateLimitClient(req);
+  const workspace = getRateLimitWorkspace(req);
+  const tier = getRateLimitTier(req);
+  req.rateLimitClient = client;
+  // Lets the LLM client charge the tokens of this request to the client and workspace
+  Object.assign(getRequestContext(), { rateLimitClient: client, rateLimitWorkspace: workspace });
+
+  try {
+    const status = await rateLimiter.consume(client, tier, workspace);
+    if (status) {
+      res.set({
+        'RateLimit-Limit': String(status.limit),
+        'RateLimit-Remaining': String(status.remaining),
+        'RateLimit-Reset': String(Math.max(0, Math.ceil((new Date(status.resetAt).getTime() - Date.now()) / 1000)))
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  GENERATION_ROUTES,
+  getRateLimitClient,
+  getRateLimitWorkspace,
+  getRateLimitTier,
+  clientRateLimit
+};
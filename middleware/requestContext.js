@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const { runWithRequestContext } = require('../utils/requestContext');
+const { getWorkspace } = require('./credentials');
+
+// Ids accepted from an upstream proxy or client in X-Request-Id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Start the request context used by services and the logger (see
+// utils/requestContext.js). Every request gets an id (req.id): the caller's
+// X-Request-Id when it is a plain token, otherwise a new UUID. It is echoed
+// in the X-Request-Id response header and carried as `requestId` by log
+// entries, usage records and error responses.
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  runWithRequestContext({
+    requestId: req.id,
+    workspace: getWorkspace(req),
+    endpoint: `${req.method} ${req.path}`
+  }, next);
+};
+
+module.exports = {
+  requestContext
+};
@@ -0,0 +1,33 @@
+const logger = require('../utils/logger');
+
+// One structured log entry per request once the response is finished or the
+// client goes away. The query string is left out because it may carry
+// filters with user text; errors add their `code` (see middleware/errorHandler.js).
+const requestLogger = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('close', () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+
+    logger[level]('Request completed', {
+      // The response may close outside the request's async context
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status,
+      code: res.locals.errorCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+      contentLength: Number(res.get('Content-Length')) || undefined,
+      aborted: res.writableFinished ? undefined : true,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  requestLogger
+};
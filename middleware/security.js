@@ -1,7 +1,7 @@
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const compression = require('compression');
-const morgan = require('morgan');
+const { ForbiddenError } = require('../utils/errors');
+const logger = require('../utils/logger');
 
 // Security middleware
 const securityMiddleware = helmet({
@@ -15,18 +15,6 @@ const securityMiddleware = helmet({
   },
 });
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.',
-    retryAfter: '15 minutes'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
 // CORS configuration
 const corsOptions = {
   origin: function (origin, callback) {
@@ -43,26 +31,22 @@ const corsOptions = {
     if (allowedOrigins.includes(origin)) {
       callback(null, true);
     } else {
-      console.log('CORS blocked origin:', origin);
-      callback(new Error('Not allowed by CORS'));
+      logger.warn('CORS blocked origin', { origin });
+      callback(new ForbiddenError('Not allowed by CORS', { code: 'CORS_NOT_ALLOWED' }));
     }
   },
   credentials: true,
   optionsSuccessStatus: 200,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Workspace-Id', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'WWW-Authenticate', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 };
 
 // Compression middleware
 const compressionMiddleware = compression();
 
-// Logging middleware
-const loggingMiddleware = morgan('combined');
-
 module.exports = {
   securityMiddleware,
-  limiter,
   corsOptions,
-  compressionMiddleware,
-  loggingMiddleware
+  compressionMiddleware
 }; 
\ No newline at end of file
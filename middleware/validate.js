@@ -0,0 +1,35 @@
+const { validateRequest } = require('../utils/requestValidation');
+const { ValidationError } = require('../utils/errors');
+
+// Validate req.body (or with { source: 'query' }, req.query) against a schema
+// from config/requestSchemas.js.
+// On success it is replaced by the validated copy (defaults applied, text
+// sanitized). Otherwise fails with a 400 ValidationError listing every
+// failing field: { success: false, error, code, errors: [{ field, message, code }] }
+// `code` is the failures' shared code (e.g. TEXT_TOO_LONG), else INVALID_INPUT.
+// The schema is kept on the middleware for the OpenAPI document (utils/openApi.js):
+// as `schema` for bodies and `querySchema` for query strings.
+const validate = (schema, { source = 'body' } = {}) => {
+  const middleware = (req, res, next) => {
+    const { value, errors } = validateRequest(req[source] || {}, schema, { query: source === 'query' });
+
+    if (errors.length > 0) {
+      const codes = [...new Set(errors.map(error => error.code))];
+      return next(new ValidationError(errors.map(error => error.message).join('; '), {
+        code: codes.length === 1 ? codes[0] : 'INVALID_INPUT',
+        errors
+      }));
+    }
+
+    req[source] = value;
+    next();
+  };
+
+  if (source === 'query') middleware.querySchema = schema;
+  else middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = {
+  validate
+};
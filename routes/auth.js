@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const accountService = require('../services/accountService');
+const apiTokenService = require('../services/apiTokenService');
+const rateLimiter = require('../services/rateLimiter');
+const { requireUser } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+const { toAppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Create an account and its first workspace (the user is its owner).
+// Signs the user in: the response carries a session token.
+router.post('/auth/register', validate(schemas.register), async (req, res, next) => {
+  try {
+    const { email, password, name, workspaceName } = req.body;
+
+    const { user, workspace } = await accountService.register({ email, password, name, workspaceName });
+    const session = await apiTokenService.issueSession(user.id);
+
+    logger.info('User registered', { userId: user.id, workspaceSlug: workspace.slug });
+
+    res.status(201).json({
+      success: true,
+      user,
+      workspaces: [workspace],
+      session
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to register', 'ACCOUNT_ERROR'));
+  }
+});
+
+// Counters a sign-in attempt is throttled by: the client IP and the account.
+// The email is hashed so it never becomes a counter name.
+const loginAttemptKeys = (req, email) => [
+  `ip:${req.ip}`,
+  `account:${crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex').slice(0, 16)}`
+];
+
+// Sign in with email and password; returns a session token. Wrong passwords
+// count as failed attempts of the IP and the account; either one reaching
+// RATE_LIMIT_AUTH_MAX_FAILURES in the window blocks sign-in with 429.
+router.post('/auth/login', validate(schemas.login), async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+    const attempt = loginAttemptKeys(req, email);
+
+    await rateLimiter.assertAuthAttemptsLeft(attempt);
+    const user = await accountService.authenticate({ email, password }).catch(async (error) => {
+      if (error.code === 'INVALID_LOGIN') await rateLimiter.recordAuthFailure(attempt);
+      throw error;
+    });
+    const [workspaces, session] = await Promise.all([
+      accountService.listWorkspaces(user.id),
+      apiTokenService.issueSession(user.id)
+    ]);
+
+    logger.info('User signed in', { userId: user.id });
+
+    res.json({
+      success: true,
+      user,
+      workspaces,
+      session
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to sign in', 'ACCOUNT_ERROR'));
+  }
+});
+
+// Revoke the session token the request was made with
+router.post('/auth/logout', requireUser, async (req, res, next) => {
+  try {
+    await apiTokenService.revokeSession(req.auth.tokenId);
+    res.json({ success: true });
+  } catch (error) {
+    next(toAppError(error, 'Failed to sign out', 'ACCOUNT_ERROR'));
+  }
+});
+
+// The signed-in user, their workspaces and the workspace and role the
+// request acted on
+router.get('/auth/me', requireUser, async (req, res, next) => {
+  try {
+    const [user, workspaces] = await Promise.all([
+      accountService.getUser(req.auth.userId),
+      accountService.listWorkspaces(req.auth.userId)
+    ]);
+
+    res.json({
+      success: true,
+      user,
+      workspaces,
+      workspace: req.auth.workspace,
+      role: req.auth.role
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to load the account', 'ACCOUNT_ERROR'));
+  }
+});
+
+module.exports = router;
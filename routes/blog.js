@@ -1,59 +1,27 @@
 const express = require('express');
 const router = express.Router();
-
-// Import the selectModel function from server.js
-function selectModel(useCase) {
-  const LLM_MODELS = {
-    reviewGenerator: {
-      name: 'meta/llama-3.1-70b-instruct',
-      baseURL: 'https://integrate.api.nvidia.com/v1/chat/completions',
-      temperature: 0.9,
-      maxTokens: 1000,
-      strengths: ['creative_writing', 'engagement', 'authenticity'],
-      description: 'Optimized for creative, engaging review generation'
-    },
-    customerService: {
-      name: 'meta/llama-3.1-70b-instruct',
-      baseURL: 'https://integrate.api.nvidia.com/v1/chat/completions',
-      temperature: 0.7,
-      maxTokens: 800,
-      strengths: ['empathy', 'professional', 'problem_solving'],
-      description: 'Optimized for empathetic customer service responses'
-    },
-    voiceAnalysis: {
-      name: 'meta/llama-3.1-70b-instruct',
-      baseURL: 'https://integrate.api.nvidia.com/v1/chat/completions',
-      temperature: 0.3,
-      maxTokens: 2048,
-      strengths: ['analysis', 'detail', 'accuracy'],
-      description: 'Optimized for detailed voice analysis'
-    },
-    blogGenerator: {
-      name: 'meta/llama-3.1-70b-instruct',
-      baseURL: 'https://integrate.api.nvidia.com/v1/chat/completions',
-      temperature: 0.7,
-      maxTokens: 1500,
-      strengths: ['content_creation', 'seo_optimization', 'brand_voice', 'engagement'],
-      description: 'Optimized for creating engaging, SEO-friendly blog content'
-    }
-  };
-
-  switch (useCase) {
-    case 'review_generation':
-      return LLM_MODELS.reviewGenerator;
-    case 'customer_service':
-      return LLM_MODELS.customerService;
-    case 'voice_analysis':
-      return LLM_MODELS.voiceAnalysis;
-    case 'blog_generation':
-      return LLM_MODELS.blogGenerator;
-    default:
-      return LLM_MODELS.reviewGenerator;
-  }
-}
+const llmClient = require('../services/llmClient');
+const modelRegistry = require('../services/modelRegistry');
+const promptTemplates = require('../services/promptTemplateService');
+const businessProfileService = require('../services/businessProfileService');
+const brandVoiceService = require('../services/brandVoiceService');
+const { resolveApiKey, getWorkspace } = require('../middleware/credentials');
+const { ValidationError, toAppError } = require('../utils/errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+const { requireScope } = require('../middleware/auth');
+const { resolveBusiness } = require('../middleware/business');
+const { resolveBrandVoice } = require('../middleware/brandVoice');
+
+// Word count targets for the `length` option
+const TARGET_WORD_COUNTS = {
+  short: '300-500',
+  medium: '600-800',
+  long: '900-1200'
+};
 
 // Blog post generation endpoint
-router.post('/blog/generate', async (req, res) => {
+router.post('/blog/generate', requireScope('generate'), validate(schemas.blogGeneration), resolveApiKey({ provider: 'nvidia' }), resolveBusiness, resolveBrandVoice, async (req, res, next) => {
   try {
     const {
       topic,
@@ -65,141 +33,97 @@ router.post('/blog/generate', async (req, res) => {
       tone,
       length,
       keyPoints,
-      specialFeatures,
-      apiKey
+      specialFeatures
     } = req.body;
+    const { apiKey, business, brandVoice } = req;
 
-    // Validate required fields
-    if (!topic || !restaurantName || !apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: topic, restaurantName, and apiKey are required'
-      });
-    }
-
-    // Select appropriate model for blog generation
-    const model = selectModel('blog_generation');
-    
-    // Determine word count based on length preference
-    let targetWordCount;
-    switch (length) {
-      case 'short':
-        targetWordCount = '300-500';
-        break;
-      case 'long':
-        targetWordCount = '900-1200';
-        break;
-      default:
-        targetWordCount = '600-800';
+    // Restaurant details not sent in the request come from the business profile
+    const name = restaurantName || business?.name;
+    if (!name) {
+      throw new ValidationError('restaurantName is required unless businessId is sent');
     }
 
-    // Create comprehensive prompt for blog generation
-    const prompt = `Create a professional blog post for a restaurant business with the following specifications:
-
-RESTAURANT DETAILS:
-- Name: ${restaurantName}
-- Type: ${restaurantType}
-- Cuisine: ${cuisine || 'Various'}
-- Location: ${location || 'Not specified'}
-
-BLOG SPECIFICATIONS:
-- Topic: ${topic}
-- Target Audience: ${targetAudience}
-- Writing Tone: ${tone}
-- Target Length: ${targetWordCount} words
-
-ADDITIONAL INFORMATION:
-${keyPoints ? `- Key Points to Include: ${keyPoints}` : ''}
-${specialFeatures ? `- Special Features: ${specialFeatures}` : ''}
+    // The brand voice tone is authoritative, as the voice is described to the
+    // model as well; a different request `tone` is ignored and reported back
+    const voiceTone = brandVoiceService.describeTone(brandVoice);
+    const toneConflict = voiceTone && tone && tone.trim().toLowerCase() !== voiceTone.toLowerCase()
+      ? { requested: tone, used: voiceTone }
+      : undefined;
 
-INSTRUCTIONS:
-Write an engaging, SEO-friendly blog post that:
-1. Captures the reader's attention with a compelling headline
-2. Provides valuable content relevant to the target audience
-3. Maintains the specified tone throughout
-4. Includes natural mentions of the restaurant and its offerings
-5. Uses proper paragraph structure and formatting
-6. Ends with a call-to-action encouraging readers to visit
-7. Incorporates the key points and special features naturally
-8. Uses conversational language that feels authentic and engaging
-
-The blog post should be well-structured with:
-- An engaging introduction
-- 2-3 main content sections
-- A compelling conclusion
-- Natural integration of restaurant branding
-
-Please generate the complete blog post content only, without any additional formatting or explanations.`;
+    // Select appropriate model for blog generation
+    const model = modelRegistry.resolve('blog_generation');
+    const targetWordCount = TARGET_WORD_COUNTS[length];
+
+    // Render the blog prompts (built-in or the workspace's active versions)
+    const workspace = getWorkspace(req);
+    const [systemPrompt, prompt] = await Promise.all([
+      promptTemplates.render('blog_generation.system', {}, { workspace }),
+      promptTemplates.render('blog_generation.user', {
+        restaurantName: name,
+        restaurantType: restaurantType || business?.category,
+        cuisine: cuisine || business?.cuisine || 'Various',
+        location: location || business?.address || 'Not specified',
+        topic,
+        targetAudience,
+        tone: voiceTone || tone || 'friendly',
+        targetWordCount,
+        keyPoints,
+        specialFeatures,
+        business: businessProfileService.describe(business),
+        brandVoice: brandVoiceService.describe(brandVoice)
+      }, { workspace })
+    ]);
 
     // Generate blog post using the selected model
-    try {
-      const axios = require('axios');
-      
-      const response = await axios.post(model.baseURL, {
-        model: model.name,
-        messages: [
-          {
-            role: 'system',
-            content: `You are a professional content writer specializing in restaurant blog creation. Create engaging, SEO-friendly blog posts that help restaurants connect with their audience.`
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: model.temperature,
-        max_tokens: model.maxTokens,
-        stream: false
-      }, {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
+    const completion = await llmClient.chat({
+      provider: model.provider,
+      apiKey,
+      messages: [
+        {
+          role: 'system',
+          content: systemPrompt
+        },
+        {
+          role: 'user',
+          content: prompt
         }
-      });
+      ],
+      params: modelRegistry.requestParams(model)
+    });
 
-      const blogContent = response.data.choices[0].message.content;
-      
-      res.json({
-        success: true,
-        blogPost: blogContent,
-        wordCount: blogContent.split(/\s+/).length,
-        model: model.name
-      });
-    } catch (apiError) {
-      console.error('API Error:', apiError.response?.data || apiError.message);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to generate blog post. Please check your API key and try again.'
-      });
-    }
+    const blogContent = completion.content;
 
-  } catch (error) {
-    console.error('Blog generation error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error during blog generation'
+    res.json({
+      success: true,
+      blogPost: blogContent,
+      wordCount: blogContent.split(/\s+/).length,
+      model: model.id,
+      brandVoiceCheck: brandVoiceService.check(blogContent, brandVoice),
+      toneConflict
     });
+  } catch (error) {
+    next(toAppError(error, 'Failed to generate blog post', 'BLOG_GENERATION_ERROR'));
   }
 });
 
 // Get blog generation model info
-router.get('/blog/model', (req, res) => {
+router.get('/blog/model', requireScope('generate'), (req, res, next) => {
   try {
-    const model = selectModel('blog_generation');
+    const model = modelRegistry.resolve('blog_generation');
     res.json({
       success: true,
       model: {
-        name: model.name,
+        name: model.id,
+        displayName: model.name,
+        provider: model.providerName,
         description: model.description,
         useCase: 'blog_generation',
-        strengths: model.strengths || ['Content Creation', 'SEO Optimization', 'Brand Voice', 'Engagement']
+        strengths: model.strengths.length > 0 ? model.strengths : ['Content Creation', 'SEO Optimization', 'Brand Voice', 'Engagement'],
+        params: model.params
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get blog model information'
-    });
+    next(toAppError(error, 'Failed to get blog model information', 'MODELS_ERROR'));
   }
 });
 
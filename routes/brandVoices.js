@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const brandVoiceService = require('../services/brandVoiceService');
+const { requireScope } = require('../middleware/auth');
+const { getWorkspace } = require('../middleware/credentials');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+const { toAppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Create a brand voice. Attach it to the workspace with `isDefault` or to a
+// business profile with its `brandVoiceId`.
+router.post('/brand-voices', requireScope('businesses:write'), validate(schemas.brandVoice), async (req, res, next) => {
+  try {
+    const brandVoice = await brandVoiceService.createVoice(getWorkspace(req), req.body);
+
+    logger.info('Brand voice created', { brandVoiceId: brandVoice.id, isDefault: brandVoice.isDefault });
+
+    res.status(201).json({
+      success: true,
+      brandVoice
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to create brand voice', 'BRAND_VOICE_ERROR'));
+  }
+});
+
+// List the workspace's brand voices
+router.get('/brand-voices', requireScope('generate'), async (req, res, next) => {
+  try {
+    const brandVoices = await brandVoiceService.listVoices(getWorkspace(req));
+    res.json({
+      success: true,
+      brandVoices
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to list brand voices', 'BRAND_VOICE_ERROR'));
+  }
+});
+
+// Fetch a brand voice
+router.get('/brand-voices/:id', requireScope('generate'), async (req, res, next) => {
+  try {
+    const brandVoice = await brandVoiceService.getVoice(getWorkspace(req), req.params.id);
+    res.json({
+      success: true,
+      brandVoice
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to fetch brand voice', 'BRAND_VOICE_ERROR'));
+  }
+});
+
+// Update selected fields of a brand voice; lists are replaced as a whole
+router.patch('/brand-voices/:id', requireScope('businesses:write'), validate(schemas.brandVoiceUpdate), async (req, res, next) => {
+  try {
+    const brandVoice = await brandVoiceService.updateVoice(getWorkspace(req), req.params.id, req.body);
+
+    logger.info('Brand voice updated', { brandVoiceId: brandVoice.id, isDefault: brandVoice.isDefault });
+
+    res.json({
+      success: true,
+      brandVoice
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to update brand voice', 'BRAND_VOICE_ERROR'));
+  }
+});
+
+// Delete a brand voice; business profiles using it fall back to the workspace default
+router.delete('/brand-voices/:id', requireScope('businesses:write'), async (req, res, next) => {
+  try {
+    await brandVoiceService.deleteVoice(getWorkspace(req), req.params.id);
+
+    logger.info('Brand voice deleted', { brandVoiceId: req.params.id });
+
+    res.json({
+      success: true,
+      id: req.params.id
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to delete brand voice', 'BRAND_VOICE_ERROR'));
+  }
+});
+
+module.exports = router;
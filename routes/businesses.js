@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const businessProfileService = require('../services/businessProfileService');
+const { requireScope } = require('../middleware/auth');
+const { getWorkspace } = require('../middleware/credentials');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+const { toAppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Create a business profile. Generation routes accept its id as `businessId`.
+router.post('/businesses', requireScope('businesses:write'), validate(schemas.businessProfile), async (req, res, next) => {
+  try {
+    const business = await businessProfileService.createBusiness(getWorkspace(req), req.body);
+
+    logger.info('Business profile created', { businessId: business.id });
+
+    res.status(201).json({
+      success: true,
+      business
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to create business profile', 'BUSINESS_ERROR'));
+  }
+});
+
+// List the workspace's business profiles
+router.get('/businesses', requireScope('generate'), async (req, res, next) => {
+  try {
+    const businesses = await businessProfileService.listBusinesses(getWorkspace(req));
+    res.json({
+      success: true,
+      businesses
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to list business profiles', 'BUSINESS_ERROR'));
+  }
+});
+
+// Fetch a business profile
+router.get('/businesses/:id', requireScope('generate'), async (req, res, next) => {
+  try {
+    const business = await businessProfileService.getBusiness(getWorkspace(req), req.params.id);
+    res.json({
+      success: true,
+      business
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to fetch business profile', 'BUSINESS_ERROR'));
+  }
+});
+
+// Update selected fields of a business profile; lists are replaced as a whole
+router.patch('/businesses/:id', requireScope('businesses:write'), validate(schemas.businessProfileUpdate), async (req, res, next) => {
+  try {
+    const business = await businessProfileService.updateBusiness(getWorkspace(req), req.params.id, req.body);
+
+    logger.info('Business profile updated', { businessId: business.id });
+
+    res.json({
+      success: true,
+      business
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to update business profile', 'BUSINESS_ERROR'));
+  }
+});
+
+// Delete a business profile
+router.delete('/businesses/:id', requireScope('businesses:write'), async (req, res, next) => {
+  try {
+    await businessProfileService.deleteBusiness(getWorkspace(req), req.params.id);
+
+    logger.info('Business profile deleted', { businessId: req.params.id });
+
+    res.json({
+      success: true,
+      id: req.params.id
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to delete business profile', 'BUSINESS_ERROR'));
+  }
+});
+
+module.exports = router;
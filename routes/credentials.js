@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const credentialVault = require('../services/credentialVault');
+const { requireScope } = require('../middleware/auth');
+const { getWorkspace } = require('../middleware/credentials');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+const { NotFoundError, toAppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Register a provider API key for the workspace.
+// Returns an opaque credential id that generation routes accept as `credentialId`.
+router.post('/credentials', requireScope('admin'), validate(schemas.credentialCreate), async (req, res, next) => {
+  try {
+    const { provider, apiKey, label, isDefault } = req.body;
+
+    const credential = await credentialVault.createCredential({
+      workspace: getWorkspace(req),
+      provider,
+      apiKey,
+      label,
+      isDefault
+    });
+
+    logger.info('Credential registered', { provider: credential.provider, credentialId: credential.id });
+
+    res.status(201).json({
+      success: true,
+      credential
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to register credential', 'CREDENTIAL_ERROR'));
+  }
+});
+
+// List the workspace's credentials (key material is never returned)
+router.get('/credentials', requireScope('admin'), async (req, res, next) => {
+  try {
+    const credentials = await credentialVault.listCredentials(getWorkspace(req));
+    res.json({
+      success: true,
+      credentials
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to list credentials', 'CREDENTIAL_ERROR'));
+  }
+});
+
+// Delete a credential
+router.delete('/credentials/:id', requireScope('admin'), async (req, res, next) => {
+  try {
+    const deleted = await credentialVault.deleteCredential(getWorkspace(req), req.params.id);
+
+    if (!deleted) {
+      throw new NotFoundError('Credential not found for this workspace', { code: 'CREDENTIAL_NOT_FOUND' });
+    }
+
+    res.json({
+      success: true,
+      id: req.params.id
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to delete credential', 'CREDENTIAL_ERROR'));
+  }
+});
+
+module.exports = router;
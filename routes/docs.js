@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-express');
+const { buildOpenApiSpec } = require('../utils/openApi');
+const { toAppError } = require('../utils/errors');
+
+// Routes are fixed once the app is mounted, so the document is built on first use
+let spec = null;
+const getSpec = (app) => {
+  spec = spec || buildOpenApiSpec(app);
+  return spec;
+};
+
+// OpenAPI 3 document generated from the mounted routes (see utils/openApi.js)
+router.get('/openapi.json', (req, res, next) => {
+  try {
+    res.json(getSpec(req.app));
+  } catch (error) {
+    next(toAppError(error, 'Failed to build the API documentation'));
+  }
+});
+
+// Interactive documentation (Swagger UI) for the same document
+const attachSpec = (req, res, next) => {
+  req.swaggerDoc = getSpec(req.app);
+  next();
+};
+
+router.use('/docs', attachSpec, swaggerUi.serve);
+router.get('/docs', attachSpec, swaggerUi.setup(null, { customSiteTitle: 'ReviewGen API' }));
+
+module.exports = router;
@@ -3,55 +3,92 @@ const router = express.Router();
 const enhancedLLMService = require('../services/enhancedLLMService');
 const ResponseQualityAnalyzer = require('../utils/responseQualityAnalyzer');
 const { Review, mongoose } = require('../config/database');
+const { wantsEventStream, streamEvents } = require('../utils/sse');
+const { ValidationError, toAppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { resolveApiKey, resolveCredentialMap, getWorkspace, providerKeyResolver } = require('../middleware/credentials');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+const { requireScope } = require('../middleware/auth');
+const { resolveBusiness } = require('../middleware/business');
+const { resolveBrandVoice } = require('../middleware/brandVoice');
+const brandVoiceService = require('../services/brandVoiceService');
 
 // Initialize response quality analyzer
 const qualityAnalyzer = new ResponseQualityAnalyzer();
 
+// Save an enhanced response, its quality analysis and brand voice check to
+// the workspace's reviews in MongoDB (if available)
+async function saveEnhancedResponse(context, inputText, result, qualityAnalysis, brandVoiceCheck) {
+  if (mongoose.connection.readyState !== 1) return;
+
+  try {
+    await Review.create({
+      workspace: context.workspace,
+      review: inputText,
+      sentiment: result.analysis.sentiment,
+      aiResponse: result.response,
+      handledBy: 'Enhanced AI',
+      type: 'enhanced_llm',
+      extra: { 
+        model: result.model,
+        attempts: result.attempts,
+        refinementIterations: result.refinement?.iterations,
+        qualityScore: qualityAnalysis.overallScore,
+        contentType: result.analysis.contentType,
+        confidence: result.confidence,
+        qualityAnalysis: qualityAnalysis,
+        businessId: context.business?.id,
+        brandVoiceCheck
+      }
+    });
+    logger.debug('Enhanced response saved to database');
+  } catch (dbError) {
+    logger.warn('Failed to save to database', { error: dbError });
+  }
+}
+
 // Enhanced LLM endpoint with multi-model support and quality analysis
-router.post('/enhanced-llm', async (req, res) => {
+router.post('/enhanced-llm', requireScope('generate'), validate(schemas.enhancedLLM), resolveApiKey({ provider: 'nvidia' }), resolveBusiness, resolveBrandVoice, async (req, res, next) => {
   try {
-    const { text, prompt, apiKey, conversationHistory = [], context = {} } = req.body;
-    
-    // Accept both 'text' and 'prompt' parameters for compatibility
-    const inputText = text || prompt;
-    
-    // Input validation
-    if (!inputText || typeof inputText !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Text/prompt input is required and must be a string',
-        code: 'INVALID_INPUT'
-      });
-    }
+    // `text` is filled from `prompt` by the schema for compatibility
+    const { text } = req.body;
+    // Fallback models may use other providers' credentials from the workspace
+    const apiKey = providerKeyResolver(req);
+    const context = { ...req.body.context, workspace: getWorkspace(req), business: req.business, brandVoice: req.brandVoice };
+
+    // Opt-in SSE streaming: relay token deltas, then a final `done` event
+    // carrying usage, model, the quality analysis and the brand voice check
+    // of the cleaned text
+    if (wantsEventStream(req)) {
+      logger.debug('Streaming enhanced LLM request', { text });
+
+      const events = enhancedLLMService.streamEnhancedResponse(text, apiKey, context);
+      return await streamEvents(res, events, {
+        onEvent: async (event) => {
+          if (event.type !== 'done') return null;
+
+          const { type, ...result } = event;
+          const qualityAnalysis = qualityAnalyzer.analyzeResponseQuality(
+            result.response,
+            result.analysis.contentType,
+            context
+          );
 
-    if (!apiKey || typeof apiKey !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'API key is required and must be a string',
-        code: 'INVALID_API_KEY'
-      });
-    }
+          const brandVoiceCheck = brandVoiceService.check(result.response, context.brandVoice);
 
-    // Text length validation
-    if (inputText.length > 4000) {
-      return res.status(400).json({
-        success: false,
-        error: 'Text input is too long. Maximum 4000 characters allowed.',
-        code: 'TEXT_TOO_LONG'
+          logger.info('Enhanced stream completed', { qualityScore: qualityAnalysis.overallScore, model: result.model });
+          await saveEnhancedResponse(context, text, result, qualityAnalysis, brandVoiceCheck);
+
+          return { ...result, qualityAnalysis, brandVoiceCheck };
+        }
       });
     }
 
-    // Sanitize input
-    const sanitizedText = inputText.trim().replace(/[<>]/g, '');
-
-    console.log(`🎯 Processing enhanced LLM request: ${sanitizedText.substring(0, 100)}...`);
+    logger.debug('Processing enhanced LLM request', { text });
 
     // Generate enhanced response using multi-model approach
-    const result = await enhancedLLMService.generateEnhancedResponse(sanitizedText, apiKey, context);
-    
-    if (!result.success) {
-      throw new Error(result.error);
-    }
+    const result = await enhancedLLMService.generateEnhancedResponse(text, apiKey, context);
 
     // Analyze response quality
     const qualityAnalysis = qualityAnalyzer.analyzeResponseQuality(
@@ -59,214 +96,108 @@ router.post('/enhanced-llm', async (req, res) => {
       result.analysis.contentType, 
       context
     );
+    const brandVoiceCheck = brandVoiceService.check(result.response, context.brandVoice);
 
-    console.log(`✅ Enhanced response generated with quality score: ${qualityAnalysis.overallScore.toFixed(2)}`);
-    console.log(`🤖 Model used: ${result.model}`);
-    console.log(`📊 Content type: ${result.analysis.contentType}`);
+    logger.info('Enhanced response generated', {
+      qualityScore: qualityAnalysis.overallScore,
+      model: result.model,
+      contentType: result.analysis.contentType
+    });
 
-    // Save to MongoDB if available
-    if (mongoose.connection.readyState === 1) {
-      try {
-        await Review.create({
-          review: sanitizedText,
-          sentiment: result.analysis.sentiment,
-          aiResponse: result.response,
-          handledBy: 'Enhanced AI',
-          type: 'enhanced_llm',
-          extra: { 
-            model: result.model,
-            qualityScore: qualityAnalysis.overallScore,
-            contentType: result.analysis.contentType,
-            confidence: result.confidence,
-            qualityAnalysis: qualityAnalysis
-          }
-        });
-        console.log('💾 Enhanced response saved to database');
-      } catch (dbError) {
-        console.warn('⚠️  Failed to save to database:', dbError.message);
-      }
-    }
+    await saveEnhancedResponse(context, text, result, qualityAnalysis, brandVoiceCheck);
 
     res.json({
       success: true,
       response: result.response,
       analysis: result.analysis,
       model: result.model,
+      answeredBy: result.answeredBy,
+      attempts: result.attempts,
+      refinement: result.refinement,
       strategy: result.strategy,
       confidence: result.confidence,
       qualityAnalysis: qualityAnalysis,
+      brandVoiceCheck,
       timestamp: result.timestamp
     });
-
   } catch (error) {
-    console.error('Enhanced LLM Error:', error);
-    
-    // Handle specific error types
-    if (error.status === 401 || error.code === 'authentication_error') {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or missing API key. Please check your API key configuration.',
-        code: 'INVALID_API_KEY'
-      });
-    }
-
-    if (error.code === 'insufficient_quota') {
-      return res.status(429).json({
-        success: false,
-        error: 'API quota exceeded. Please try again later.',
-        code: 'QUOTA_EXCEEDED'
-      });
-    }
-
-    if (error.code === 'rate_limit_exceeded') {
-      return res.status(429).json({
-        success: false,
-        error: 'Rate limit exceeded. Please try again later.',
-        code: 'RATE_LIMIT_EXCEEDED'
-      });
-    }
-
-    // Generic error response
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate enhanced response',
-      code: 'ENHANCED_LLM_ERROR',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(toAppError(error, 'Failed to generate enhanced response', 'ENHANCED_LLM_ERROR'));
   }
 });
 
 // Response quality analysis endpoint
-router.post('/analyze-response-quality', async (req, res) => {
+router.post('/analyze-response-quality', requireScope('generate'), validate(schemas.responseQuality), async (req, res, next) => {
   try {
-    const { response, contentType = 'general', context = {} } = req.body;
-    
-    // Input validation
-    if (!response || typeof response !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Response text is required and must be a string',
-        code: 'INVALID_INPUT'
-      });
-    }
+    const { response, contentType, context } = req.body;
 
     // Analyze response quality
     const qualityAnalysis = qualityAnalyzer.analyzeResponseQuality(response, contentType, context);
 
-    console.log(`📊 Response quality analyzed. Score: ${qualityAnalysis.overallScore.toFixed(2)}`);
+    logger.info('Response quality analyzed', { qualityScore: qualityAnalysis.overallScore });
 
     res.json({
       success: true,
       qualityAnalysis: qualityAnalysis,
       timestamp: new Date().toISOString()
     });
-
   } catch (error) {
-    console.error('Response Quality Analysis Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to analyze response quality',
-      code: 'QUALITY_ANALYSIS_ERROR',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(toAppError(error, 'Failed to analyze response quality', 'QUALITY_ANALYSIS_ERROR'));
   }
 });
 
-// Model comparison endpoint
-router.post('/compare-models', async (req, res) => {
+// Model comparison endpoint.
+// Runs the input through `models` (registry keys; default: the use case chain
+// the input is routed to) concurrently. `credentials` maps providers to a
+// credentialId or apiKey; other providers use the workspace defaults.
+// Limits on models and timeoutMs are in config/requestSchemas.js.
+router.post('/compare-models', requireScope('generate'), validate(schemas.compareModels), resolveApiKey({ provider: 'nvidia', optional: true }), resolveCredentialMap, resolveBusiness, resolveBrandVoice, async (req, res, next) => {
   try {
-    const { text, apiKey, context = {} } = req.body;
+    const { text, models, timeoutMs } = req.body;
+    const context = { ...req.body.context, workspace: getWorkspace(req), business: req.business, brandVoice: req.brandVoice };
     
-    // Input validation
-    if (!text || typeof text !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Text input is required and must be a string',
-        code: 'INVALID_INPUT'
+    const unknownModels = (models || []).filter(key => !enhancedLLMService.hasModel(key));
+    if (unknownModels.length > 0) {
+      throw new ValidationError(`Unknown models: ${unknownModels.join(', ')}`, {
+        code: 'UNKNOWN_MODEL',
+        availableModels: Object.keys(enhancedLLMService.models)
       });
     }
 
-    if (!apiKey || typeof apiKey !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'API key is required and must be a string',
-        code: 'INVALID_API_KEY'
-      });
-    }
-
-    console.log(`🔄 Comparing models for: ${text.substring(0, 100)}...`);
-
-    // Analyze input to determine optimal model
-    const analysis = await enhancedLLMService.analyzeInputAndSelectModel(text, context);
-    
-    // Generate responses with different models for comparison
-    const modelComparison = {
-      input: text,
-      analysis: analysis.analysis,
-      recommendedModel: analysis.selectedModel.name,
-      confidence: analysis.confidence,
-      comparisons: []
-    };
-
-    // Test with different models (if API keys are available)
-    const modelsToTest = ['llama']; // Start with Llama as it's the primary model
-    
-    for (const modelKey of modelsToTest) {
-      try {
-        const model = enhancedLLMService.models[modelKey];
-        const result = await enhancedLLMService.generateEnhancedResponse(text, apiKey, {
-          ...context,
-          forceModel: modelKey
-        });
-        
-        if (result.success) {
-          const qualityAnalysis = qualityAnalyzer.analyzeResponseQuality(
-            result.response, 
-            result.analysis.contentType, 
-            context
-          );
+    logger.debug('Comparing models', { text, models });
 
-          modelComparison.comparisons.push({
-            model: model.name,
-            response: result.response,
-            qualityScore: qualityAnalysis.overallScore,
-            strengths: qualityAnalysis.strengths,
-            weaknesses: qualityAnalysis.weaknesses,
-            suggestions: qualityAnalysis.suggestions
-          });
-        }
-      } catch (error) {
-        console.warn(`⚠️  Failed to test model ${modelKey}:`, error.message);
-      }
-    }
+    const comparison = await enhancedLLMService.compareModels(text, {
+      models: models ? [...new Set(models)] : undefined,
+      apiKey: providerKeyResolver(req),
+      timeoutMs,
+      context
+    });
 
-    console.log(`✅ Model comparison completed. ${modelComparison.comparisons.length} models tested`);
+    const answered = comparison.comparisons.filter(result => result.status === 'success').length;
+    logger.info('Model comparison completed', { answered, models: comparison.comparisons.length });
 
     res.json({
       success: true,
-      comparison: modelComparison,
+      comparison: {
+        input: text,
+        timeoutMs,
+        ...comparison
+      },
       timestamp: new Date().toISOString()
     });
-
   } catch (error) {
-    console.error('Model Comparison Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to compare models',
-      code: 'MODEL_COMPARISON_ERROR',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(toAppError(error, 'Failed to compare models', 'MODEL_COMPARISON_ERROR'));
   }
 });
 
 // Get available models and their capabilities
-router.get('/available-models', (req, res) => {
+router.get('/available-models', requireScope('generate'), (req, res, next) => {
   try {
     const models = Object.keys(enhancedLLMService.models).map(key => {
       const model = enhancedLLMService.models[key];
       return {
         key: key,
         name: model.name,
+        provider: model.provider,
         strengths: model.strengths,
         temperature: model.temperature,
         maxTokens: model.maxTokens
@@ -279,15 +210,8 @@ router.get('/available-models', (req, res) => {
       responsePatterns: enhancedLLMService.responsePatterns,
       timestamp: new Date().toISOString()
     });
-
   } catch (error) {
-    console.error('Available Models Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get available models',
-      code: 'MODELS_ERROR',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(toAppError(error, 'Failed to get available models', 'MODELS_ERROR'));
   }
 });
 
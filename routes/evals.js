@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const evaluationService = require('../services/evaluationService');
+const { resolveApiKey, resolveCredentialMap, getWorkspace, providerKeyResolver } = require('../middleware/credentials');
+const { ValidationError, toAppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { requireScope } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+
+// Cases one POST /evals/runs may run. The request waits for every case, so
+// larger datasets are run with the CLI (npm run eval) or in parts.
+const MAX_CASES_PER_RUN = parseInt(process.env.EVAL_MAX_CASES, 10) || 20;
+
+// Golden datasets available in config/evals
+router.get('/evals/datasets', requireScope('generate'), (req, res, next) => {
+  try {
+    res.json({ success: true, datasets: evaluationService.listDatasets() });
+  } catch (error) {
+    next(toAppError(error, 'Failed to list evaluation datasets', 'EVALUATION_ERROR'));
+  }
+});
+
+// Run a dataset and store the run.
+// Body: { dataset, model?, promptVersions? ({ 'review_generation.user': 2 }),
+// name?, cases? (case ids, at most MAX_CASES_PER_RUN) }. Keys come from `credentials`, the request
+// credential or the workspace defaults, for the provider of the chosen model.
+router.post('/evals/runs', requireScope('generate'), validate(schemas.evalRun), resolveApiKey({ provider: 'nvidia', optional: true }), resolveCredentialMap, async (req, res, next) => {
+  try {
+    const { dataset, model, promptVersions, name, cases } = req.body;
+
+    logger.info('Running evaluation dataset', { dataset, model });
+
+    const run = await evaluationService.runDataset(dataset, {
+      apiKey: providerKeyResolver(req),
+      model,
+      promptVersions,
+      name,
+      caseIds: cases,
+      maxCases: MAX_CASES_PER_RUN,
+      workspace: getWorkspace(req)
+    });
+
+    logger.info('Evaluation completed', { run: run.name, passed: run.summary.passed, cases: run.summary.cases });
+
+    res.status(201).json({ success: true, run });
+  } catch (error) {
+    // Credential, quota and upstream failures abort the run
+    next(toAppError(error, 'Failed to run evaluation', 'EVALUATION_ERROR'));
+  }
+});
+
+// Stored runs for the workspace, newest first (summaries only)
+router.get('/evals/runs', requireScope('generate'), validate(schemas.evalRunList, { source: 'query' }), async (req, res, next) => {
+  try {
+    const { dataset, limit } = req.query;
+    const runs = await evaluationService.listRuns(getWorkspace(req), { dataset: dataset || undefined, limit });
+    res.json({ success: true, runs });
+  } catch (error) {
+    next(toAppError(error, 'Failed to list evaluation runs', 'EVALUATION_ERROR'));
+  }
+});
+
+// A stored run with per-case results
+router.get('/evals/runs/:id', requireScope('generate'), async (req, res, next) => {
+  try {
+    const run = await evaluationService.getRun(getWorkspace(req), req.params.id);
+    res.json({ success: true, run });
+  } catch (error) {
+    next(toAppError(error, 'Failed to fetch evaluation run', 'EVALUATION_ERROR'));
+  }
+});
+
+// Compare a candidate run against a base run.
+// Body: { baseRunId, candidateRunId } for stored runs, or { base, candidate }
+// with run objects (e.g. CLI output when the database is unavailable); the
+// shape of run objects is checked by schemas.evalCompare.
+router.post('/evals/compare', requireScope('generate'), validate(schemas.evalCompare), async (req, res, next) => {
+  try {
+    const { baseRunId, candidateRunId, base, candidate } = req.body;
+    let comparison;
+
+    if (baseRunId && candidateRunId) {
+      comparison = await evaluationService.compareStoredRuns(getWorkspace(req), baseRunId, candidateRunId);
+    } else if (base && candidate) {
+      comparison = evaluationService.compareRuns(base, candidate);
+    } else {
+      const message = 'Send baseRunId and candidateRunId, or base and candidate run objects';
+      throw new ValidationError(message, { errors: [{ field: 'body', message, code: 'INVALID_INPUT' }] });
+    }
+
+    res.json({ success: true, comparison });
+  } catch (error) {
+    next(toAppError(error, 'Failed to compare evaluation runs', 'EVALUATION_ERROR'));
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const resilience = require('../services/resilience');
+const MockProvider = require('../services/providers/mockProvider');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -9,7 +11,11 @@ router.get('/health', (req, res) => {
     uptime: process.uptime(),
     environment: process.env.NODE_ENV || 'development',
     apiKeyConfigured: !!process.env.NVIDIA_API_KEY,
-    apiKeyLength: process.env.NVIDIA_API_KEY ? process.env.NVIDIA_API_KEY.length : 0
+    apiKeyLength: process.env.NVIDIA_API_KEY ? process.env.NVIDIA_API_KEY.length : 0,
+    // LLM calls are answered offline by the mock provider (LLM_MOCK=true)
+    mockMode: MockProvider.isEnabled(),
+    // Circuit breaker state of every provider called since startup
+    providers: resilience.getStatus()
   });
 });
 
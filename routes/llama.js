@@ -1,10 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const llamaService = require('../services/llamaService');
-const { Review, mongoose } = require('../config/database');
+const { wantsEventStream, streamEvents } = require('../utils/sse');
+const { toAppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { resolveApiKey, getWorkspace } = require('../middleware/credentials');
+const chatSessionService = require('../services/chatSessionService');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+const { requireScope } = require('../middleware/auth');
+const { resolveBusiness } = require('../middleware/business');
+const { resolveBrandVoice } = require('../middleware/brandVoice');
+const brandVoiceService = require('../services/brandVoiceService');
+const ResponseQualityAnalyzer = require('../utils/responseQualityAnalyzer');
+
+const qualityAnalyzer = new ResponseQualityAnalyzer();
+
+// Quality analysis and brand voice check of a cleaned reply, the same for
+// streamed and plain responses
+const reviewReply = (response, brandVoice) => ({
+  qualityAnalysis: qualityAnalyzer.analyzeResponseQuality(response, 'conversation'),
+  brandVoiceCheck: brandVoiceService.check(response, brandVoice)
+});
 
 // Test endpoint for debugging
-router.get('/llama', (req, res) => {
+router.get('/llama', requireScope('generate'), (req, res) => {
   res.json({
     success: true,
     message: 'Llama API endpoint is working',
@@ -14,91 +34,74 @@ router.get('/llama', (req, res) => {
 });
 
 // NVIDIA Llama API endpoint
-router.post('/llama', async (req, res) => {
+router.post('/llama', requireScope('generate'), validate(schemas.conversation), resolveApiKey({ provider: 'nvidia' }), resolveBusiness, resolveBrandVoice, async (req, res, next) => {
   try {
-    const { text, prompt, apiKey, conversationHistory = [] } = req.body;
-    
-    // Accept both 'text' and 'prompt' parameters for compatibility
-    const inputText = text || prompt;
-    
-    // Input validation
-    if (!inputText || typeof inputText !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Text/prompt input is required and must be a string',
-        code: 'INVALID_INPUT'
-      });
-    }
+    // `text` is filled from `prompt` by the schema for compatibility
+    const { text, sessionId, conversationHistory } = req.body;
+    const { apiKey } = req;
 
-    if (!apiKey || typeof apiKey !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'API key is required and must be a string',
-        code: 'INVALID_API_KEY'
-      });
-    }
+    // With a sessionId, history is loaded from (and saved to) the server-side
+    // session instead of being sent by the client
+    let session = null;
+    let history = conversationHistory;
+    let historyOptions = { workspace: getWorkspace(req), business: req.business, brandVoice: req.brandVoice };
 
-    // Text length validation
-    if (inputText.length > 4000) {
-      return res.status(400).json({
-        success: false,
-        error: 'Text input is too long. Maximum 4000 characters allowed.',
-        code: 'TEXT_TOO_LONG'
-      });
+    if (sessionId) {
+      session = await chatSessionService.findSession(getWorkspace(req), sessionId);
+      history = await chatSessionService.getHistory(session);
+      historyOptions.historyLimit = Infinity;
     }
 
-    // Sanitize input
-    const sanitizedText = inputText.trim().replace(/[<>]/g, '');
+    // Store the completed exchange on the session (if any)
+    const saveToSession = async (result) => {
+      if (!session) return;
+      try {
+        await chatSessionService.appendExchange(session, {
+          userText: text,
+          assistantText: result.response,
+          usage: result.usage,
+          model: result.model
+        });
+      } catch (dbError) {
+        logger.warn('Failed to save chat session messages', { error: dbError });
+      }
+    };
 
-    console.log(`Processing conversational request: ${sanitizedText.substring(0, 100)}...`);
+    // Opt-in SSE streaming: relay token deltas, then a final `done` event
+    // carrying the quality analysis and brand voice check of the reply
+    if (wantsEventStream(req)) {
+      logger.debug('Streaming conversational request', { text });
 
-    const result = await llamaService.generateConversationalResponse(sanitizedText, apiKey, conversationHistory);
-    
-    console.log(`Conversational response generated. Tokens used: ${result.usage?.total_tokens || 'unknown'}`);
+      const events = llamaService.streamConversationalResponse(text, apiKey, history, historyOptions);
+      return await streamEvents(res, events, {
+        onEvent: async (event) => {
+          if (event.type !== 'done') return null;
 
-    res.json(result);
+          const { type, ...reply } = event;
+          const result = { ...reply, ...reviewReply(reply.response, req.brandVoice) };
+          logger.info('Conversational stream completed', { totalTokens: result.usage?.total_tokens });
+          await saveToSession(result);
 
-  } catch (error) {
-    console.error('Llama API Error:', error);
-    console.error('Error details:', {
-      status: error.status,
-      code: error.code,
-      message: error.message,
-      stack: error.stack
-    });
-
-    // Handle specific error types
-    if (error.status === 401 || error.code === 'authentication_error') {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or missing NVIDIA API key. Please check your API key configuration.',
-        code: 'INVALID_API_KEY'
+          return session ? { ...result, sessionId: session._id.toString() } : result;
+        }
       });
     }
 
-    if (error.code === 'insufficient_quota') {
-      return res.status(429).json({
-        success: false,
-        error: 'API quota exceeded. Please try again later.',
-        code: 'QUOTA_EXCEEDED'
-      });
-    }
+    logger.debug('Processing conversational request', { text });
 
-    if (error.code === 'rate_limit_exceeded') {
-      return res.status(429).json({
-        success: false,
-        error: 'Rate limit exceeded. Please try again later.',
-        code: 'RATE_LIMIT_EXCEEDED'
-      });
+    const result = await llamaService.generateConversationalResponse(text, apiKey, history, historyOptions);
+    Object.assign(result, reviewReply(result.response, req.brandVoice));
+    
+    logger.info('Conversational response generated', { totalTokens: result.usage?.total_tokens });
+
+    await saveToSession(result);
+    if (session) {
+      result.sessionId = session._id.toString();
     }
 
-    // Generic error response
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate conversational response',
-      code: 'LLAMA_API_ERROR',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    res.json(result);
+  } catch (error) {
+    next(toAppError(error, 'Failed to generate conversational response', 'LLAMA_API_ERROR'));
   }
 });
 
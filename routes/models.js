@@ -1,118 +1,116 @@
 const express = require('express');
 const router = express.Router();
+const modelRegistry = require('../services/modelRegistry');
+const { requireScope, requireServerAdmin } = require('../middleware/auth');
+const { NotFoundError, toAppError } = require('../utils/errors');
+const logger = require('../utils/logger');
 
-// Model configurations for different use cases
-const modelConfigurations = {
-    models: [
-        {
-            key: 'llama-review',
-            name: 'Meta Llama 3.1 70B',
-            useCase: 'review_generation',
-            description: 'Specialized for generating authentic, engaging reviews with natural language flow',
-            strengths: ['Natural Language', 'Context Awareness', 'Authentic Tone'],
-            temperature: 0.8,
-            maxTokens: 2048,
-            provider: 'NVIDIA'
-        },
-        {
-            key: 'llama-customer-service',
-            name: 'Meta Llama 3.1 70B',
-            useCase: 'customer_service',
-            description: 'Optimized for empathetic customer service responses and conflict resolution',
-            strengths: ['Empathy', 'Professional Tone', 'Problem Solving'],
-            temperature: 0.6,
-            maxTokens: 1536,
-            provider: 'NVIDIA'
-        },
-        {
-            key: 'llama-voice-analysis',
-            name: 'Meta Llama 3.1 70B',
-            useCase: 'voice_analysis',
-            description: 'Advanced voice transcript analysis with sentiment detection and key point extraction',
-            strengths: ['Sentiment Analysis', 'Key Point Extraction', 'Context Understanding'],
-            temperature: 0.4,
-            maxTokens: 3072,
-            provider: 'NVIDIA'
-        },
-        {
-            key: 'gpt4-analysis',
-            name: 'GPT-4',
-            useCase: 'detailed_analysis',
-            description: 'High-performance analysis and reasoning for complex content evaluation',
-            strengths: ['Reasoning', 'Structured Analysis', 'Technical Accuracy'],
-            temperature: 0.3,
-            maxTokens: 4000,
-            provider: 'OpenAI'
-        },
-        {
-            key: 'claude-customer-service',
-            name: 'Claude 3 Sonnet',
-            useCase: 'customer_service',
-            description: 'Empathetic customer service with advanced understanding of customer needs',
-            strengths: ['Empathy', 'Customer Focus', 'Detailed Responses'],
-            temperature: 0.5,
-            maxTokens: 4000,
-            provider: 'Anthropic'
-        }
-    ],
-    useCases: {
-        review_generation: 'Generate authentic, engaging reviews from user input or voice transcripts',
-        customer_service: 'Create empathetic, professional responses to customer feedback and complaints',
-        voice_analysis: 'Analyze voice transcripts for sentiment, key points, and actionable insights',
-        detailed_analysis: 'Perform comprehensive content analysis with structured reasoning and insights'
-    }
-};
+// Flatten a use case's models into the configuration entries the frontend lists
+function toModelConfigurations(useCase) {
+    return useCase.models.map(model => ({
+        key: `${model.key}-${useCase.key}`,
+        model: model.key,
+        modelId: model.id,
+        name: model.name,
+        useCase: useCase.key,
+        description: model.description,
+        strengths: model.strengths,
+        temperature: model.params.temperature,
+        maxTokens: model.params.maxTokens,
+        params: model.params,
+        provider: model.providerName,
+        providerKey: model.provider
+    }));
+}
+
+function describeUseCases() {
+    const useCases = {};
+    modelRegistry.listUseCases().forEach(useCase => {
+        useCases[useCase.key] = useCase.description;
+    });
+    return useCases;
+}
 
 // GET /api/models - Return all model configurations
-router.get('/models', (req, res) => {
+router.get('/models', requireScope('generate'), (req, res, next) => {
     try {
+        const models = modelRegistry.listUseCases().flatMap(toModelConfigurations);
+
         res.json({
             success: true,
-            models: modelConfigurations.models,
-            useCases: modelConfigurations.useCases,
+            models,
+            useCases: describeUseCases(),
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        console.error('Models endpoint error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch model configurations',
-            code: 'MODELS_ERROR'
-        });
+        next(toAppError(error, 'Failed to fetch model configurations', 'MODELS_ERROR'));
     }
 });
 
 // GET /api/models/:useCase - Return models for specific use case
-router.get('/models/:useCase', (req, res) => {
+router.get('/models/:useCase', requireScope('generate'), (req, res, next) => {
     try {
         const { useCase } = req.params;
-        const modelsForUseCase = modelConfigurations.models.filter(
-            model => model.useCase === useCase
-        );
+        const definition = modelRegistry.getUseCase(useCase);
         
-        if (modelsForUseCase.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: `No models found for use case: ${useCase}`,
-                code: 'USE_CASE_NOT_FOUND'
-            });
+        if (!definition) {
+            throw new NotFoundError(`No models found for use case: ${useCase}`, { code: 'USE_CASE_NOT_FOUND' });
         }
         
         res.json({
             success: true,
-            models: modelsForUseCase,
+            models: toModelConfigurations(definition),
+            fallback: definition.fallback.map(model => model.key),
             useCase: useCase,
-            description: modelConfigurations.useCases[useCase] || 'No description available',
+            description: definition.description || 'No description available',
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        console.error('Model use case endpoint error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch model configurations for use case',
-            code: 'MODELS_ERROR'
-        });
+        next(toAppError(error, 'Failed to fetch model configurations for use case', 'MODELS_ERROR'));
+    }
+});
+
+// Admin: full registry as currently loaded (file + env + admin overrides)
+router.get('/admin/model-registry', requireServerAdmin, (req, res) => {
+    res.json({
+        success: true,
+        source: modelRegistry.source,
+        models: modelRegistry.listModels(),
+        useCases: modelRegistry.listUseCases(),
+        overrides: modelRegistry.adminOverrides
+    });
+});
+
+// Admin: create or update a model, e.g. { "id": "meta/llama-3.3-70b-instruct" }
+router.put('/admin/model-registry/models/:key', requireServerAdmin, (req, res, next) => {
+    try {
+        modelRegistry.updateModel(req.params.key, req.body);
+        logger.info('Model registry model updated', { model: req.params.key });
+        res.json({ success: true, model: modelRegistry.getModel(req.params.key) });
+    } catch (error) {
+        next(toAppError(error, 'Failed to update model', 'MODELS_ERROR'));
+    }
+});
+
+// Admin: create or update a use case, e.g. { "models": [{ "model": "claude" }, { "model": "llama" }] }
+router.put('/admin/model-registry/use-cases/:useCase', requireServerAdmin, (req, res, next) => {
+    try {
+        modelRegistry.updateUseCase(req.params.useCase, req.body);
+        logger.info('Model registry use case updated', { useCase: req.params.useCase });
+        res.json({ success: true, useCase: modelRegistry.getUseCase(req.params.useCase) });
+    } catch (error) {
+        next(toAppError(error, 'Failed to update use case', 'MODELS_ERROR'));
+    }
+});
+
+// Admin: discard runtime changes and reload the registry file
+router.post('/admin/model-registry/reset', requireServerAdmin, (req, res, next) => {
+    try {
+        modelRegistry.resetOverrides();
+        res.json({ success: true, source: modelRegistry.source });
+    } catch (error) {
+        next(toAppError(error, 'Failed to reload model registry', 'MODELS_ERROR'));
     }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router; 
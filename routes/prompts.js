@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const promptTemplates = require('../services/promptTemplateService');
+const { requireScope } = require('../middleware/auth');
+const { getWorkspace } = require('../middleware/credentials');
+const { toAppError } = require('../utils/errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+const logger = require('../utils/logger');
+
+// List prompt templates with the workspace's active and latest version numbers
+router.get('/prompts', requireScope('generate'), async (req, res, next) => {
+  try {
+    const templates = await promptTemplates.listTemplates(getWorkspace(req));
+    res.json({ success: true, templates });
+  } catch (error) {
+    next(toAppError(error, 'Failed to list prompt templates', 'PROMPT_ERROR'));
+  }
+});
+
+// Fetch a template with its active text and version history
+router.get('/prompts/:name', requireScope('generate'), async (req, res, next) => {
+  try {
+    const template = await promptTemplates.getTemplate(getWorkspace(req), req.params.name);
+    res.json({ success: true, template });
+  } catch (error) {
+    next(toAppError(error, 'Failed to fetch prompt template', 'PROMPT_ERROR'));
+  }
+});
+
+// Render a template with sample variables without publishing anything.
+// Body: { variables, template? (draft text) | version? (stored version, 0 = built-in) }
+router.post('/prompts/:name/preview', requireScope('generate'), validate(schemas.promptPreview), async (req, res, next) => {
+  try {
+    const { variables, template, version } = req.body;
+    const preview = await promptTemplates.preview(getWorkspace(req), req.params.name, { variables, template, version });
+    res.json({ success: true, preview });
+  } catch (error) {
+    next(toAppError(error, 'Failed to preview prompt template', 'PROMPT_ERROR'));
+  }
+});
+
+// Publish a new version of a template for the workspace and make it active
+router.post('/prompts/:name/versions', requireScope('prompts:write'), validate(schemas.promptVersion), async (req, res, next) => {
+  try {
+    const { template, note } = req.body;
+    const workspace = getWorkspace(req);
+    const version = await promptTemplates.createVersion(workspace, req.params.name, { template, note });
+
+    logger.info('Prompt version published', { prompt: req.params.name, version: version.version });
+
+    res.status(201).json({ success: true, name: req.params.name, version });
+  } catch (error) {
+    next(toAppError(error, 'Failed to publish prompt template', 'PROMPT_ERROR'));
+  }
+});
+
+// Make an earlier version active again. Body: { version } (0 = built-in template)
+router.post('/prompts/:name/rollback', requireScope('prompts:write'), validate(schemas.promptRollback), async (req, res, next) => {
+  try {
+    const { version } = req.body;
+    const workspace = getWorkspace(req);
+    const template = await promptTemplates.rollback(workspace, req.params.name, version);
+
+    logger.info('Prompt rolled back', { prompt: req.params.name, version });
+
+    res.json({ success: true, template });
+  } catch (error) {
+    next(toAppError(error, 'Failed to roll back prompt template', 'PROMPT_ERROR'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const rateLimiter = require('../services/rateLimiter');
+const { getRateLimitClient, getRateLimitWorkspace } = require('../middleware/rateLimit');
+const { toAppError } = require('../utils/errors');
+
+// Remaining rate limit allowance of the caller in every tier.
+// The caller is identified like every other request (middleware/rateLimit.js),
+// i.e. by the API token it authenticates with; its workspace's shared
+// allowance is reported under `workspace`.
+router.get('/quota', async (req, res, next) => {
+  try {
+    const client = req.rateLimitClient || getRateLimitClient(req);
+    const [type, ...id] = client.split(':');
+    const workspace = getRateLimitWorkspace(req);
+    const quota = await rateLimiter.getQuota(client, workspace);
+
+    res.json({
+      success: true,
+      client: { type, id: id.join(':') },
+      workspace,
+      ...quota,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to get quota', 'QUOTA_ERROR'));
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,173 @@
 const express = require('express');
 const router = express.Router();
 const { Review, mongoose } = require('../config/database');
+const { ValidationError, NotFoundError, ServiceUnavailableError, toAppError } = require('../utils/errors');
+const { requireScope } = require('../middleware/auth');
+const { getWorkspace } = require('../middleware/credentials');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
 
-// Fetch all reviews and customer service responses
-router.get('/reviews', async (req, res) => {
+const requireDatabase = () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw new ServiceUnavailableError('Database not available. Start MongoDB with: sudo service mongodb start', { code: 'DATABASE_UNAVAILABLE' });
+  }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cursors encode the sort key of the last item on a page: createdAt + _id
+const encodeCursor = (review) => Buffer.from(`${review.createdAt.toISOString()}|${review._id}`).toString('hex');
+
+const decodeCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(cursor, 'hex').toString('utf8').split('|');
+  const date = new Date(createdAt);
+  if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+};
+
+// Build the Mongo filter for the validated list query (schemas.reviewList),
+// limited to `workspace`
+function buildReviewFilter(workspace, query) {
+  const filter = { workspace };
+
+  ['type', 'sentiment', 'handledBy'].forEach(field => {
+    if (query[field] !== undefined) {
+      const values = query[field].split(',').map(v => v.trim()).filter(Boolean);
+      filter[field] = values.length === 1 ? values[0] : { $in: values };
+    }
+  });
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(query.q.trim()), 'i');
+    filter.$or = [{ review: pattern }, { aiResponse: pattern }];
+  }
+
+  return filter;
+}
+
+// Fetch the workspace's reviews and customer service responses.
+// Query: type, sentiment, handledBy (comma-separated for several values),
+// from/to (ISO dates), q (free-text search), limit, cursor.
+router.get('/reviews', requireScope('reviews:read'), validate(schemas.reviewList, { source: 'query' }), async (req, res, next) => {
   try {
-    if (mongoose.connection.readyState === 1) {
-      const reviews = await Review.find().sort({ createdAt: -1 });
-      res.json({ success: true, reviews });
-    } else {
-      res.json({ 
-        success: true, 
+    if (mongoose.connection.readyState !== 1) {
+      return res.json({
+        success: true,
         reviews: [],
+        pagination: { total: 0, limit: 0, hasMore: false, nextCursor: null },
         message: 'Database not available. Start MongoDB with: sudo service mongodb start'
       });
     }
+
+    const filter = buildReviewFilter(getWorkspace(req), req.query);
+    const { limit } = req.query;
+
+    const pageFilter = { ...filter };
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        throw new ValidationError('Invalid cursor', { code: 'INVALID_CURSOR' });
+      }
+      pageFilter.$and = [{
+        $or: [
+          { createdAt: { $lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }
+        ]
+      }];
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find(pageFilter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1),
+      Review.countDocuments(filter)
+    ]);
+
+    const hasMore = reviews.length > limit;
+    const page = hasMore ? reviews.slice(0, limit) : reviews;
+
+    res.json({
+      success: true,
+      reviews: page,
+      pagination: {
+        total,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to fetch reviews', 'REVIEWS_ERROR'));
+  }
+});
+
+// Fetch a single review
+router.get('/reviews/:id', requireScope('reviews:read'), async (req, res, next) => {
+  try {
+    requireDatabase();
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new ValidationError('Invalid review id', { code: 'INVALID_ID' });
+    }
+
+    const review = await Review.findOne({ _id: req.params.id, workspace: getWorkspace(req) });
+    if (!review) {
+      throw new NotFoundError('Review not found', { code: 'REVIEW_NOT_FOUND' });
+    }
+
+    res.json({ success: true, review });
+  } catch (error) {
+    next(toAppError(error, 'Failed to fetch review', 'REVIEWS_ERROR'));
+  }
+});
+
+// Update selected fields of a review (schemas.reviewUpdate: other fields are
+// read-only and rejected)
+router.patch('/reviews/:id', requireScope('reviews:write'), validate(schemas.reviewUpdate), async (req, res, next) => {
+  try {
+    requireDatabase();
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new ValidationError('Invalid review id', { code: 'INVALID_ID' });
+    }
+
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.id, workspace: getWorkspace(req) },
+      { $set: req.body },
+      { new: true, runValidators: true }
+    );
+    if (!review) {
+      throw new NotFoundError('Review not found', { code: 'REVIEW_NOT_FOUND' });
+    }
+
+    res.json({ success: true, review });
+  } catch (error) {
+    next(toAppError(error, 'Failed to update review', 'REVIEWS_ERROR'));
+  }
+});
+
+// Delete a review
+router.delete('/reviews/:id', requireScope('reviews:write'), async (req, res, next) => {
+  try {
+    requireDatabase();
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new ValidationError('Invalid review id', { code: 'INVALID_ID' });
+    }
+
+    const review = await Review.findOneAndDelete({ _id: req.params.id, workspace: getWorkspace(req) });
+    if (!review) {
+      throw new NotFoundError('Review not found', { code: 'REVIEW_NOT_FOUND' });
+    }
+
+    res.json({ success: true, id: req.params.id });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to fetch reviews' });
+    next(toAppError(error, 'Failed to delete review', 'REVIEWS_ERROR'));
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
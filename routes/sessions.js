@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const chatSessionService = require('../services/chatSessionService');
+const { getWorkspace } = require('../middleware/credentials');
+const { toAppError } = require('../utils/errors');
+const { requireScope } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+
+// Create a chat session. Pass the returned id as `sessionId` to POST /api/llama.
+router.post('/sessions', requireScope('generate'), validate(schemas.sessionCreate), async (req, res, next) => {
+  try {
+    const session = await chatSessionService.createSession({
+      workspace: getWorkspace(req),
+      title: req.body.title || undefined
+    });
+
+    res.status(201).json({ success: true, session });
+  } catch (error) {
+    next(toAppError(error, 'Failed to create chat session', 'SESSION_ERROR'));
+  }
+});
+
+// List chat sessions, most recently active first
+router.get('/sessions', requireScope('generate'), validate(schemas.sessionList, { source: 'query' }), async (req, res, next) => {
+  try {
+    const sessions = await chatSessionService.listSessions(getWorkspace(req), { limit: req.query.limit });
+    res.json({ success: true, sessions });
+  } catch (error) {
+    next(toAppError(error, 'Failed to list chat sessions', 'SESSION_ERROR'));
+  }
+});
+
+// Get a chat session with its messages
+router.get('/sessions/:id', requireScope('generate'), async (req, res, next) => {
+  try {
+    const session = await chatSessionService.getSession(getWorkspace(req), req.params.id);
+    res.json({ success: true, session });
+  } catch (error) {
+    next(toAppError(error, 'Failed to fetch chat session', 'SESSION_ERROR'));
+  }
+});
+
+// Delete a chat session and its messages
+router.delete('/sessions/:id', requireScope('generate'), async (req, res, next) => {
+  try {
+    await chatSessionService.deleteSession(getWorkspace(req), req.params.id);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    next(toAppError(error, 'Failed to delete chat session', 'SESSION_ERROR'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const apiTokenService = require('../services/apiTokenService');
+const { requireScope } = require('../middleware/auth');
+const { getWorkspace } = require('../middleware/credentials');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+const { NotFoundError, toAppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Issue a bearer token for the workspace.
+// The token is returned once, in `token.token`; only its hash is stored.
+router.post('/tokens', requireScope('admin'), validate(schemas.tokenCreate), async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const token = await apiTokenService.issueToken({
+      workspace: getWorkspace(req),
+      name,
+      scopes,
+      expiresAt
+    });
+
+    logger.info('API token issued', { tokenId: token.id, scopes: token.scopes });
+
+    res.status(201).json({
+      success: true,
+      token
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to issue token', 'TOKEN_ERROR'));
+  }
+});
+
+// List the workspace's tokens, including revoked and expired ones
+router.get('/tokens', requireScope('admin'), async (req, res, next) => {
+  try {
+    const tokens = await apiTokenService.listTokens(getWorkspace(req));
+    res.json({
+      success: true,
+      tokens,
+      scopes: apiTokenService.getScopes()
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to list tokens', 'TOKEN_ERROR'));
+  }
+});
+
+// Revoke a token; it is rejected from the next request on
+router.delete('/tokens/:id', requireScope('admin'), async (req, res, next) => {
+  try {
+    const token = await apiTokenService.revokeToken(getWorkspace(req), req.params.id);
+
+    if (!token) {
+      throw new NotFoundError('Token not found for this workspace', { code: 'TOKEN_NOT_FOUND' });
+    }
+
+    logger.info('API token revoked', { tokenId: token.id });
+
+    res.json({
+      success: true,
+      token
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to revoke token', 'TOKEN_ERROR'));
+  }
+});
+
+module.exports = router;
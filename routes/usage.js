@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const usageTracker = require('../services/usageTracker');
+const { requireScope } = require('../middleware/auth');
+const { getWorkspace } = require('../middleware/credentials');
+const { ValidationError, toAppError } = require('../utils/errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+
+const GROUP_DIMENSIONS = ['day', 'endpoint', 'provider', 'model'];
+
+// The filters shared by the usage endpoints, from their validated query
+function parseUsageFilters(query) {
+  const filters = {};
+
+  if (query.from) filters.from = new Date(query.from);
+  if (query.to) filters.to = new Date(query.to);
+  if (query.endpoint) filters.endpoint = query.endpoint;
+  if (query.model) filters.model = query.model;
+  if (query.requestId) filters.requestId = query.requestId;
+
+  return filters;
+}
+
+// Aggregated usage for the workspace.
+// Query: groupBy (comma-separated: day, endpoint, provider, model), from/to
+// (ISO dates), endpoint (e.g. "POST /api/voice/analyze"), model (provider model id).
+router.get('/usage', requireScope('admin'), validate(schemas.usageSummary, { source: 'query' }), async (req, res, next) => {
+  try {
+    const filters = parseUsageFilters(req.query);
+
+    const groupBy = req.query.groupBy
+      ? req.query.groupBy.split(',').map(value => value.trim()).filter(Boolean)
+      : ['day'];
+    const invalid = groupBy.filter(dimension => !GROUP_DIMENSIONS.includes(dimension));
+    if (invalid.length > 0) {
+      const message = `groupBy must be a comma-separated list of ${GROUP_DIMENSIONS.join(', ')}`;
+      throw new ValidationError(message, { errors: [{ field: 'groupBy', message, code: 'INVALID_INPUT' }] });
+    }
+
+    const workspace = getWorkspace(req);
+    const summary = await usageTracker.summarize(workspace, { ...filters, groupBy });
+
+    res.json({
+      success: true,
+      workspace,
+      groupBy,
+      currency: 'USD',
+      ...summary
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to fetch usage', 'USAGE_ERROR'));
+  }
+});
+
+// Individual LLM calls for the workspace, to find expensive or runaway prompts.
+// Query: the /usage filters plus limit, minTokens and sort (recent | tokens).
+// requestId (an X-Request-Id) lists the calls made for one API request.
+router.get('/usage/records', requireScope('admin'), validate(schemas.usageRecords, { source: 'query' }), async (req, res, next) => {
+  try {
+    const { sort, limit, minTokens } = req.query;
+
+    const records = await usageTracker.listRecords(getWorkspace(req), {
+      ...parseUsageFilters(req.query),
+      sort,
+      limit,
+      minTokens: minTokens || undefined
+    });
+
+    res.json({ success: true, records });
+  } catch (error) {
+    next(toAppError(error, 'Failed to fetch usage records', 'USAGE_ERROR'));
+  }
+});
+
+module.exports = router;
@@ -2,310 +2,113 @@ const express = require('express');
 const router = express.Router();
 const llamaService = require('../services/llamaService');
 const { Review, mongoose } = require('../config/database');
+const { resolveApiKey, getWorkspace } = require('../middleware/credentials');
+const { toAppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+const { requireScope } = require('../middleware/auth');
+const { resolveBusiness } = require('../middleware/business');
+const { resolveBrandVoice } = require('../middleware/brandVoice');
+const brandVoiceService = require('../services/brandVoiceService');
 
 // Voice Analysis endpoint using NVIDIA Llama
-router.post('/voice/analyze', async (req, res) => {
+router.post('/voice/analyze', requireScope('generate'), validate(schemas.voiceAnalysis), resolveApiKey({ provider: 'nvidia' }), resolveBusiness, async (req, res, next) => {
   try {
-    const { transcript, apiKey } = req.body;
+    const { transcript } = req.body;
+    const { apiKey } = req;
     
-    // Input validation
-    if (!transcript || typeof transcript !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Transcript is required and must be a string',
-        code: 'INVALID_INPUT'
-      });
-    }
-
-    if (!apiKey || typeof apiKey !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'API key is required and must be a string',
-        code: 'INVALID_API_KEY'
-      });
-    }
-
-    // Text length validation
-    if (transcript.length > 4000) {
-      return res.status(400).json({
-        success: false,
-        error: 'Transcript is too long. Maximum 4000 characters allowed.',
-        code: 'TEXT_TOO_LONG'
-      });
-    }
-
-    // Sanitize input
-    const sanitizedTranscript = transcript.trim().replace(/[<>]/g, '');
-
-    console.log(`Processing voice analysis: ${sanitizedTranscript.substring(0, 100)}...`);
+    logger.debug('Processing voice analysis', { transcript });
 
-    const result = await llamaService.analyzeVoiceInput(sanitizedTranscript, apiKey);
+    const result = await llamaService.analyzeVoiceInput(transcript, apiKey, { workspace: getWorkspace(req), business: req.business });
     
-    console.log(`Voice analysis generated. Tokens used: ${result.usage?.total_tokens || 'unknown'}`);
+    logger.info('Voice analysis generated', { totalTokens: result.usage?.total_tokens });
 
     res.json(result);
-
   } catch (error) {
-    console.error('Voice Analysis Error:', error);
-    
-    // Handle specific error types
-    if (error.status === 401 || error.code === 'authentication_error') {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or missing NVIDIA API key. Please check your API key configuration.',
-        code: 'INVALID_API_KEY'
-      });
-    }
-
-    if (error.code === 'insufficient_quota') {
-      return res.status(429).json({
-        success: false,
-        error: 'API quota exceeded. Please try again later.',
-        code: 'QUOTA_EXCEEDED'
-      });
-    }
-
-    if (error.code === 'rate_limit_exceeded') {
-      return res.status(429).json({
-        success: false,
-        error: 'Rate limit exceeded. Please try again later.',
-        code: 'RATE_LIMIT_EXCEEDED'
-      });
-    }
-
-    // Generic error response
-    res.status(500).json({
-      success: false,
-      error: 'Failed to analyze voice input',
-      code: 'ANALYSIS_ERROR',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(toAppError(error, 'Failed to analyze voice input', 'ANALYSIS_ERROR'));
   }
 });
 
 // Voice Review Generation endpoint
-router.post('/voice/generate-review', async (req, res) => {
+router.post('/voice/generate-review', requireScope('generate'), validate(schemas.reviewGeneration), resolveApiKey({ provider: 'nvidia' }), resolveBusiness, resolveBrandVoice, async (req, res, next) => {
   try {
-    const { transcript, analysis, apiKey, reviewType = 'general' } = req.body;
-    
-    // Debug logging
-    console.log('Voice review generation request received:');
-    console.log('- transcript length:', transcript?.length || 0);
-    console.log('- has analysis:', !!analysis);
-    console.log('- has apiKey:', !!apiKey);
-    console.log('- reviewType:', reviewType);
-    console.log('- full request body:', JSON.stringify(req.body, null, 2));
+    const { transcript, analysis, reviewType } = req.body;
+    const { apiKey } = req;
     
-    // Input validation
-    if (!transcript || typeof transcript !== 'string') {
-      console.log('❌ Validation failed: transcript missing or invalid');
-      return res.status(400).json({
-        success: false,
-        error: 'Transcript is required and must be a string',
-        code: 'INVALID_INPUT'
-      });
-    }
-
-    if (!apiKey || typeof apiKey !== 'string') {
-      console.log('❌ Validation failed: API key missing or invalid');
-      return res.status(400).json({
-        success: false,
-        error: 'API key is required and must be a string',
-        code: 'INVALID_API_KEY'
-      });
-    }
-
-    // Text length validation
-    if (transcript.length > 4000) {
-      return res.status(400).json({
-        success: false,
-        error: 'Transcript is too long. Maximum 4000 characters allowed.',
-        code: 'TEXT_TOO_LONG'
-      });
-    }
-
-    // Sanitize input
-    const sanitizedTranscript = transcript.trim().replace(/[<>]/g, '');
-
-    console.log(`Generating review from voice input: ${sanitizedTranscript.substring(0, 100)}...`);
+    logger.debug('Generating review from voice input', {
+      transcript,
+      transcriptLength: transcript.length,
+      hasAnalysis: !!analysis,
+      credentialSource: req.credential.source,
+      reviewType
+    });
 
-    const result = await llamaService.generateReviewFromVoice(sanitizedTranscript, apiKey, reviewType);
+    const workspace = getWorkspace(req);
+    const result = await llamaService.generateReviewFromVoice(transcript, apiKey, reviewType, { workspace, business: req.business, brandVoice: req.brandVoice });
+    result.brandVoiceCheck = brandVoiceService.check(result.review, req.brandVoice);
 
-    // Save to MongoDB (if available)
+    // Save to the workspace's reviews in MongoDB (if available)
     if (mongoose.connection.readyState === 1) {
       try {
         await Review.create({
+          workspace,
           review: transcript,
           sentiment: analysis?.sentiment || 'unknown',
           aiResponse: result.review,
           handledBy: 'AI',
           type: 'voice_review',
-          extra: { analysis, reviewType, apiKey: apiKey ? 'provided' : undefined }
+          extra: { analysis, reviewType, businessId: req.business?.id, brandVoiceCheck: result.brandVoiceCheck, credentialSource: req.credential.source }
         });
-        console.log('💾 Review saved to database');
+        logger.debug('Review saved to database');
       } catch (dbError) {
-        console.warn('⚠️  Failed to save to database:', dbError.message);
+        logger.warn('Failed to save to database', { error: dbError });
       }
     } else {
-      console.log('💾 Database not available, skipping save');
+      logger.debug('Database not available, skipping save');
     }
 
-    console.log(`Review generated. Tokens used: ${result.usage?.total_tokens || 'unknown'}`);
+    logger.info('Review generated', { totalTokens: result.usage?.total_tokens });
 
     res.json(result);
-
   } catch (error) {
-    console.error('Review Generation Error:', error);
-    
-    // Handle specific error types
-    if (error.status === 401 || error.code === 'authentication_error') {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or missing NVIDIA API key. Please check your API key configuration.',
-        code: 'INVALID_API_KEY'
-      });
-    }
-
-    if (error.code === 'insufficient_quota') {
-      return res.status(429).json({
-        success: false,
-        error: 'API quota exceeded. Please try again later.',
-        code: 'QUOTA_EXCEEDED'
-      });
-    }
-
-    if (error.code === 'rate_limit_exceeded') {
-      return res.status(429).json({
-        success: false,
-        error: 'Rate limit exceeded. Please try again later.',
-        code: 'RATE_LIMIT_EXCEEDED'
-      });
-    }
-
-    // Generic error response
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate review from voice input',
-      code: 'REVIEW_GENERATION_ERROR',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(toAppError(error, 'Failed to generate review from voice input', 'REVIEW_GENERATION_ERROR'));
   }
 });
 
 // Location Suggestion endpoint
-router.post('/voice/suggest-location', async (req, res) => {
+router.post('/voice/suggest-location', requireScope('generate'), validate(schemas.locationSuggestion), resolveApiKey({ provider: 'nvidia' }), resolveBusiness, async (req, res, next) => {
   try {
-    const { transcript, apiKey, currentLocation = null } = req.body;
-    
-    // Debug logging
-    console.log('Location suggestion request received:');
-    console.log('- transcript length:', transcript?.length || 0);
-    console.log('- has apiKey:', !!apiKey);
-    console.log('- has currentLocation:', !!currentLocation);
+    const { transcript, currentLocation } = req.body;
+    const { apiKey } = req;
     
-    // Input validation
-    if (!transcript || typeof transcript !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Transcript is required and must be a string',
-        code: 'INVALID_INPUT'
-      });
-    }
-
-    if (!apiKey || typeof apiKey !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'API key is required and must be a string',
-        code: 'INVALID_API_KEY'
-      });
-    }
-
-    // Text length validation
-    if (transcript.length > 4000) {
-      return res.status(400).json({
-        success: false,
-        error: 'Transcript is too long. Maximum 4000 characters allowed.',
-        code: 'TEXT_TOO_LONG'
-      });
-    }
-
-    // Sanitize input
-    const sanitizedTranscript = transcript.trim().replace(/[<>]/g, '');
-
-    console.log(`Analyzing transcript for location suggestions: ${sanitizedTranscript.substring(0, 100)}...`);
+    logger.debug('Analyzing transcript for location suggestions', {
+      transcript,
+      transcriptLength: transcript.length,
+      hasCurrentLocation: !!currentLocation,
+      credentialSource: req.credential.source
+    });
 
-    const result = await llamaService.generateLocationSuggestions(sanitizedTranscript, apiKey, currentLocation);
+    const result = await llamaService.generateLocationSuggestions(transcript, apiKey, currentLocation, {
+      workspace: getWorkspace(req),
+      business: req.business
+    });
     
-    console.log(`Location suggestions generated. Tokens used: ${result.usage?.total_tokens || 'unknown'}`);
+    logger.info('Location suggestions generated', { totalTokens: result.usage?.total_tokens });
 
     res.json(result);
-
   } catch (error) {
-    console.error('Location Suggestion Error:', error);
-    
-    // Handle specific error types
-    if (error.status === 401 || error.code === 'authentication_error') {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or missing NVIDIA API key. Please check your API key configuration.',
-        code: 'INVALID_API_KEY'
-      });
-    }
-
-    if (error.code === 'insufficient_quota') {
-      return res.status(429).json({
-        success: false,
-        error: 'API quota exceeded. Please try again later.',
-        code: 'QUOTA_EXCEEDED'
-      });
-    }
-
-    if (error.code === 'rate_limit_exceeded') {
-      return res.status(429).json({
-        success: false,
-        error: 'Rate limit exceeded. Please try again later.',
-        code: 'RATE_LIMIT_EXCEEDED'
-      });
-    }
-
-    // Generic error response
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate location suggestions',
-      code: 'LOCATION_SUGGESTION_ERROR',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(toAppError(error, 'Failed to generate location suggestions', 'LOCATION_SUGGESTION_ERROR'));
   }
 });
 
 // Customer Service Agent for Negative Reviews
-router.post('/voice/customer-service-response', async (req, res) => {
+router.post('/voice/customer-service-response', requireScope('generate'), validate(schemas.customerServiceResponse), resolveApiKey({ provider: 'nvidia' }), resolveBusiness, resolveBrandVoice, async (req, res, next) => {
   try {
-    const { review, sentiment, apiKey } = req.body;
+    const { review, sentiment } = req.body;
+    const { apiKey } = req;
 
-    if (!review || typeof review !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Review is required and must be a string',
-        code: 'INVALID_INPUT'
-      });
-    }
-    if (!sentiment || typeof sentiment !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Sentiment is required and must be a string',
-        code: 'INVALID_INPUT'
-      });
-    }
-    if (!apiKey || typeof apiKey !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'API key is required and must be a string',
-        code: 'INVALID_API_KEY'
-      });
-    }
-
-    if (sentiment.toLowerCase() !== 'negative') {
+    if (sentiment !== 'negative') {
       return res.json({
         success: true,
         message: 'No customer service response needed for non-negative sentiment.',
@@ -313,36 +116,33 @@ router.post('/voice/customer-service-response', async (req, res) => {
       });
     }
 
-    const result = await llamaService.generateCustomerServiceResponse(review, apiKey);
+    const workspace = getWorkspace(req);
+    const result = await llamaService.generateCustomerServiceResponse(review, apiKey, { workspace, business: req.business, brandVoice: req.brandVoice });
+    result.brandVoiceCheck = brandVoiceService.check(result.response, req.brandVoice);
 
-    // Save to MongoDB (if available)
+    // Save to the workspace's reviews in MongoDB (if available)
     if (mongoose.connection.readyState === 1) {
       try {
         await Review.create({
+          workspace,
           review,
           sentiment,
           aiResponse: result.response,
           handledBy: 'AI',
           type: 'customer_service',
-          extra: { apiKey: apiKey ? 'provided' : undefined }
+          extra: { businessId: req.business?.id, brandVoiceCheck: result.brandVoiceCheck, credentialSource: req.credential.source }
         });
-        console.log('💾 Customer service response saved to database');
+        logger.debug('Customer service response saved to database');
       } catch (dbError) {
-        console.warn('⚠️  Failed to save to database:', dbError.message);
+        logger.warn('Failed to save to database', { error: dbError });
       }
     } else {
-      console.log('💾 Database not available, skipping save');
+      logger.debug('Database not available, skipping save');
     }
 
     res.json(result);
   } catch (error) {
-    console.error('Customer Service Agent Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate customer service response',
-      code: 'CUSTOMER_SERVICE_ERROR',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(toAppError(error, 'Failed to generate customer service response', 'CUSTOMER_SERVICE_ERROR'));
   }
 });
 
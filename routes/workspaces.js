@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const accountService = require('../services/accountService');
+const { requireScope, requireUser } = require('../middleware/auth');
+const { getWorkspace } = require('../middleware/credentials');
+const { validate } = require('../middleware/validate');
+const schemas = require('../config/requestSchemas');
+const { toAppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Workspaces the signed-in user is a member of, with their role in each
+router.get('/workspaces', requireUser, async (req, res, next) => {
+  try {
+    const workspaces = await accountService.listWorkspaces(req.auth.userId);
+    res.json({
+      success: true,
+      workspaces
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to list workspaces', 'ACCOUNT_ERROR'));
+  }
+});
+
+// Create a workspace (e.g. for a new client of an agency); the signed-in
+// user becomes its owner
+router.post('/workspaces', requireUser, validate(schemas.workspaceCreate), async (req, res, next) => {
+  try {
+    const { name, slug } = req.body;
+    const workspace = await accountService.createWorkspace(req.auth.userId, { name, slug });
+
+    logger.info('Workspace created', { workspaceSlug: workspace.slug });
+
+    res.status(201).json({
+      success: true,
+      workspace
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to create workspace', 'ACCOUNT_ERROR'));
+  }
+});
+
+// Members of the current workspace (X-Workspace-Id) and their roles
+router.get('/members', requireScope('admin'), async (req, res, next) => {
+  try {
+    const members = await accountService.listMembers(getWorkspace(req));
+    res.json({
+      success: true,
+      members,
+      roles: accountService.getRoles()
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to list members', 'ACCOUNT_ERROR'));
+  }
+});
+
+// Add a registered user to the current workspace with a role
+router.post('/members', requireScope('admin'), validate(schemas.memberCreate), async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+    const member = await accountService.addMember(getWorkspace(req), { email, role });
+
+    logger.info('Member added', { userId: member.user.id, role: member.role });
+
+    res.status(201).json({
+      success: true,
+      member
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to add member', 'ACCOUNT_ERROR'));
+  }
+});
+
+// Change a member's role
+router.patch('/members/:userId', requireScope('admin'), validate(schemas.memberUpdate), async (req, res, next) => {
+  try {
+    const member = await accountService.updateMember(getWorkspace(req), req.params.userId, req.body.role);
+
+    logger.info('Member role changed', { userId: member.userId, role: member.role });
+
+    res.json({
+      success: true,
+      member
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to update member', 'ACCOUNT_ERROR'));
+  }
+});
+
+// Remove a member from the current workspace
+router.delete('/members/:userId', requireScope('admin'), async (req, res, next) => {
+  try {
+    const member = await accountService.removeMember(getWorkspace(req), req.params.userId);
+
+    logger.info('Member removed', { userId: member.userId });
+
+    res.json({
+      success: true,
+      member
+    });
+  } catch (error) {
+    next(toAppError(error, 'Failed to remove member', 'ACCOUNT_ERROR'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+// Golden-dataset evaluation from the command line (see services/evaluationService.js).
+//
+//   npm run eval -- list
+//   npm run eval -- run <dataset|file.json> [--model llama] [--prompt review_generation.user=2]
+//                       [--case <id>] [--name <label>] [--out run.json]
+//   npm run eval -- compare <base> <candidate> [--out report.json]
+//
+// Runs use NVIDIA_API_KEY (or OPENAI_API_KEY, ANTHROPIC_API_KEY, GEMINI_API_KEY,
+// CUSTOM_LLM_API_KEY for other providers' models); combine with LLM_MOCK=true or
+// LLM_CASSETTE_MODE=replay to run offline. With MONGO_URI set, pinned prompt
+// versions are loaded from and runs saved to the database, and `compare` also
+// accepts stored run ids. `compare` exits with status 1 when a case regressed.
+require('dotenv').config();
+const fs = require('fs');
+const { connectToMongoDB, mongoose } = require('../config/database');
+const evaluationService = require('../services/evaluationService');
+const MockProvider = require('../services/providers/mockProvider');
+
+const PROVIDER_KEY_VARS = {
+  nvidia: 'NVIDIA_API_KEY',
+  openai: 'OPENAI_API_KEY',
+  anthropic: 'ANTHROPIC_API_KEY',
+  gemini: 'GEMINI_API_KEY',
+  custom: 'CUSTOM_LLM_API_KEY'
+};
+
+// Split argv into positional arguments and --flags (repeatable flags collect into lists)
+function parseArgs(argv) {
+  const positional = [];
+  const flags = { prompt: [], case: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      positional.push(argv[i]);
+      continue;
+    }
+    const name = argv[i].slice(2);
+    const value = argv[++i];
+    if (value === undefined) throw new Error(`Missing value for --${name}`);
+    if (Array.isArray(flags[name])) flags[name].push(value);
+    else flags[name] = value;
+  }
+
+  return { positional, flags };
+}
+
+function parsePromptVersions(specs) {
+  return Object.fromEntries(specs.map(spec => {
+    const [name, version] = spec.split('=');
+    if (!name || !/^\d+$/.test(version || '')) {
+      throw new Error(`--prompt must look like <template>=<version>, got "${spec}"`);
+    }
+    return [name, Number(version)];
+  }));
+}
+
+const apiKeyFor = async (provider) => process.env[PROVIDER_KEY_VARS[provider]] || (MockProvider.isEnabled() ? 'mock' : null);
+
+const percent = (value) => (value === null ? '-' : `${Math.round(value * 100)}%`);
+const signed = (value, format = String) => (value === null ? '-' : `${value > 0 ? '+' : ''}${format(value)}`);
+
+function printRun(run) {
+  const { summary } = run;
+  console.log(`\n${run.name} (${run.dataset}, model ${run.config.model} = ${run.config.modelId})`);
+  if (Object.keys(run.config.promptVersions).length > 0) {
+    console.log(`Prompt versions: ${JSON.stringify(run.config.promptVersions)}`);
+  }
+
+  run.results.forEach(result => {
+    const mark = { passed: 'PASS', failed: 'FAIL', error: 'ERR ' }[result.status];
+    const score = result.qualityScore !== undefined ? ` quality ${result.qualityScore}` : '';
+    console.log(`  ${mark} ${result.id}${score}`);
+    if (result.error) console.log(`       ${result.code || 'ERROR'}: ${result.error}`);
+    result.assertions.filter(assertion => !assertion.passed).forEach(assertion => {
+      console.log(`       ✗ ${assertion.type}: ${assertion.detail}`);
+    });
+  });
+
+  console.log(`\nPassed ${summary.passed}/${summary.cases} (${percent(summary.passRate)}), ` +
+    `assertions ${percent(summary.assertionPassRate)}, avg quality ${summary.avgQualityScore ?? '-'}, ` +
+    `${summary.totalTokens} tokens, avg ${summary.avgLatencyMs}ms`);
+  if (run.id) console.log(`Saved as run ${run.id}`);
+}
+
+function printComparison(comparison) {
+  const { base, candidate, deltas } = comparison;
+  console.log(`\nBase:      ${base.name} (${base.config.model})`);
+  console.log(`Candidate: ${candidate.name} (${candidate.config.model})`);
+  if (!comparison.sameDataset) {
+    console.log(`⚠️  Runs use different datasets (${base.dataset} vs ${candidate.dataset})`);
+  }
+
+  comparison.cases.filter(entry => entry.change !== 'unchanged').forEach(entry => {
+    const status = `${entry.base?.status || '-'} → ${entry.candidate?.status || '-'}`;
+    const quality = entry.qualityDelta !== undefined ? `, quality ${signed(entry.qualityDelta)}` : '';
+    console.log(`  ${entry.change.toUpperCase()} ${entry.id}: ${status}${quality}`);
+    (entry.newlyFailed || []).forEach(assertion => console.log(`       ✗ ${assertion.type}: ${assertion.detail}`));
+  });
+
+  console.log(`\nPass rate ${signed(deltas.passRate, percent)}, assertions ${signed(deltas.assertionPassRate, percent)}, ` +
+    `avg quality ${signed(deltas.avgQualityScore)}, tokens ${signed(deltas.totalTokens)}, latency ${signed(deltas.avgLatencyMs)}ms`);
+  console.log(`${comparison.regressions} regressed, ${comparison.improvements} improved, ${comparison.unchanged} unchanged` +
+    `${comparison.added || comparison.removed ? `, ${comparison.added} added, ${comparison.removed} removed` : ''}`);
+}
+
+// A run from a JSON file written by `run --out`, or a stored run id
+async function loadRun(reference) {
+  if (fs.existsSync(reference)) {
+    const data = JSON.parse(fs.readFileSync(reference, 'utf8'));
+    return data.run || data;
+  }
+  return evaluationService.getRun(process.env.EVAL_WORKSPACE || 'default', reference);
+}
+
+function writeOutput(file, data) {
+  if (!file) return;
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+  console.log(`💾 Written to ${file}`);
+}
+
+async function main() {
+  const { positional: [command, ...args], flags } = parseArgs(process.argv.slice(2));
+
+  if (process.env.MONGO_URI) {
+    await connectToMongoDB();
+  }
+
+  if (command === 'list') {
+    evaluationService.listDatasets().forEach(dataset => {
+      console.log(`${dataset.name.padEnd(24)} ${dataset.task.padEnd(20)} ${String(dataset.cases).padStart(3)} cases  ${dataset.description}`);
+    });
+    return 0;
+  }
+
+  if (command === 'run') {
+    if (!args[0]) throw new Error('Usage: run <dataset|file.json> [--model key] [--prompt name=version]');
+
+    const run = await evaluationService.runDataset(args[0], {
+      apiKey: apiKeyFor,
+      model: flags.model,
+      promptVersions: parsePromptVersions(flags.prompt),
+      name: flags.name,
+      caseIds: flags.case.length > 0 ? flags.case : undefined,
+      workspace: process.env.EVAL_WORKSPACE || 'default',
+      allowPath: true
+    });
+    printRun(run);
+    writeOutput(flags.out, run);
+    return 0;
+  }
+
+  if (command === 'compare') {
+    if (args.length !== 2) throw new Error('Usage: compare <base run.json|id> <candidate run.json|id>');
+
+    const [base, candidate] = await Promise.all(args.map(loadRun));
+    const comparison = evaluationService.compareRuns(base, candidate);
+    printComparison(comparison);
+    writeOutput(flags.out, comparison);
+    return comparison.regressed ? 1 : 0;
+  }
+
+  console.log('Usage: evaluate.js list | run <dataset> [options] | compare <base> <candidate>');
+  return command ? 1 : 0;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,80 +1,202 @@
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
+const logger = require('./utils/logger');
 
 // Import modules with error handling
 let connectToMongoDB;
-let securityMiddleware, limiter, corsOptions, compressionMiddleware, loggingMiddleware;
-let llamaRoutes, voiceRoutes, reviewsRoutes, healthRoutes, enhancedLLMRoutes, modelsRoutes, blogRoutes;
+let requestContext;
+let errorHandler, notFoundHandler;
+let securityMiddleware, corsOptions, compressionMiddleware;
+let authenticate, clientRateLimit;
+let requestLogger;
+let llamaRoutes, voiceRoutes, reviewsRoutes, healthRoutes, enhancedLLMRoutes, modelsRoutes, blogRoutes, credentialsRoutes, sessionsRoutes, promptsRoutes, usageRoutes, evalsRoutes, quotaRoutes, tokensRoutes, authRoutes, workspacesRoutes, businessesRoutes, brandVoicesRoutes, docsRoutes;
 
 try {
   const database = require('./config/database');
   connectToMongoDB = database.connectToMongoDB;
-  console.log('✅ Database module loaded');
+  logger.debug('Database module loaded');
 } catch (error) {
-  console.error('❌ Error loading database module:', error.message);
+  logger.error('Error loading database module', { error });
 }
 
 try {
   const security = require('./middleware/security');
   securityMiddleware = security.securityMiddleware;
-  limiter = security.limiter;
   corsOptions = security.corsOptions;
   compressionMiddleware = security.compressionMiddleware;
-  loggingMiddleware = security.loggingMiddleware;
-  console.log('✅ Security middleware loaded');
+  logger.debug('Security middleware loaded');
 } catch (error) {
-  console.error('❌ Error loading security middleware:', error.message);
+  logger.error('Error loading security middleware', { error });
+}
+
+try {
+  requestContext = require('./middleware/requestContext').requestContext;
+  logger.debug('Request context middleware loaded');
+} catch (error) {
+  logger.error('Error loading request context middleware', { error });
+}
+
+try {
+  authenticate = require('./middleware/auth').authenticate;
+  logger.debug('Authentication middleware loaded');
+} catch (error) {
+  logger.error('Error loading authentication middleware', { error });
+}
+
+try {
+  clientRateLimit = require('./middleware/rateLimit').clientRateLimit;
+  logger.debug('Rate limit middleware loaded');
+} catch (error) {
+  logger.error('Error loading rate limit middleware', { error });
+}
+
+try {
+  requestLogger = require('./middleware/requestLogger').requestLogger;
+  logger.debug('Request logger loaded');
+} catch (error) {
+  logger.error('Error loading request logger', { error });
+}
+
+try {
+  ({ errorHandler, notFoundHandler } = require('./middleware/errorHandler'));
+  logger.debug('Error handler loaded');
+} catch (error) {
+  logger.error('Error loading error handler', { error });
 }
 
 // Import routes with error handling
 try {
   llamaRoutes = require('./routes/llama');
-  console.log('✅ Llama routes loaded');
+  logger.debug('Llama routes loaded');
 } catch (error) {
-  console.error('❌ Error loading llama routes:', error.message);
+  logger.error('Error loading llama routes', { error });
 }
 
 try {
   voiceRoutes = require('./routes/voice');
-  console.log('✅ Voice routes loaded');
+  logger.debug('Voice routes loaded');
 } catch (error) {
-  console.error('❌ Error loading voice routes:', error.message);
+  logger.error('Error loading voice routes', { error });
 }
 
 try {
   reviewsRoutes = require('./routes/reviews');
-  console.log('✅ Reviews routes loaded');
+  logger.debug('Reviews routes loaded');
 } catch (error) {
-  console.error('❌ Error loading reviews routes:', error.message);
+  logger.error('Error loading reviews routes', { error });
 }
 
 try {
   healthRoutes = require('./routes/health');
-  console.log('✅ Health routes loaded');
+  logger.debug('Health routes loaded');
 } catch (error) {
-  console.error('❌ Error loading health routes:', error.message);
+  logger.error('Error loading health routes', { error });
 }
 
 try {
   enhancedLLMRoutes = require('./routes/enhancedLLM');
-  console.log('✅ Enhanced LLM routes loaded');
+  logger.debug('Enhanced LLM routes loaded');
 } catch (error) {
-  console.error('❌ Error loading enhanced LLM routes:', error.message);
+  logger.error('Error loading enhanced LLM routes', { error });
 }
 
 try {
   modelsRoutes = require('./routes/models');
-  console.log('✅ Models routes loaded');
+  logger.debug('Models routes loaded');
 } catch (error) {
-  console.error('❌ Error loading models routes:', error.message);
+  logger.error('Error loading models routes', { error });
 }
 
 try {
   blogRoutes = require('./routes/blog');
-  console.log('✅ Blog routes loaded');
+  logger.debug('Blog routes loaded');
 } catch (error) {
-  console.error('❌ Error loading blog routes:', error.message);
+  logger.error('Error loading blog routes', { error });
+}
+
+try {
+  credentialsRoutes = require('./routes/credentials');
+  logger.debug('Credentials routes loaded');
+} catch (error) {
+  logger.error('Error loading credentials routes', { error });
+}
+
+try {
+  sessionsRoutes = require('./routes/sessions');
+  logger.debug('Sessions routes loaded');
+} catch (error) {
+  logger.error('Error loading sessions routes', { error });
+}
+
+try {
+  promptsRoutes = require('./routes/prompts');
+  logger.debug('Prompts routes loaded');
+} catch (error) {
+  logger.error('Error loading prompts routes', { error });
+}
+
+try {
+  usageRoutes = require('./routes/usage');
+  logger.debug('Usage routes loaded');
+} catch (error) {
+  logger.error('Error loading usage routes', { error });
+}
+
+try {
+  evalsRoutes = require('./routes/evals');
+  logger.debug('Evals routes loaded');
+} catch (error) {
+  logger.error('Error loading evals routes', { error });
+}
+
+try {
+  quotaRoutes = require('./routes/quota');
+  logger.debug('Quota routes loaded');
+} catch (error) {
+  logger.error('Error loading quota routes', { error });
+}
+
+try {
+  tokensRoutes = require('./routes/tokens');
+  logger.debug('Tokens routes loaded');
+} catch (error) {
+  logger.error('Error loading tokens routes', { error });
+}
+
+try {
+  authRoutes = require('./routes/auth');
+  logger.debug('Auth routes loaded');
+} catch (error) {
+  logger.error('Error loading auth routes', { error });
+}
+
+try {
+  workspacesRoutes = require('./routes/workspaces');
+  logger.debug('Workspaces routes loaded');
+} catch (error) {
+  logger.error('Error loading workspaces routes', { error });
+}
+
+try {
+  businessesRoutes = require('./routes/businesses');
+  logger.debug('Businesses routes loaded');
+} catch (error) {
+  logger.error('Error loading businesses routes', { error });
+}
+
+try {
+  brandVoicesRoutes = require('./routes/brandVoices');
+  logger.debug('Brand voices routes loaded');
+} catch (error) {
+  logger.error('Error loading brand voices routes', { error });
+}
+
+try {
+  docsRoutes = require('./routes/docs');
+  logger.debug('Docs routes loaded');
+} catch (error) {
+  logger.error('Error loading docs routes', { error });
 }
 
 const app = express();
@@ -86,27 +208,23 @@ app.set('trust proxy', 1);
 // Connect to MongoDB
 connectToMongoDB();
 
+// Give every request an id and track workspace and endpoint for the rest of
+// the request (used for usage accounting, logs and error responses)
+app.use(requestContext);
+
+// Log every request as structured JSON (LOG_LEVEL, see utils/logger.js),
+// including those rejected by the rate limit or CORS
+app.use(requestLogger);
+
 // Apply security middleware
 app.use(securityMiddleware);
 
-// Apply rate limiting to API routes
-app.use('/api/', limiter);
-
 // Apply CORS
 app.use(cors(corsOptions));
 
 // Apply compression
 app.use(compressionMiddleware);
 
-// Apply logging
-app.use(loggingMiddleware);
-
-// Add request logging for debugging
-app.use((req, res, next) => {
-  console.log(`📥 ${req.method} ${req.path} - ${new Date().toISOString()}`);
-  next();
-});
-
 // Test endpoint to verify server is working
 app.get('/api/test', (req, res) => {
   res.json({
@@ -121,6 +239,15 @@ app.get('/api/test', (req, res) => {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Require an API or session token on every route except health checks, docs,
+// registration and sign-in. Failed token attempts are throttled per IP here,
+// before the per-client limits below.
+app.use('/api', authenticate);
+
+// Apply per-client rate limits to API routes (after authentication, which
+// names the token a request is counted against)
+app.use('/api', clientRateLimit);
+
 // Mount routes with error handling
 const routesToMount = [
   { name: 'llama', route: llamaRoutes },
@@ -129,40 +256,37 @@ const routesToMount = [
   { name: 'health', route: healthRoutes },
   { name: 'enhancedLLM', route: enhancedLLMRoutes },
   { name: 'models', route: modelsRoutes },
-  { name: 'blog', route: blogRoutes }
+  { name: 'blog', route: blogRoutes },
+  { name: 'credentials', route: credentialsRoutes },
+  { name: 'sessions', route: sessionsRoutes },
+  { name: 'prompts', route: promptsRoutes },
+  { name: 'usage', route: usageRoutes },
+  { name: 'evals', route: evalsRoutes },
+  { name: 'quota', route: quotaRoutes },
+  { name: 'tokens', route: tokensRoutes },
+  { name: 'auth', route: authRoutes },
+  { name: 'workspaces', route: workspacesRoutes },
+  { name: 'businesses', route: businessesRoutes },
+  { name: 'brandVoices', route: brandVoicesRoutes },
+  { name: 'docs', route: docsRoutes }
 ];
 
 routesToMount.forEach(({ name, route }) => {
   if (route) {
     try {
       app.use('/api', route);
-      console.log(`✅ ${name} routes mounted successfully`);
+      logger.debug('Routes mounted', { routes: name });
     } catch (error) {
-      console.error(`❌ Error mounting ${name} routes:`, error.message);
+      logger.error('Error mounting routes', { routes: name, error });
     }
   } else {
-    console.warn(`⚠️ ${name} routes not available`);
+    logger.warn('Routes not available', { routes: name });
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error',
-    code: 'INTERNAL_ERROR'
-  });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found',
-    code: 'NOT_FOUND'
-  });
-});
+// Unmatched routes and errors passed to next() share one JSON envelope
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // Only start the server if not running in a Firebase Cloud Function
 defineAppStart();
@@ -170,12 +294,14 @@ defineAppStart();
 function defineAppStart() {
   if (require.main === module) {
     app.listen(PORT, () => {
-      console.log(`🚀 ReviewGen Backend Server running on port ${PORT}`);
-      console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-      console.log(`🤖 Llama API: http://localhost:${PORT}/api/llama`);
-      console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+      logger.info('ReviewGen Backend Server running', {
+        port: Number(PORT),
+        environment: process.env.NODE_ENV || 'development',
+        healthCheck: `http://localhost:${PORT}/api/health`,
+        docs: `http://localhost:${PORT}/api/docs`
+      });
       if (!process.env.NVIDIA_API_KEY) {
-        console.warn('⚠️  NVIDIA_API_KEY not found in environment variables');
+        logger.warn('NVIDIA_API_KEY not found in environment variables');
       }
     });
   }
@@ -192,11 +318,11 @@ if (process.env.FUNCTION_NAME || process.env.K_SERVICE) {
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
+  logger.info('SIGTERM received, shutting down gracefully');
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
+  logger.info('SIGINT received, shutting down gracefully');
   process.exit(0);
 }); 
\ No newline at end of file
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { User, Workspace, Membership, mongoose } = require('../config/database');
+const { createError } = require('../utils/errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+// What each membership role may do, as token scopes (see apiTokenService.js)
+const ROLES = {
+    owner: ['admin'],
+    editor: ['reviews:read', 'reviews:write', 'generate', 'prompts:write', 'businesses:write'],
+    responder: ['reviews:read', 'reviews:write', 'generate'],
+    viewer: ['reviews:read']
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_NAME_LENGTH = 100;
+// Slugs that already hold data without a Workspace document
+const RESERVED_SLUGS = ['default'];
+
+const slugify = (name) => name.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48);
+
+// Password hashes are "scrypt:<salt>:<hash>" (base64 parts)
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return ['scrypt', salt.toString('base64'), hash.toString('base64')].join(':');
+}
+
+async function verifyPassword(password, stored) {
+    const [, salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Compared against when the email is unknown, so a failed sign-in takes the
+// same time whether or not the account exists
+const DUMMY_HASH = `scrypt:${Buffer.alloc(16).toString('base64')}:${Buffer.alloc(64).toString('base64')}`;
+
+// User accounts, workspaces and memberships. Every stored document carries
+// the slug of the workspace it belongs to; a user sees a workspace's data
+// through a membership whose role decides what they may do (ROLES).
+class AccountService {
+    assertDatabase() {
+        if (mongoose.connection.readyState !== 1) {
+            throw createError('Accounts require the database, which is not available.', 'DATABASE_UNAVAILABLE', 503);
+        }
+    }
+
+    getRoles() {
+        return Object.keys(ROLES);
+    }
+
+    getRoleScopes(role) {
+        return ROLES[role] || [];
+    }
+
+    assertRole(role) {
+        if (!ROLES[role]) {
+            throw createError(`Role must be one of: ${this.getRoles().join(', ')}`, 'INVALID_ROLE', 400);
+        }
+    }
+
+    toPublicUser(user) {
+        return {
+            id: user._id.toString(),
+            email: user.email,
+            name: user.name || null,
+            createdAt: user.createdAt
+        };
+    }
+
+    toPublicWorkspace(workspace, role) {
+        return {
+            slug: workspace.slug,
+            name: workspace.name,
+            role,
+            createdAt: workspace.createdAt
+        };
+    }
+
+    // Create an account and its first workspace, owned by the new user
+    async register({ email, password, name, workspaceName }) {
+        if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+            throw createError('A valid email is required', 'INVALID_INPUT', 400);
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw createError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 'INVALID_INPUT', 400);
+        }
+        if (name !== undefined && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+            throw createError(`Name must be a string of at most ${MAX_NAME_LENGTH} characters`, 'INVALID_INPUT', 400);
+        }
+
+        this.assertDatabase();
+        const normalizedEmail = email.trim().toLowerCase();
+        if (await User.exists({ email: normalizedEmail })) {
+            throw createError('An account with this email already exists', 'EMAIL_TAKEN', 409);
+        }
+
+        let user;
+        try {
+            user = await User.create({
+                email: normalizedEmail,
+                name: name ? name.trim() : undefined,
+                passwordHash: await hashPassword(password)
+            });
+        } catch (error) {
+            if (error.code === 11000) throw createError('An account with this email already exists', 'EMAIL_TAKEN', 409);
+            throw error;
+        }
+
+        const workspace = await this.createWorkspace(user._id, {
+            name: workspaceName || `${user.name || normalizedEmail.split('@')[0]}'s workspace`
+        });
+
+        return { user: this.toPublicUser(user), workspace };
+    }
+
+    // The user for an email and password; throws INVALID_LOGIN otherwise
+    async authenticate({ email, password }) {
+        if (typeof email !== 'string' || typeof password !== 'string') {
+            throw createError('Email and password are required', 'INVALID_INPUT', 400);
+        }
+
+        this.assertDatabase();
+        const user = await User.findOne({ email: email.trim().toLowerCase() });
+        const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+        if (!user || !valid) {
+            throw createError('Email or password is incorrect', 'INVALID_LOGIN', 401);
+        }
+
+        return this.toPublicUser(user);
+    }
+
+    async getUser(userId) {
+        this.assertDatabase();
+        const user = await User.findById(userId);
+        if (!user) throw createError('User not found', 'USER_NOT_FOUND', 404);
+        return this.toPublicUser(user);
+    }
+
+    // A new workspace owned by `userId`. The slug is derived from the name
+    // unless given; a derived slug that is taken gets a random suffix.
+    async createWorkspace(userId, { name, slug }) {
+        if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+            throw createError(`Workspace name is required (at most ${MAX_NAME_LENGTH} characters)`, 'INVALID_INPUT', 400);
+        }
+        if (slug !== undefined && (typeof slug !== 'string' || !SLUG_PATTERN.test(slug))) {
+            throw createError('Slug must be 2-63 lowercase letters, digits or dashes', 'INVALID_INPUT', 400);
+        }
+
+        this.assertDatabase();
+        const isTaken = async (candidate) => RESERVED_SLUGS.includes(candidate) || Boolean(await Workspace.exists({ slug: candidate }));
+
+        let finalSlug = slug;
+        if (finalSlug && await isTaken(finalSlug)) {
+            throw createError('This workspace slug is taken', 'WORKSPACE_TAKEN', 409);
+        }
+        if (!finalSlug) {
+            const base = slugify(name) || 'workspace';
+            finalSlug = base.length >= 2 && !(await isTaken(base)) ? base : `${base}-${crypto.randomBytes(3).toString('hex')}`;
+        }
+
+        let workspace;
+        try {
+            workspace = await Workspace.create({ slug: finalSlug, name: name.trim(), createdBy: userId });
+        } catch (error) {
+            if (error.code === 11000) throw createError('This workspace slug is taken', 'WORKSPACE_TAKEN', 409);
+            throw error;
+        }
+        await Membership.create({ workspace: workspace.slug, user: userId, role: 'owner' });
+
+        return this.toPublicWorkspace(workspace, 'owner');
+    }
+
+    // Workspaces the user is a member of, oldest membership first
+    async listWorkspaces(userId) {
+        this.assertDatabase();
+        const memberships = await Membership.find({ user: userId }).sort({ createdAt: 1 }).lean();
+        const workspaces = await Workspace.find({ slug: { $in: memberships.map(membership => membership.workspace) } }).lean();
+        const bySlug = new Map(workspaces.map(workspace => [workspace.slug, workspace]));
+
+        return memberships.map(membership => this.toPublicWorkspace(
+            bySlug.get(membership.workspace) || { slug: membership.workspace, name: membership.workspace, createdAt: membership.createdAt },
+            membership.role
+        ));
+    }
+
+    // The workspace a signed-in user acts on and their role there:
+    // `requested` (X-Workspace-Id) or, without one, their first workspace.
+    // role is null when the user is not a member.
+    async resolveMembership(userId, requested) {
+        this.assertDatabase();
+        const membership = requested
+            ? await Membership.findOne({ user: userId, workspace: requested }).lean()
+            : await Membership.findOne({ user: userId }).sort({ createdAt: 1 }).lean();
+
+        if (!membership) return { workspace: null, role: null, scopes: [] };
+        return { workspace: membership.workspace, role: membership.role, scopes: this.getRoleScopes(membership.role) };
+    }
+
+    async listMembers(workspace) {
+        this.assertDatabase();
+        const memberships = await Membership.find({ workspace }).sort({ createdAt: 1 }).populate('user').lean();
+
+        return memberships.filter(membership => membership.user).map(membership => ({
+            user: this.toPublicUser(membership.user),
+            role: membership.role,
+            createdAt: membership.createdAt
+        }));
+    }
+
+    // Add an existing user, by email, to the workspace
+    async addMember(workspace, { email, role }) {
+        this.assertRole(role);
+        if (typeof email !== 'string') {
+            throw createError('Email is required', 'INVALID_INPUT', 400);
+        }
+
+        this.assertDatabase();
+        const user = await User.findOne({ email: email.trim().toLowerCase() });
+        if (!user) {
+            throw createError('No user with this email; they need to register first', 'USER_NOT_FOUND', 404);
+        }
+
+        try {
+            const membership = await Membership.create({ workspace, user: user._id, role });
+            return { user: this.toPublicUser(user), role: membership.role, createdAt: membership.createdAt };
+        } catch (error) {
+            if (error.code === 11000) throw createError('This user is already a member', 'MEMBER_EXISTS', 409);
+            throw error;
+        }
+    }
+
+    async findMembership(workspace, userId) {
+        this.assertDatabase();
+        const membership = mongoose.Types.ObjectId.isValid(userId)
+            ? await Membership.findOne({ workspace, user: userId })
+            : null;
+        if (!membership) {
+            throw createError('This user is not a member of the workspace', 'MEMBER_NOT_FOUND', 404);
+        }
+        return membership;
+    }
+
+    // A workspace always keeps at least one owner
+    async assertNotLastOwner(membership) {
+        if (membership.role !== 'owner') return;
+        const owners = await Membership.countDocuments({ workspace: membership.workspace, role: 'owner' });
+        if (owners <= 1) {
+            throw createError('The last owner of a workspace cannot be removed or demoted', 'LAST_OWNER', 409);
+        }
+    }
+
+    async updateMember(workspace, userId, role) {
+        this.assertRole(role);
+        const membership = await this.findMembership(workspace, userId);
+        if (role !== 'owner') await this.assertNotLastOwner(membership);
+
+        membership.role = role;
+        await membership.save();
+        return { userId: membership.user.toString(), role: membership.role };
+    }
+
+    async removeMember(workspace, userId) {
+        const membership = await this.findMembership(workspace, userId);
+        await this.assertNotLastOwner(membership);
+        await membership.deleteOne();
+        return { userId: membership.user.toString() };
+    }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { ApiToken, mongoose } = require('../config/database');
+const { createError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Scopes a token can be issued with. `admin` includes the others.
+// Membership roles map to these scopes (accountService.js).
+const SCOPES = {
+    'reviews:read': 'Read stored reviews and AI replies',
+    'reviews:write': 'Edit and delete stored reviews',
+    generate: 'Call the generation, chat, model and evaluation endpoints',
+    'prompts:write': 'Publish and roll back prompt template versions',
+    'businesses:write': 'Create, edit and delete business profiles and brand voices',
+    admin: 'Everything, plus tokens, members and credentials; read usage'
+};
+
+const DEFAULT_SESSION_TTL_DAYS = 30;
+
+const TOKEN_PREFIX = 'rg_';
+const MAX_NAME_LENGTH = 100;
+// lastUsedAt is written at most this often per token
+const LAST_USED_INTERVAL_MS = 60000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issues, verifies and revokes the bearer tokens API clients authenticate
+// with (middleware/auth.js): workspace API tokens with fixed scopes, and
+// session tokens for signed-in users (scopes come from their role in the
+// workspace they act on). A token is shown once when issued; only its
+// SHA-256 hash is stored. ADMIN_API_KEY, when set, is accepted as a token
+// with every scope that may act on any workspace (the server admin), which
+// is how the first workspace tokens are issued.
+class ApiTokenService {
+    assertDatabase() {
+        if (mongoose.connection.readyState !== 1) {
+            throw createError('Token storage requires the database, which is not available.', 'DATABASE_UNAVAILABLE', 503);
+        }
+    }
+
+    // Scope name -> description
+    getScopes() {
+        return { ...SCOPES };
+    }
+
+    hasScope(principal, scope) {
+        return principal.scopes.includes('admin') || principal.scopes.includes(scope);
+    }
+
+    isServerAdminKey(token) {
+        const adminKey = process.env.ADMIN_API_KEY;
+        if (!adminKey) return false;
+
+        const expected = crypto.createHash('sha256').update(adminKey).digest();
+        const provided = crypto.createHash('sha256').update(token).digest();
+        return crypto.timingSafeEqual(expected, provided);
+    }
+
+    // Public view of a token; never includes the token or its hash
+    toPublic(token) {
+        return {
+            id: token._id.toString(),
+            workspace: token.workspace,
+            name: token.name,
+            prefix: token.prefix,
+            scopes: token.scopes,
+            expiresAt: token.expiresAt || null,
+            revokedAt: token.revokedAt || null,
+            lastUsedAt: token.lastUsedAt || null,
+            createdAt: token.createdAt
+        };
+    }
+
+    // Issue a token for a workspace. Resolves with the public view plus
+    // `token`, the only time the token itself is available.
+    async issueToken({ workspace, name, scopes, expiresAt }) {
+        if (!name || typeof name !== 'string' || name.trim().length > MAX_NAME_LENGTH) {
+            throw createError(`Token name is required (at most ${MAX_NAME_LENGTH} characters)`, 'INVALID_INPUT', 400);
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES[scope])) {
+            throw createError(`Scopes must be a non-empty list of: ${Object.keys(SCOPES).join(', ')}`, 'INVALID_SCOPE', 400);
+        }
+
+        let expiry;
+        if (expiresAt !== undefined && expiresAt !== null) {
+            expiry = new Date(expiresAt);
+            if (Number.isNaN(expiry.getTime()) || expiry.getTime() <= Date.now()) {
+                throw createError('expiresAt must be a future ISO date', 'INVALID_INPUT', 400);
+            }
+        }
+
+        this.assertDatabase();
+        const { token, stored } = await this.storeToken({
+            kind: 'api',
+            workspace,
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            expiresAt: expiry
+        });
+
+        return { ...this.toPublic(stored), token };
+    }
+
+    // Session token for a signed-in user, valid for SESSION_TTL_DAYS (default 30)
+    async issueSession(userId) {
+        this.assertDatabase();
+        const days = parseInt(process.env.SESSION_TTL_DAYS, 10) || DEFAULT_SESSION_TTL_DAYS;
+        const { token, stored } = await this.storeToken({
+            kind: 'session',
+            user: userId,
+            name: 'Sign-in',
+            expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+        });
+
+        return { token, expiresAt: stored.expiresAt };
+    }
+
+    async storeToken(fields) {
+        const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const stored = await ApiToken.create({
+            ...fields,
+            tokenHash: hashToken(token),
+            prefix: token.slice(0, TOKEN_PREFIX.length + 6)
+        });
+        return { token, stored };
+    }
+
+    async revokeSession(tokenId) {
+        this.assertDatabase();
+        await ApiToken.updateOne({ _id: tokenId, kind: 'session', revokedAt: null }, { revokedAt: new Date() });
+    }
+
+    async listTokens(workspace) {
+        this.assertDatabase();
+        const tokens = await ApiToken.find({ workspace, kind: { $ne: 'session' } }).sort({ createdAt: -1 });
+        return tokens.map(token => this.toPublic(token));
+    }
+
+    // Revoke a token of the workspace. Resolves with the public view, or null
+    // when the workspace has no such token.
+    async revokeToken(workspace, id) {
+        this.assertDatabase();
+        if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+        const token = await ApiToken.findOne({ _id: id, workspace, kind: { $ne: 'session' } });
+        if (!token) return null;
+
+        if (!token.revokedAt) {
+            token.revokedAt = new Date();
+            await token.save();
+        }
+        return this.toPublic(token);
+    }
+
+    // The principal a bearer token stands for:
+    //   { tokenId, userId, workspace, scopes, serverAdmin }
+    // userId is set for session tokens, whose workspace and scopes are resolved
+    // from the user's memberships (middleware/auth.js). workspace is null for
+    // the server admin. Throws INVALID_TOKEN for unknown, revoked or expired tokens.
+    async authenticate(token) {
+        if (this.isServerAdminKey(token)) {
+            return { tokenId: 'admin', userId: null, workspace: null, scopes: ['admin'], serverAdmin: true };
+        }
+
+        const invalid = () => createError('The bearer token is invalid, expired or revoked', 'INVALID_TOKEN', 401);
+        if (!token.startsWith(TOKEN_PREFIX)) throw invalid();
+
+        this.assertDatabase();
+        const stored = await ApiToken.findOne({ tokenHash: hashToken(token) }).lean();
+        if (!stored || stored.revokedAt || (stored.expiresAt && stored.expiresAt <= new Date())) {
+            throw invalid();
+        }
+
+        if (!stored.lastUsedAt || Date.now() - stored.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+            ApiToken.updateOne({ _id: stored._id }, { lastUsedAt: new Date() })
+                .catch(error => logger.warn('Failed to update token usage', { error }));
+        }
+
+        if (stored.kind === 'session') {
+            return { tokenId: stored._id.toString(), userId: stored.user.toString(), workspace: null, scopes: [], serverAdmin: false };
+        }
+
+        return {
+            tokenId: stored._id.toString(),
+            userId: null,
+            workspace: stored.workspace,
+            scopes: stored.scopes,
+            serverAdmin: false
+        };
+    }
+}
+
+module.exports = new ApiTokenService();
@@ -0,0 +1,249 @@
+const { BrandVoice, Business, mongoose } = require('../config/database');
+const { createError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// The workspace default voice is cached briefly so generation routes do not
+// hit the database for every request
+const CACHE_TTL_MS = 60 * 1000;
+
+const VOICE_FIELDS = ['name', 'tone', 'formality', 'emojiPolicy', 'bannedWords', 'requiredPhrases', 'samples'];
+
+const FORMALITY_RULES = {
+    casual: 'Casual: contractions and everyday words are welcome',
+    neutral: 'Neutral: plain, friendly and professional',
+    formal: 'Formal: no contractions, slang or exclamations'
+};
+
+// More emoji than this breaks the `sparing` policy
+const MAX_SPARING_EMOJI = 2;
+
+const EMOJI_RULES = {
+    none: 'Never use emoji',
+    sparing: `At most ${MAX_SPARING_EMOJI} emoji`,
+    allowed: 'Emoji are welcome where they fit'
+};
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+// Emoji at the start of a line: the section markers of utils/responseFormatter.js
+// and the enhanced-llm prefixes
+const LEADING_EMOJI_PATTERN = /^([ \t]*)(?:\p{Extended_Pictographic}\uFE0F?[ \t]*)+/gmu;
+const CONTRACTION_PATTERN = /\b[a-z]+(?:n['’]t|['’](?:re|ll|ve|m|d))\b/gi;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Named brand voices of a workspace: tone descriptors, formality, emoji
+// policy, banned words, required phrases and sample texts. The voice that
+// applies to a request (middleware/brandVoice.js) is described to the model
+// in the prompts (the `brandVoice` variable) and the generated text is checked
+// against it afterwards (check()).
+class BrandVoiceService {
+    constructor() {
+        this.defaultCache = new Map();
+    }
+
+    isDatabaseReady() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    assertDatabase() {
+        if (!this.isDatabaseReady()) {
+            throw createError('Brand voices require the database, which is not available.', 'DATABASE_UNAVAILABLE', 503);
+        }
+    }
+
+    toPublic(voice) {
+        return {
+            id: voice._id.toString(),
+            name: voice.name,
+            tone: voice.tone || [],
+            formality: voice.formality,
+            emojiPolicy: voice.emojiPolicy,
+            bannedWords: voice.bannedWords || [],
+            requiredPhrases: voice.requiredPhrases || [],
+            samples: voice.samples || [],
+            isDefault: Boolean(voice.isDefault),
+            createdAt: voice.createdAt,
+            updatedAt: voice.updatedAt
+        };
+    }
+
+    pickFields(fields) {
+        return Object.fromEntries(VOICE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]]));
+    }
+
+    // Only one default voice per workspace
+    async clearDefault(workspace) {
+        await BrandVoice.updateMany({ workspace, isDefault: true }, { $set: { isDefault: false } });
+    }
+
+    async createVoice(workspace, fields) {
+        this.assertDatabase();
+
+        if (fields.isDefault) await this.clearDefault(workspace);
+        const voice = await BrandVoice.create({ ...this.pickFields(fields), workspace, isDefault: Boolean(fields.isDefault) });
+
+        this.defaultCache.delete(workspace);
+        return this.toPublic(voice);
+    }
+
+    async listVoices(workspace) {
+        this.assertDatabase();
+        const voices = await BrandVoice.find({ workspace }).sort({ name: 1 });
+        return voices.map(voice => this.toPublic(voice));
+    }
+
+    // The workspace's voice with this id, throwing BRAND_VOICE_NOT_FOUND otherwise
+    async getVoice(workspace, id) {
+        this.assertDatabase();
+
+        const voice = mongoose.Types.ObjectId.isValid(id)
+            ? await BrandVoice.findOne({ _id: id, workspace })
+            : null;
+
+        if (!voice) {
+            throw createError('Brand voice not found', 'BRAND_VOICE_NOT_FOUND', 404);
+        }
+        return this.toPublic(voice);
+    }
+
+    async updateVoice(workspace, id, fields) {
+        this.assertDatabase();
+
+        const updates = this.pickFields(fields);
+        if (fields.isDefault !== undefined) updates.isDefault = Boolean(fields.isDefault);
+        if (Object.keys(updates).length === 0) {
+            throw createError(`No fields to update (allowed: ${[...VOICE_FIELDS, 'isDefault'].join(', ')})`, 'INVALID_INPUT', 400);
+        }
+
+        await this.getVoice(workspace, id);
+        if (updates.isDefault) await this.clearDefault(workspace);
+
+        const voice = await BrandVoice.findOneAndUpdate(
+            { _id: id, workspace },
+            { $set: { ...updates, updatedAt: new Date() } },
+            { new: true, runValidators: true }
+        );
+
+        this.defaultCache.delete(workspace);
+        return this.toPublic(voice);
+    }
+
+    // Delete a voice; businesses that used it fall back to the workspace default
+    async deleteVoice(workspace, id) {
+        await this.getVoice(workspace, id);
+
+        await BrandVoice.deleteOne({ _id: id, workspace });
+        await Business.updateMany({ workspace, brandVoice: id }, { $unset: { brandVoice: 1 } });
+        this.defaultCache.delete(workspace);
+    }
+
+    async getDefaultVoice(workspace) {
+        const cached = this.defaultCache.get(workspace);
+        if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+        const voice = await BrandVoice.findOne({ workspace, isDefault: true });
+        const value = voice ? this.toPublic(voice) : null;
+        this.defaultCache.set(workspace, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+        return value;
+    }
+
+    // The voice for a generation request: the business's own voice, else the
+    // workspace default, else null. Never fails the request: without the
+    // database, or when the lookup fails, no voice applies.
+    async resolveVoice(workspace, business) {
+        if (!this.isDatabaseReady()) return null;
+
+        try {
+            if (business && business.brandVoiceId) {
+                return await this.getVoice(workspace, business.brandVoiceId);
+            }
+            return await this.getDefaultVoice(workspace);
+        } catch (error) {
+            logger.warn('Failed to load brand voice, continuing without one', { workspace, error });
+            return null;
+        }
+    }
+
+    // Tone descriptors as one phrase, e.g. "warm, witty"
+    describeTone(voice) {
+        return voice && voice.tone.length > 0 ? voice.tone.join(', ') : undefined;
+    }
+
+    // The voice as prompt text, one rule per line. Returns undefined without a
+    // voice, so {{#brandVoice}} sections drop out.
+    describe(voice) {
+        if (!voice) return undefined;
+
+        return [
+            `- Voice: ${voice.name}`,
+            voice.tone.length > 0 && `- Tone: ${voice.tone.join(', ')}`,
+            `- Formality: ${FORMALITY_RULES[voice.formality]}`,
+            `- Emoji: ${EMOJI_RULES[voice.emojiPolicy]}`,
+            voice.bannedWords.length > 0 && `- Never use these words: ${voice.bannedWords.join(', ')}`,
+            voice.requiredPhrases.length > 0 && `- Always include these phrases word for word: ${voice.requiredPhrases.map(phrase => `"${phrase}"`).join(', ')}`,
+            voice.samples.length > 0 && `- Texts written in this voice:\n${voice.samples.map(sample => `  "${sample}"`).join('\n')}`
+        ].filter(Boolean).join('\n');
+    }
+
+    // Check generated text against the voice. Returns null without a voice,
+    // otherwise { brandVoice: { id, name }, compliant, violations } where each
+    // violation is { rule, message, term? } and rule is banned_word,
+    // required_phrase, emoji or formality.
+    check(text, voice) {
+        if (!voice) return null;
+
+        const content = text || '';
+        const violations = [];
+
+        voice.bannedWords.forEach(word => {
+            const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}(?=$|[^\\p{L}\\p{N}])`, 'iu');
+            if (pattern.test(content)) {
+                violations.push({ rule: 'banned_word', term: word, message: `Uses the banned word "${word}"` });
+            }
+        });
+
+        const normalized = normalize(content);
+        voice.requiredPhrases.forEach(phrase => {
+            if (!normalized.includes(normalize(phrase))) {
+                violations.push({ rule: 'required_phrase', term: phrase, message: `Missing the required phrase "${phrase}"` });
+            }
+        });
+
+        const emoji = (content.match(EMOJI_PATTERN) || []).length;
+        if (voice.emojiPolicy === 'none' && emoji > 0) {
+            violations.push({ rule: 'emoji', message: `Uses ${emoji} emoji; this voice allows none` });
+        }
+        if (voice.emojiPolicy === 'sparing' && emoji > MAX_SPARING_EMOJI) {
+            violations.push({ rule: 'emoji', message: `Uses ${emoji} emoji; this voice allows at most ${MAX_SPARING_EMOJI}` });
+        }
+
+        if (voice.formality === 'formal') {
+            const contractions = [...new Set((content.match(CONTRACTION_PATTERN) || []).map(match => match.toLowerCase()))];
+            if (contractions.length > 0) {
+                violations.push({ rule: 'formality', message: `Uses contractions in a formal voice: ${contractions.slice(0, 5).join(', ')}` });
+            }
+        }
+
+        return {
+            brandVoice: { id: voice.id, name: voice.name },
+            compliant: violations.length === 0,
+            violations
+        };
+    }
+
+    // Whether emoji decorations (e.g. the enhanced-llm prefixes) may be added
+    // to the text: not under a voice that limits emoji
+    allowsDecorations(voice) {
+        return !voice || voice.emojiPolicy === 'allowed';
+    }
+
+    // Remove the emoji that formatting put at the start of lines when the voice
+    // limits emoji, so only the model's own emoji are checked
+    removeDecorations(text, voice) {
+        if (this.allowsDecorations(voice) || typeof text !== 'string') return text;
+        return text.replace(LEADING_EMOJI_PATTERN, '$1');
+    }
+}
+
+module.exports = new BrandVoiceService();
@@ -0,0 +1,137 @@
+const { Business, mongoose } = require('../config/database');
+const { createError } = require('../utils/errors');
+const brandVoiceService = require('./brandVoiceService');
+
+// Profile fields, in the order they are described to the model
+const PROFILE_FIELDS = ['name', 'category', 'cuisine', 'address', 'hours', 'menuHighlights', 'usps', 'contactChannels'];
+
+const PROMPT_LABELS = {
+    name: 'Name',
+    category: 'Category',
+    cuisine: 'Cuisine',
+    address: 'Address',
+    hours: 'Opening hours',
+    menuHighlights: 'Menu highlights',
+    usps: 'What sets it apart',
+    contactChannels: 'Contact'
+};
+
+// Stored business profiles of a workspace. Generation routes that receive a
+// `businessId` (middleware/business.js) pass the profile to the prompts as the
+// `business` variable, described by describe().
+class BusinessProfileService {
+    assertDatabase() {
+        if (mongoose.connection.readyState !== 1) {
+            throw createError('Business profiles require the database, which is not available.', 'DATABASE_UNAVAILABLE', 503);
+        }
+    }
+
+    toPublic(business) {
+        return {
+            id: business._id.toString(),
+            name: business.name,
+            category: business.category || null,
+            cuisine: business.cuisine || null,
+            address: business.address || null,
+            hours: business.hours || null,
+            menuHighlights: business.menuHighlights || [],
+            usps: business.usps || [],
+            contactChannels: (business.contactChannels || []).map(({ channel, value }) => ({ channel, value })),
+            brandVoiceId: business.brandVoice ? business.brandVoice.toString() : null,
+            createdAt: business.createdAt,
+            updatedAt: business.updatedAt
+        };
+    }
+
+    // The stored fields of a validated request body. `brandVoiceId` must name
+    // a brand voice of the workspace; null detaches the voice.
+    async pickFields(workspace, fields) {
+        const picked = Object.fromEntries(PROFILE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]]));
+
+        if (fields.brandVoiceId === null) {
+            picked.brandVoice = null;
+        } else if (fields.brandVoiceId !== undefined) {
+            picked.brandVoice = (await brandVoiceService.getVoice(workspace, fields.brandVoiceId)).id;
+        }
+        return picked;
+    }
+
+    async createBusiness(workspace, fields) {
+        this.assertDatabase();
+        const business = await Business.create({ ...await this.pickFields(workspace, fields), workspace });
+        return this.toPublic(business);
+    }
+
+    async listBusinesses(workspace) {
+        this.assertDatabase();
+        const businesses = await Business.find({ workspace }).sort({ name: 1 });
+        return businesses.map(business => this.toPublic(business));
+    }
+
+    // The workspace's profile with this id, throwing BUSINESS_NOT_FOUND otherwise
+    async getBusiness(workspace, id) {
+        this.assertDatabase();
+
+        const business = mongoose.Types.ObjectId.isValid(id)
+            ? await Business.findOne({ _id: id, workspace })
+            : null;
+
+        if (!business) {
+            throw createError('Business profile not found', 'BUSINESS_NOT_FOUND', 404);
+        }
+        return this.toPublic(business);
+    }
+
+    async updateBusiness(workspace, id, fields) {
+        this.assertDatabase();
+
+        const updates = await this.pickFields(workspace, fields);
+        if (Object.keys(updates).length === 0) {
+            throw createError(`No fields to update (allowed: ${[...PROFILE_FIELDS, 'brandVoiceId'].join(', ')})`, 'INVALID_INPUT', 400);
+        }
+
+        const business = mongoose.Types.ObjectId.isValid(id)
+            ? await Business.findOneAndUpdate(
+                { _id: id, workspace },
+                { $set: { ...updates, updatedAt: new Date() } },
+                { new: true, runValidators: true }
+            )
+            : null;
+
+        if (!business) {
+            throw createError('Business profile not found', 'BUSINESS_NOT_FOUND', 404);
+        }
+        return this.toPublic(business);
+    }
+
+    async deleteBusiness(workspace, id) {
+        this.assertDatabase();
+
+        const business = mongoose.Types.ObjectId.isValid(id)
+            ? await Business.findOneAndDelete({ _id: id, workspace })
+            : null;
+
+        if (!business) {
+            throw createError('Business profile not found', 'BUSINESS_NOT_FOUND', 404);
+        }
+    }
+
+    // The profile as prompt text, one "Label: value" line per filled-in field.
+    // Returns undefined without a profile, so {{#business}} sections drop out.
+    describe(business) {
+        if (!business) return undefined;
+
+        return PROFILE_FIELDS
+            .map(field => {
+                const value = field === 'contactChannels'
+                    ? business.contactChannels.map(({ channel, value: contact }) => `${channel} ${contact}`)
+                    : business[field];
+                const text = Array.isArray(value) ? value.join(', ') : value;
+                return text ? `- ${PROMPT_LABELS[field]}: ${text}` : null;
+            })
+            .filter(Boolean)
+            .join('\n');
+    }
+}
+
+module.exports = new BusinessProfileService();
@@ -0,0 +1,126 @@
+const { ChatSession, ChatMessage, mongoose } = require('../config/database');
+const { createError } = require('../utils/errors');
+
+// Rough token estimate (~4 characters per token) for messages the provider
+// does not report individually
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Server-side chat sessions for /api/llama.
+// Messages are stored per session so clients only send the new turn.
+class ChatSessionService {
+    constructor() {
+        // History sent to the model is trimmed to this many tokens (newest first)
+        this.historyTokenBudget = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET, 10) || 6000;
+    }
+
+    assertDatabase() {
+        if (mongoose.connection.readyState !== 1) {
+            throw createError('Chat sessions require the database, which is not available.', 'DATABASE_UNAVAILABLE', 503);
+        }
+    }
+
+    toPublic(session) {
+        return {
+            id: session._id.toString(),
+            title: session.title || null,
+            model: session.model || null,
+            messageCount: session.messageCount,
+            totalTokens: session.totalTokens,
+            createdAt: session.createdAt,
+            updatedAt: session.updatedAt
+        };
+    }
+
+    async createSession({ workspace, title }) {
+        this.assertDatabase();
+        const session = await ChatSession.create({ workspace, title });
+        return this.toPublic(session);
+    }
+
+    async listSessions(workspace, { limit = 50 } = {}) {
+        this.assertDatabase();
+        const sessions = await ChatSession.find({ workspace }).sort({ updatedAt: -1 }).limit(limit);
+        return sessions.map(session => this.toPublic(session));
+    }
+
+    // Load a session document, throwing SESSION_NOT_FOUND for unknown ids
+    async findSession(workspace, id) {
+        this.assertDatabase();
+
+        const session = mongoose.Types.ObjectId.isValid(id)
+            ? await ChatSession.findOne({ _id: id, workspace })
+            : null;
+
+        if (!session) {
+            throw createError('Chat session not found', 'SESSION_NOT_FOUND', 404);
+        }
+        return session;
+    }
+
+    async getSession(workspace, id) {
+        const session = await this.findSession(workspace, id);
+        const messages = await ChatMessage.find({ session: session._id }).sort({ createdAt: 1, _id: 1 });
+
+        return {
+            ...this.toPublic(session),
+            messages: messages.map(message => ({
+                id: message._id.toString(),
+                role: message.role,
+                content: message.content,
+                tokens: message.tokens,
+                createdAt: message.createdAt
+            }))
+        };
+    }
+
+    async deleteSession(workspace, id) {
+        const session = await this.findSession(workspace, id);
+        await ChatMessage.deleteMany({ session: session._id });
+        await ChatSession.deleteOne({ _id: session._id });
+    }
+
+    // Most recent messages that fit in the history token budget, oldest first,
+    // in the { role, content } shape the LLM services expect
+    async getHistory(session) {
+        const recent = await ChatMessage.find({ session: session._id })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(200);
+
+        const history = [];
+        let tokens = 0;
+
+        for (const message of recent) {
+            const messageTokens = message.tokens || estimateTokens(message.content);
+            if (history.length > 0 && tokens + messageTokens > this.historyTokenBudget) break;
+
+            tokens += messageTokens;
+            history.unshift({ role: message.role, content: message.content });
+        }
+
+        return history;
+    }
+
+    // Store a completed user/assistant exchange and update session totals
+    async appendExchange(session, { userText, assistantText, usage, model }) {
+        const now = Date.now();
+        const userTokens = estimateTokens(userText);
+        const assistantTokens = usage?.completion_tokens || estimateTokens(assistantText);
+
+        await ChatMessage.insertMany([
+            { session: session._id, role: 'user', content: userText, tokens: userTokens, createdAt: new Date(now) },
+            { session: session._id, role: 'assistant', content: assistantText, tokens: assistantTokens, createdAt: new Date(now + 1) }
+        ]);
+
+        await ChatSession.updateOne({ _id: session._id }, {
+            $inc: { messageCount: 2, totalTokens: usage?.total_tokens || userTokens + assistantTokens },
+            $set: {
+                updatedAt: new Date(),
+                model,
+                // Name untitled sessions after their first message
+                ...(session.title ? {} : { title: userText.substring(0, 60) })
+            }
+        });
+    }
+}
+
+module.exports = new ChatSessionService();
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { Credential, mongoose } = require('../config/database');
+const { hasProvider } = require('./providers');
+const MockProvider = require('./providers/mockProvider');
+const { createError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Server-side store for provider API keys.
+// Keys are encrypted at rest with AES-256-GCM under CREDENTIAL_MASTER_KEY and
+// are only ever decrypted on the server when a route needs to call a provider.
+class CredentialVault {
+    isConfigured() {
+        return Boolean(process.env.CREDENTIAL_MASTER_KEY);
+    }
+
+    // Derive the 32-byte encryption key from the master key. A 64-character hex
+    // string is used as-is; anything else is treated as a passphrase.
+    getMasterKey() {
+        const masterKey = process.env.CREDENTIAL_MASTER_KEY;
+        if (!masterKey) {
+            throw createError('Credential vault is not configured. Set CREDENTIAL_MASTER_KEY.', 'VAULT_NOT_CONFIGURED', 503);
+        }
+
+        if (/^[0-9a-f]{64}$/i.test(masterKey)) {
+            return Buffer.from(masterKey, 'hex');
+        }
+        return crypto.createHash('sha256').update(masterKey).digest();
+    }
+
+    // Encrypt to "iv:authTag:ciphertext" (base64 parts)
+    encrypt(plainText) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.getMasterKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+        const tag = cipher.getAuthTag();
+
+        return [iv, tag, encrypted].map(part => part.toString('base64')).join(':');
+    }
+
+    decrypt(payload) {
+        const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, this.getMasterKey(), iv);
+            decipher.setAuthTag(tag);
+            return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw createError('Stored credential could not be decrypted. Was CREDENTIAL_MASTER_KEY changed?', 'CREDENTIAL_DECRYPT_FAILED', 500);
+        }
+    }
+
+    assertDatabase() {
+        if (mongoose.connection.readyState !== 1) {
+            throw createError('Credential storage requires the database, which is not available.', 'DATABASE_UNAVAILABLE', 503);
+        }
+    }
+
+    // Public view of a credential; never includes the key material
+    toPublic(credential) {
+        return {
+            id: credential._id.toString(),
+            workspace: credential.workspace,
+            provider: credential.provider,
+            label: credential.label || null,
+            keyHint: credential.keyHint,
+            isDefault: credential.isDefault,
+            createdAt: credential.createdAt,
+            lastUsedAt: credential.lastUsedAt || null
+        };
+    }
+
+    // Register a provider key for a workspace
+    async createCredential({ workspace, provider, apiKey, label, isDefault = false }) {
+        if (!provider || !hasProvider(provider)) {
+            throw createError(`Unknown provider: ${provider}`, 'INVALID_PROVIDER', 400);
+        }
+        if (!apiKey || typeof apiKey !== 'string') {
+            throw createError('API key is required and must be a string', 'INVALID_API_KEY', 400);
+        }
+
+        this.assertDatabase();
+        const encryptedKey = this.encrypt(apiKey.trim());
+
+        // Only one default credential per workspace and provider
+        if (isDefault) {
+            await Credential.updateMany({ workspace, provider }, { isDefault: false });
+        }
+
+        const credential = await Credential.create({
+            workspace,
+            provider,
+            label,
+            encryptedKey,
+            keyHint: `…${apiKey.trim().slice(-4)}`,
+            isDefault: Boolean(isDefault)
+        });
+
+        return this.toPublic(credential);
+    }
+
+    async listCredentials(workspace) {
+        this.assertDatabase();
+        const credentials = await Credential.find({ workspace }).sort({ createdAt: -1 });
+        return credentials.map(credential => this.toPublic(credential));
+    }
+
+    async deleteCredential(workspace, id) {
+        this.assertDatabase();
+        if (!mongoose.Types.ObjectId.isValid(id)) return false;
+
+        const result = await Credential.deleteOne({ _id: id, workspace });
+        return result.deletedCount > 0;
+    }
+
+    // Find the credential a request refers to: an explicit id, or the
+    // workspace default for the provider
+    async findCredential({ workspace, credentialId, provider }) {
+        this.assertDatabase();
+
+        if (credentialId) {
+            if (!mongoose.Types.ObjectId.isValid(credentialId)) return null;
+            return Credential.findOne({ _id: credentialId, workspace });
+        }
+
+        if (provider) {
+            return Credential.findOne({ workspace, provider, isDefault: true });
+        }
+
+        return null;
+    }
+
+    // Resolve the provider key for a request.
+    // Order: credentialId -> raw apiKey in the body (deprecated) -> workspace default.
+    // A raw apiKey is taken to belong to `provider`, the provider the route declared;
+    // a stored credential of another provider is rejected so its key is never
+    // sent to the wrong API. In mock mode (LLM_MOCK=true) a request without any key gets the mock key.
+    async resolveApiKey({ workspace, credentialId, apiKey, provider }) {
+        if (credentialId) {
+            const credential = await this.findCredential({ workspace, credentialId });
+            if (!credential) {
+                throw createError('Credential not found for this workspace', 'CREDENTIAL_NOT_FOUND', 404);
+            }
+            if (provider && credential.provider !== provider) {
+                throw createError(`credentialId refers to a credential for ${credential.provider}; this endpoint needs one for ${provider}`, 'CREDENTIAL_PROVIDER_MISMATCH', 400);
+            }
+            return this.useCredential(credential);
+        }
+
+        if (apiKey) {
+            return { apiKey, source: 'request', credentialId: null, provider: provider || null };
+        }
+
+        if (provider && this.isConfigured() && mongoose.connection.readyState === 1) {
+            const credential = await this.findCredential({ workspace, provider });
+            if (credential) {
+                return this.useCredential(credential);
+            }
+        }
+
+        if (MockProvider.isEnabled()) {
+            return { apiKey: 'mock', source: 'mock', credentialId: null, provider: null };
+        }
+
+        return null;
+    }
+
+    async useCredential(credential) {
+        const apiKey = this.decrypt(credential.encryptedKey);
+
+        Credential.updateOne({ _id: credential._id }, { lastUsedAt: new Date() })
+            .catch(error => logger.warn('Failed to update credential usage', { error }));
+
+        return {
+            apiKey,
+            source: 'credential',
+            credentialId: credential._id.toString(),
+            provider: credential.provider
+        };
+    }
+}
+
+module.exports = new CredentialVault();
@@ -1,40 +1,37 @@
-const axios = require('axios');
+const llmClient = require('./llmClient');
+const modelRegistry = require('./modelRegistry');
+const promptTemplates = require('./promptTemplateService');
+const businessProfileService = require('./businessProfileService');
+const brandVoiceService = require('./brandVoiceService');
+const ResponseQualityAnalyzer = require('../utils/responseQualityAnalyzer');
 const { cleanAIResponse } = require('../utils/responseFormatter');
+const { classifyError, createError } = require('../utils/errors');
+const logger = require('../utils/logger');
 const { analyzeConversationFlow, enhanceUserMessage } = require('../utils/conversationUtils');
 
+const roundDelta = (value) => Math.round(value * 1000) / 1000;
+
+// Quality-gated refinement of enhanced responses. On by default, bounded by the
+// iteration and token caps below; QUALITY_REFINEMENT_ENABLED=false or a
+// request's `context.refinement.enabled: false` turns it off. Env vars set the
+// defaults; requests may override them through `context.refinement` within
+// these bounds.
+const REFINEMENT_LIMITS = {
+    threshold: { min: 0, max: 1 },
+    maxIterations: { min: 0, max: 5 },
+    tokenBudget: { min: 0, max: 20000 }
+};
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+const clamp = (value, { min, max }) => Math.min(Math.max(value, min), max);
+
 class EnhancedLLMService {
     constructor() {
-        this.models = {
-            llama: {
-                name: 'meta/llama-3.1-70b-instruct',
-                baseURL: 'https://integrate.api.nvidia.com/v1/chat/completions',
-                strengths: ['conversation', 'creative_writing', 'analysis'],
-                temperature: 0.6,
-                maxTokens: 3072
-            },
-            gpt4: {
-                name: 'gpt-4',
-                baseURL: 'https://api.openai.com/v1/chat/completions',
-                strengths: ['reasoning', 'structured_analysis', 'technical'],
-                temperature: 0.4,
-                maxTokens: 4000
-            },
-            claude: {
-                name: 'claude-3-sonnet-20240229',
-                baseURL: 'https://api.anthropic.com/v1/messages',
-                strengths: ['empathy', 'customer_service', 'detailed_analysis'],
-                temperature: 0.3,
-                maxTokens: 4000
-            },
-            gemini: {
-                name: 'gemini-pro',
-                baseURL: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent',
-                strengths: ['multimodal', 'creative', 'diverse_responses'],
-                temperature: 0.7,
-                maxTokens: 2048
-            }
-        };
-        
+        this.qualityAnalyzer = new ResponseQualityAnalyzer();
         this.responsePatterns = {
             conversation: {
                 structure: ['greeting', 'main_content', 'engagement', 'closing'],
@@ -63,6 +60,29 @@ class EnhancedLLMService {
         };
     }
 
+    // Models available for enhanced responses, keyed by model registry key
+    get models() {
+        const models = {};
+        modelRegistry.listModels().forEach(model => {
+            models[model.key] = {
+                key: model.key,
+                name: model.id,
+                provider: model.provider,
+                strengths: model.strengths,
+                temperature: model.defaults.temperature,
+                maxTokens: model.defaults.maxTokens,
+                params: model.defaults
+            };
+        });
+        return models;
+    }
+
+    // Whether `key` names a model of `models` (own keys only, so prototype
+    // names such as "constructor" are not models)
+    hasModel(key, models = this.models) {
+        return Object.prototype.hasOwnProperty.call(models, key);
+    }
+
     // Analyze the input to determine the best model and approach
     async analyzeInputAndSelectModel(input, context = {}) {
         const analysis = {
@@ -74,12 +94,14 @@ class EnhancedLLMService {
             userIntent: this.inferUserIntent(input, context)
         };
 
-        const selectedModel = this.selectOptimalModel(analysis, context);
+        const modelChain = this.selectModelChain(analysis, context);
+        const selectedModel = modelChain[0];
         const responseStrategy = this.generateResponseStrategy(analysis, selectedModel);
 
         return {
             analysis,
             selectedModel,
+            modelChain,
             responseStrategy,
             confidence: this.calculateConfidence(analysis)
         };
@@ -185,27 +207,44 @@ class EnhancedLLMService {
         return 'general';
     }
 
-    // Select the optimal model based on analysis
-    selectOptimalModel(analysis, context) {
-        const { contentType, complexity, sentiment, urgency, domain, userIntent } = analysis;
+    // Select the use case (and so the model and its fallback chain) for the input.
+    // Use cases and their models are configured in the model registry.
+    selectUseCase(analysis) {
+        const { contentType, complexity, domain, userIntent } = analysis;
         
         // Customer service scenarios
         if (contentType === 'customer_service' || userIntent === 'complaint') {
-            return this.models.claude; // Best for empathy and customer service
+            return 'enhanced_customer_service'; // Claude: best for empathy and customer service
         }
         
         // Complex analysis scenarios
         if (contentType === 'analysis' || complexity === 'high') {
-            return this.models.gpt4; // Best for reasoning and structured analysis
+            return 'enhanced_analysis'; // GPT-4: best for reasoning and structured analysis
         }
         
         // Creative or diverse responses
         if (contentType === 'review' || domain === 'general') {
-            return this.models.gemini; // Good for creative and diverse responses
+            return 'enhanced_creative'; // Gemini: good for creative and diverse responses
         }
         
         // Default to Llama for general conversation
-        return this.models.llama;
+        return 'enhanced_conversation';
+    }
+
+    // Models to try in order: the use case's primary model then its fallbacks.
+    // `context.forceModel` pins a single model with no fallback.
+    selectModelChain(analysis, context = {}) {
+        const models = this.models;
+        if (context.forceModel && this.hasModel(context.forceModel, models)) {
+            return [models[context.forceModel]];
+        }
+
+        return modelRegistry.resolveChain(this.selectUseCase(analysis)).map(entry => models[entry.key]);
+    }
+
+    // Select the optimal model based on analysis
+    selectOptimalModel(analysis, context) {
+        return this.selectModelChain(analysis, context)[0];
     }
 
     // Generate response strategy based on analysis
@@ -216,8 +255,8 @@ class EnhancedLLMService {
             model: selectedModel,
             temperature: selectedModel.temperature,
             maxTokens: selectedModel.maxTokens,
-            structure: this.responsePatterns[contentType]?.structure || ['main_content'],
-            tone: this.responsePatterns[contentType]?.tone || ['professional'],
+            structure: [...(this.responsePatterns[contentType]?.structure || ['main_content'])],
+            tone: [...(this.responsePatterns[contentType]?.tone || ['professional'])],
             length: this.responsePatterns[contentType]?.length || 'medium',
             complexity: this.responsePatterns[contentType]?.complexity || 'moderate',
             enhancements: []
@@ -255,272 +294,293 @@ class EnhancedLLMService {
         return Math.min(confidence, 1.0);
     }
 
-    // Generate enhanced response using the selected model and strategy
+    // Generate enhanced response using the selected model and strategy.
+    // If the model fails with an auth, quota, rate limit, timeout or upstream
+    // error, the next model of the use case's fallback chain is tried. `apiKey`
+    // is either one key for every provider or an async (provider) => key
+    // resolver (see providerKeyResolver); models without a key are skipped.
     async generateEnhancedResponse(input, apiKey, context = {}) {
         try {
             // Analyze input and select optimal approach
             const analysis = await this.analyzeInputAndSelectModel(input, context);
-            const { selectedModel, responseStrategy } = analysis;
+            const { selectedModel } = analysis;
 
-            console.log(`🎯 Selected model: ${selectedModel.name} for ${analysis.analysis.contentType} content`);
+            logger.info('Selected model', { model: selectedModel.name, contentType: analysis.analysis.contentType });
 
-            // Generate response using selected model
-            const response = await this.callModelAPI(input, selectedModel, responseStrategy, apiKey, context);
+            // Generate response using the selected model or a fallback
+            const { response, model, request, attempts } = await this.callModelAPI(input, analysis, apiKey, context);
             
-            // Analyze and enhance the response
-            const enhancedResponse = await this.analyzeAndEnhanceResponse(response, analysis, context);
+            // Clean and enhance the response, rewriting it while its quality is below the threshold
+            const { response: enhancedResponse, refinement } = await this.improveResponseQuality(response, analysis, context, request);
             
             return {
                 success: true,
                 response: enhancedResponse,
                 analysis: analysis.analysis,
-                model: selectedModel.name,
-                strategy: responseStrategy,
+                model: model.name,
+                answeredBy: model.key,
+                attempts,
+                refinement,
+                strategy: this.strategyFor(analysis, model),
                 confidence: analysis.confidence,
                 timestamp: new Date().toISOString()
             };
 
         } catch (error) {
-            console.error('Enhanced LLM service error:', error);
             throw this.handleAPIError(error);
         }
     }
 
-    // Call the appropriate model API
-    async callModelAPI(input, model, strategy, apiKey, context) {
-        const messages = this.buildMessages(input, model, strategy, context);
-        
-        if (model.name.includes('llama')) {
-            return await this.callLlamaAPI(messages, model, strategy, apiKey);
-        } else if (model.name.includes('gpt')) {
-            return await this.callOpenAIAPI(messages, model, strategy, apiKey);
-        } else if (model.name.includes('claude')) {
-            return await this.callAnthropicAPI(messages, model, strategy, apiKey);
-        } else if (model.name.includes('gemini')) {
-            return await this.callGeminiAPI(messages, model, strategy, apiKey);
+    // Stream an enhanced response.
+    // Yields a 'start' event naming the model that accepted the request (after
+    // any fallbacks), 'delta' events with raw model output, and a final 'done'
+    // event with the cleaned, enhanced response.
+    async *streamEnhancedResponse(input, apiKey, context = {}) {
+        try {
+            const analysis = await this.analyzeInputAndSelectModel(input, context);
+
+            logger.info('Streaming with model', { model: analysis.selectedModel.name, contentType: analysis.analysis.contentType });
+
+            const events = llmClient.streamWithFallback(analysis.modelChain, this.requestBuilder(input, analysis, apiKey, context));
+            let model;
+            let attempts;
+
+            for await (const event of events) {
+                // Announce the model only once a provider has accepted the request
+                if (event.type === 'start') {
+                    ({ model, attempts } = event);
+                    yield {
+                        type: 'start',
+                        model: model.name,
+                        answeredBy: model.key,
+                        attempts,
+                        analysis: analysis.analysis
+                    };
+                    continue;
+                }
+
+                if (event.type === 'delta') {
+                    yield event;
+                    continue;
+                }
+
+                const enhancedResponse = await this.analyzeAndEnhanceResponse(
+                    event.content || 'No response generated',
+                    analysis,
+                    context
+                );
+
+                yield {
+                    type: 'done',
+                    success: true,
+                    response: enhancedResponse,
+                    analysis: analysis.analysis,
+                    model: model.name,
+                    answeredBy: model.key,
+                    attempts,
+                    strategy: this.strategyFor(analysis, model),
+                    confidence: analysis.confidence,
+                    usage: event.usage,
+                    finishReason: event.finishReason,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        } catch (error) {
+            throw this.handleAPIError(error);
         }
-        
-        throw new Error(`Unsupported model: ${model.name}`);
     }
 
-    // Build messages for the selected model
-    buildMessages(input, model, strategy, context) {
-        const systemPrompt = this.generateSystemPrompt(model, strategy, context);
-        
-        return [
-            {
-                role: "system",
-                content: systemPrompt
-            },
-            {
-                role: "user",
-                content: input
-            }
-        ];
+    // Call the selected model, falling back along the chain, through the provider adapters
+    async callModelAPI(input, analysis, apiKey, context) {
+        const { completion, model, request, attempts } = await llmClient.chatWithFallback(
+            analysis.modelChain,
+            this.requestBuilder(input, analysis, apiKey, context)
+        );
+        return { response: completion.content || 'No response generated', model, request, attempts };
     }
 
-    // Generate system prompt based on model and strategy
-    generateSystemPrompt(model, strategy, context) {
-        const basePrompt = `You are an intelligent AI assistant with deep reasoning capabilities and excellent conversational skills.`;
-
-        const modelSpecificPrompts = {
-            'meta/llama-3.1-70b-instruct': `
-${basePrompt}
-
-**CONVERSATION STRUCTURE APPROACH**:
-1. **CONTEXT ANALYSIS**: Understand the conversation flow, user's intent, and emotional state
-2. **THOUGHTFUL PROCESSING**: Consider the broader context and implications of the query
-3. **STRUCTURED RESPONSE**: Organize your thoughts in a clear, logical flow
-4. **ENGAGING DELIVERY**: Make responses conversational, natural, and engaging
-5. **FOLLOW-UP AWARENESS**: Consider how your response might lead to further conversation
-
-**RESPONSE CHARACTERISTICS**:
-- Structure: ${strategy.structure.join(', ')}
-- Tone: ${strategy.tone.join(', ')}
-- Length: ${strategy.length}
-- Complexity: ${strategy.complexity}
-${strategy.enhancements.length > 0 ? `- Enhancements: ${strategy.enhancements.join(', ')}` : ''}
-
-Your responses should feel natural, engaging, and genuinely helpful while maintaining excellent conversational flow.`,
-
-            'gpt-4': `
-${basePrompt}
-
-**ANALYTICAL APPROACH**:
-1. **DEEP ANALYSIS**: Thoroughly analyze the input for underlying patterns and implications
-2. **STRUCTURED THINKING**: Organize thoughts in a logical, systematic manner
-3. **COMPREHENSIVE RESPONSE**: Provide detailed, well-reasoned responses
-4. **PRECISION**: Focus on accuracy and clarity in communication
-5. **INSIGHT GENERATION**: Offer valuable insights and perspectives
-
-**RESPONSE CHARACTERISTICS**:
-- Structure: ${strategy.structure.join(', ')}
-- Tone: ${strategy.tone.join(', ')}
-- Length: ${strategy.length}
-- Complexity: ${strategy.complexity}
-${strategy.enhancements.length > 0 ? `- Enhancements: ${strategy.enhancements.join(', ')}` : ''}
-
-Provide thoughtful, well-structured responses that demonstrate deep understanding and analytical thinking.`,
-
-            'claude-3-sonnet-20240229': `
-${basePrompt}
-
-**EMPATHETIC APPROACH**:
-1. **EMOTIONAL INTELLIGENCE**: Understand and respond to emotional undertones
-2. **EMPATHETIC COMMUNICATION**: Show genuine care and understanding
-3. **HELPFUL SOLUTIONS**: Focus on providing practical, helpful solutions
-4. **PROFESSIONAL WARMTH**: Maintain professionalism while being warm and approachable
-5. **CUSTOMER-CENTRIC**: Always prioritize the user's needs and concerns
-
-**RESPONSE CHARACTERISTICS**:
-- Structure: ${strategy.structure.join(', ')}
-- Tone: ${strategy.tone.join(', ')}
-- Length: ${strategy.length}
-- Complexity: ${strategy.complexity}
-${strategy.enhancements.length > 0 ? `- Enhancements: ${strategy.enhancements.join(', ')}` : ''}
-
-Provide empathetic, helpful responses that genuinely address the user's needs and concerns.`,
-
-            'gemini-pro': `
-${basePrompt}
-
-**CREATIVE APPROACH**:
-1. **INNOVATIVE THINKING**: Offer creative and diverse perspectives
-2. **ENGAGING COMMUNICATION**: Make responses interesting and engaging
-3. **VERSATILE STYLE**: Adapt communication style to different contexts
-4. **MEMORABLE CONTENT**: Create responses that are memorable and impactful
-5. **BALANCED CREATIVITY**: Balance creativity with practicality and usefulness
-
-**RESPONSE CHARACTERISTICS**:
-- Structure: ${strategy.structure.join(', ')}
-- Tone: ${strategy.tone.join(', ')}
-- Length: ${strategy.length}
-- Complexity: ${strategy.complexity}
-${strategy.enhancements.length > 0 ? `- Enhancements: ${strategy.enhancements.join(', ')}` : ''}
-
-Provide creative, engaging responses that are both memorable and genuinely helpful.`
-        };
+    // Response strategy for a model of the chain; fallback models keep the
+    // selected strategy but use their own sampling defaults
+    strategyFor(analysis, model) {
+        return model.key === analysis.selectedModel.key
+            ? analysis.responseStrategy
+            : this.generateResponseStrategy(analysis.analysis, model);
+    }
 
-        return modelSpecificPrompts[model.name] || modelSpecificPrompts['meta/llama-3.1-70b-instruct'];
+    // Build requests for each model of the fallback chain, or null when no key
+    // is available for the model's provider
+    requestBuilder(input, analysis, apiKey, context) {
+        const keyFor = typeof apiKey === 'function' ? apiKey : async () => apiKey;
+
+        return async (model) => {
+            const key = await keyFor(model.provider);
+            if (!key) return null;
+            return this.buildModelRequest(input, model, this.strategyFor(analysis, model), key, context);
+        };
     }
 
-    // Call Llama API
-    async callLlamaAPI(messages, model, strategy, apiKey) {
-        const response = await axios.post(
-            model.baseURL,
-            {
-                model: model.name,
-                messages: messages,
-                temperature: strategy.temperature,
-                top_p: 0.85,
-                max_tokens: strategy.maxTokens,
-                frequency_penalty: 0.15,
-                presence_penalty: 0.15,
-                stream: false,
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
+    // Run the same input through several models concurrently and rank them.
+    // `models` are registry keys; `apiKey` is a key or an async (provider) => key
+    // resolver. Models still running when `timeoutMs` elapses are reported as
+    // timed out. Each answer is scored with the ResponseQualityAnalyzer; results
+    // are ranked by overall score (then latency) and carry per-metric deltas
+    // against the top-ranked answer.
+    async compareModels(input, { models, apiKey, timeoutMs, context = {} }) {
+        const analysis = await this.analyzeInputAndSelectModel(input, context);
+        const buildRequest = this.requestBuilder(input, analysis, apiKey, context);
+        const modelKeys = models && models.length > 0 ? models : analysis.modelChain.map(model => model.key);
+
+        // At the deadline the calls still running are cancelled, so they stop
+        // spending tokens once their result can no longer be used
+        const controller = new AbortController();
+        let timer;
+        const deadline = new Promise(resolve => {
+            timer = setTimeout(() => {
+                controller.abort();
+                resolve();
+            }, timeoutMs);
+        });
+
+        const available = this.models;
+        const results = await Promise.all(modelKeys.map(async (key) => {
+            const result = { model: key };
+            const startedAt = Date.now();
+
+            try {
+                if (!this.hasModel(key, available)) {
+                    throw createError(`Unknown model: ${key}`, 'UNKNOWN_MODEL', 400);
                 }
-            }
-        );
+                const model = available[key];
+                Object.assign(result, { modelId: model.name, provider: model.provider });
 
-        return response.data.choices[0]?.message?.content || 'No response generated';
-    }
+                const request = await buildRequest(model);
+                if (!request) {
+                    return { ...result, status: 'skipped', error: { code: 'NO_CREDENTIAL', message: `No credential for provider ${model.provider}` } };
+                }
 
-    // Call OpenAI API
-    async callOpenAIAPI(messages, model, strategy, apiKey) {
-        const response = await axios.post(
-            model.baseURL,
-            {
-                model: model.name,
-                messages: messages,
-                temperature: strategy.temperature,
-                max_tokens: strategy.maxTokens,
-                top_p: 0.9,
-                frequency_penalty: 0.1,
-                presence_penalty: 0.1,
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
+                const outcome = await Promise.race([
+                    llmClient.chat({ ...request, signal: controller.signal }).then(completion => ({ completion })),
+                    deadline.then(() => ({ timedOut: true }))
+                ]);
+                const latencyMs = Date.now() - startedAt;
+
+                if (outcome.timedOut) {
+                    return { ...result, status: 'timeout', latencyMs, error: { code: 'timeout', message: `No answer within ${timeoutMs}ms` } };
                 }
+
+                const response = await this.analyzeAndEnhanceResponse(
+                    outcome.completion.content || 'No response generated',
+                    analysis,
+                    context
+                );
+                const quality = this.qualityAnalyzer.analyzeResponseQuality(response, analysis.analysis.contentType, context);
+
+                return {
+                    ...result,
+                    status: 'success',
+                    response,
+                    latencyMs,
+                    usage: outcome.completion.usage,
+                    qualityScore: quality.overallScore,
+                    metrics: quality.metrics,
+                    strengths: quality.strengths,
+                    weaknesses: quality.weaknesses,
+                    suggestions: quality.suggestions,
+                    brandVoiceCheck: brandVoiceService.check(response, context.brandVoice)
+                };
+            } catch (error) {
+                logger.warn('Failed to test model', { model: key, error });
+                return { ...result, status: 'failed', latencyMs: Date.now() - startedAt, error: { code: error.code || 'provider_error', message: error.message } };
             }
-        );
+        }));
+        clearTimeout(timer);
+
+        const ranked = results
+            .filter(result => result.status === 'success')
+            .sort((a, b) => b.qualityScore - a.qualityScore || a.latencyMs - b.latencyMs);
+        const best = ranked[0];
+
+        ranked.forEach((result, index) => {
+            result.rank = index + 1;
+            result.deltas = { qualityScore: roundDelta(result.qualityScore - best.qualityScore) };
+            Object.keys(result.metrics).forEach(metric => {
+                result.deltas[metric] = roundDelta(result.metrics[metric] - best.metrics[metric]);
+            });
+        });
 
-        return response.data.choices[0]?.message?.content || 'No response generated';
+        return {
+            analysis: analysis.analysis,
+            recommendedModel: analysis.selectedModel.name,
+            confidence: analysis.confidence,
+            winner: best ? best.model : null,
+            comparisons: [...ranked, ...results.filter(result => result.status !== 'success')]
+        };
     }
 
-    // Call Anthropic API
-    async callAnthropicAPI(messages, model, strategy, apiKey) {
-        const response = await axios.post(
-            model.baseURL,
-            {
+    // Build the llmClient request for a model and response strategy
+    async buildModelRequest(input, model, strategy, apiKey, context) {
+        return {
+            provider: model.provider,
+            apiKey,
+            messages: await this.buildMessages(input, model, strategy, context),
+            params: {
+                ...model.params,
                 model: model.name,
-                max_tokens: strategy.maxTokens,
-                messages: messages,
                 temperature: strategy.temperature,
-            },
-            {
-                headers: {
-                    'x-api-key': apiKey,
-                    'anthropic-version': '2023-06-01',
-                    'Content-Type': 'application/json'
-                }
+                maxTokens: strategy.maxTokens
             }
-        );
-
-        return response.data.content[0]?.text || 'No response generated';
+        };
     }
 
-    // Call Gemini API
-    async callGeminiAPI(messages, model, strategy, apiKey) {
-        const response = await axios.post(
-            `${model.baseURL}?key=${apiKey}`,
+    // Build messages for the selected model
+    async buildMessages(input, model, strategy, context) {
+        const systemPrompt = await this.generateSystemPrompt(model, strategy, context);
+        
+        return [
             {
-                contents: messages.map(msg => ({
-                    parts: [{ text: msg.content }]
-                })),
-                generationConfig: {
-                    temperature: strategy.temperature,
-                    maxOutputTokens: strategy.maxTokens,
-                    topP: 0.9,
-                    topK: 40
-                }
+                role: "system",
+                content: systemPrompt
             },
             {
-                headers: {
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: input
             }
-        );
+        ];
+    }
 
-        return response.data.candidates[0]?.content?.parts[0]?.text || 'No response generated';
+    // Generate system prompt based on model and strategy.
+    // Each registry model has its own template (enhanced.system.<key>); models
+    // without one use the llama template. `context.workspace` selects prompt
+    // versions; `context.business` (a business profile) and `context.brandVoice`
+    // (a brand voice, whose tone replaces the strategy's) are described to the model.
+    async generateSystemPrompt(model, strategy, context = {}) {
+        const name = promptTemplates.hasTemplate(`enhanced.system.${model.key}`)
+            ? `enhanced.system.${model.key}`
+            : 'enhanced.system.llama';
+
+        return promptTemplates.render(name, {
+            structure: strategy.structure,
+            tone: brandVoiceService.describeTone(context.brandVoice) || strategy.tone,
+            length: strategy.length,
+            complexity: strategy.complexity,
+            enhancements: strategy.enhancements,
+            business: businessProfileService.describe(context.business),
+            brandVoice: brandVoiceService.describe(context.brandVoice)
+        }, { workspace: context.workspace });
     }
 
-    // Analyze and enhance the generated response
+    // Clean the generated response and apply response-specific enhancements
     async analyzeAndEnhanceResponse(response, analysis, context) {
-        // Clean the response
-        let enhancedResponse = cleanAIResponse(response);
-        
-        // Apply response-specific enhancements
-        enhancedResponse = this.applyResponseEnhancements(enhancedResponse, analysis, context);
-        
-        // Validate response quality
-        const qualityScore = this.assessResponseQuality(enhancedResponse, analysis);
-        
-        // If quality is low, try to improve it
-        if (qualityScore < 0.7) {
-            enhancedResponse = await this.improveResponseQuality(enhancedResponse, analysis, context);
-        }
-        
-        return enhancedResponse;
+        return this.applyResponseEnhancements(cleanAIResponse(response), analysis, context);
     }
 
-    // Apply specific enhancements based on analysis
-    applyResponseEnhancements(response, analysis, context) {
+    // Apply specific enhancements based on analysis. When the brand voice
+    // limits emoji, the prefixes and formatting emoji are left out.
+    applyResponseEnhancements(response, analysis, context = {}) {
+        if (!brandVoiceService.allowsDecorations(context.brandVoice)) {
+            return brandVoiceService.removeDecorations(response, context.brandVoice);
+        }
+
         let enhanced = response;
         
         // Add urgency indicators if needed
@@ -554,83 +614,125 @@ Provide creative, engaging responses that are both memorable and genuinely helpf
         return domainFormatters[domain] ? domainFormatters[domain](response) : response;
     }
 
-    // Assess response quality
-    assessResponseQuality(response, analysis) {
-        let score = 0.5; // Base score
-        
-        // Length appropriateness
-        const wordCount = response.split(' ').length;
-        const expectedLength = analysis.responseStrategy.length === 'long' ? 200 : 
-                              analysis.responseStrategy.length === 'medium' ? 100 : 50;
-        
-        if (Math.abs(wordCount - expectedLength) < 50) score += 0.2;
-        
-        // Structure adherence
-        const hasStructure = analysis.responseStrategy.structure.some(structure => 
-            response.toLowerCase().includes(structure.replace('_', ' '))
-        );
-        if (hasStructure) score += 0.2;
-        
-        // Tone appropriateness
-        const toneWords = {
-            'professional': ['professional', 'expert', 'analysis', 'recommendation'],
-            'casual': ['cool', 'awesome', 'great', 'nice'],
-            'empathetic': ['understand', 'sorry', 'apologize', 'care']
+    // Refinement settings: env defaults overlaid with `context.refinement`
+    refinementSettings(context = {}) {
+        const overrides = context.refinement || {};
+        const settings = {
+            enabled: overrides.enabled ?? process.env.QUALITY_REFINEMENT_ENABLED !== 'false',
+            threshold: overrides.threshold ?? envNumber('QUALITY_REFINEMENT_THRESHOLD', 0.6),
+            maxIterations: overrides.maxIterations ?? envNumber('QUALITY_REFINEMENT_MAX_ITERATIONS', 2),
+            tokenBudget: overrides.tokenBudget ?? envNumber('QUALITY_REFINEMENT_TOKEN_BUDGET', 4000)
         };
-        
-        const expectedTone = analysis.responseStrategy.tone[0];
-        const toneWordCount = toneWords[expectedTone]?.filter(word => 
-            response.toLowerCase().includes(word)
-        ).length || 0;
-        
-        if (toneWordCount > 0) score += 0.1;
-        
-        return Math.min(score, 1.0);
-    }
 
-    // Improve response quality if needed
-    async improveResponseQuality(response, analysis, context) {
-        // For now, return the original response
-        // In a full implementation, this could call another model to improve the response
-        console.log(`⚠️ Response quality score: ${this.assessResponseQuality(response, analysis)}`);
-        return response;
+        Object.entries(REFINEMENT_LIMITS).forEach(([key, limits]) => {
+            const value = Number(settings[key]);
+            settings[key] = Number.isFinite(value) ? clamp(value, limits) : limits.min;
+        });
+        settings.maxIterations = Math.floor(settings.maxIterations);
+        settings.enabled = settings.enabled !== false;
+        return settings;
     }
 
-    // Handle API errors
-    handleAPIError(error) {
-        console.error('Enhanced LLM Service Error:', error);
-        
-        if (error.status === 401 || error.code === 'authentication_error') {
-            return {
-                success: false,
-                error: 'Invalid or missing API key. Please check your API key configuration.',
-                code: 'INVALID_API_KEY'
-            };
-        }
+    // Clean and enhance a response, then refine it while its ResponseQualityAnalyzer
+    // score is below the threshold: the model that answered (`request`) is sent its
+    // reply with a critique built from the weaknesses and suggestions, and asked to
+    // rewrite it. Each rewrite is critiqued from the best candidate so far; the loop
+    // stops at the threshold, after maxIterations, when the token budget is spent
+    // or on an error. Returns the best candidate and the iteration history.
+    async improveResponseQuality(response, analysis, context, request) {
+        const settings = this.refinementSettings(context);
+        const score = (text) => {
+            const enhanced = this.applyResponseEnhancements(text, analysis, context);
+            const quality = this.qualityAnalyzer.analyzeResponseQuality(enhanced, analysis.analysis.contentType, context);
+            return { text, enhanced, quality };
+        };
 
-        if (error.code === 'insufficient_quota') {
-            return {
-                success: false,
-                error: 'API quota exceeded. Please try again later.',
-                code: 'QUOTA_EXCEEDED'
-            };
-        }
+        let best = { iteration: 0, ...score(cleanAIResponse(response)) };
+        const history = [{
+            iteration: 0,
+            score: best.quality.overallScore,
+            weaknesses: best.quality.weaknesses,
+            suggestions: best.quality.suggestions
+        }];
+        let tokensUsed = 0;
+        let stopReason = 'threshold_met';
+
+        for (let iteration = 1; best.quality.overallScore < settings.threshold; iteration++) {
+            const remaining = settings.tokenBudget - tokensUsed;
+            if (!settings.enabled) {
+                stopReason = 'disabled';
+                break;
+            }
+            if (iteration > settings.maxIterations) {
+                stopReason = 'max_iterations';
+                break;
+            }
+            if (remaining <= 0) {
+                stopReason = 'token_budget';
+                break;
+            }
 
-        if (error.code === 'rate_limit_exceeded') {
-            return {
-                success: false,
-                error: 'Rate limit exceeded. Please try again later.',
-                code: 'RATE_LIMIT_EXCEEDED'
-            };
+            logger.info('Response quality below threshold, refining', { qualityScore: best.quality.overallScore, threshold: settings.threshold, iteration });
+
+            try {
+                const critique = await promptTemplates.render('enhanced.refine', {
+                    score: best.quality.overallScore.toFixed(2),
+                    weaknesses: best.quality.weaknesses.map(weakness => `- ${weakness}`).join('\n'),
+                    suggestions: best.quality.suggestions.map(suggestion => `- ${suggestion}`).join('\n')
+                }, { workspace: context.workspace });
+
+                const completion = await llmClient.chat({
+                    ...request,
+                    messages: [
+                        ...request.messages,
+                        { role: 'assistant', content: best.text },
+                        { role: 'user', content: critique }
+                    ],
+                    params: { ...request.params, maxTokens: Math.min(request.params.maxTokens || remaining, remaining) }
+                });
+                tokensUsed += completion.usage?.total_tokens || 0;
+
+                const candidate = { iteration, ...score(cleanAIResponse(completion.content || '')) };
+                const accepted = candidate.text !== '' && candidate.quality.overallScore > best.quality.overallScore;
+                history.push({
+                    iteration,
+                    score: candidate.quality.overallScore,
+                    weaknesses: candidate.quality.weaknesses,
+                    suggestions: candidate.quality.suggestions,
+                    accepted,
+                    usage: completion.usage
+                });
+                if (accepted) best = candidate;
+            } catch (error) {
+                logger.warn('Response refinement failed, keeping the best candidate', { iteration, error });
+                history.push({ iteration, error: { code: error.code || 'REFINEMENT_ERROR', message: error.message } });
+                stopReason = 'error';
+                break;
+            }
         }
 
         return {
-            success: false,
-            error: 'Failed to generate enhanced response',
-            code: 'ENHANCED_LLM_ERROR',
-            details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            response: best.enhanced,
+            refinement: {
+                threshold: settings.threshold,
+                maxIterations: settings.maxIterations,
+                tokenBudget: settings.tokenBudget,
+                tokensUsed,
+                iterations: history.length - 1,
+                selectedIteration: best.iteration,
+                finalScore: best.quality.overallScore,
+                stopReason,
+                history
+            }
         };
     }
+
+    // Typed error for provider failures; other errors are rethrown as they
+    // are for the route's fallback response
+    handleAPIError(error) {
+        logger.warn('Enhanced LLM service call failed', { error });
+        return classifyError(error) || error;
+    }
 }
 
 module.exports = new EnhancedLLMService(); 
\ No newline at end of file
@@ -0,0 +1,436 @@
+const fs = require('fs');
+const path = require('path');
+const llamaService = require('./llamaService');
+const modelRegistry = require('./modelRegistry');
+const promptTemplates = require('./promptTemplateService');
+const ResponseQualityAnalyzer = require('../utils/responseQualityAnalyzer');
+const { EvalRun, mongoose } = require('../config/database');
+const { createError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DATASET_DIR = path.join(__dirname, '..', 'config', 'evals');
+// Quality score change below which a case counts as unchanged between runs
+const QUALITY_TOLERANCE = 0.05;
+const MAX_LISTED_RUNS = 100;
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+// How each dataset task is generated and which part of the result is scored.
+// `output` returns { text, data?, parseStatus? }: `text` is what the quality
+// analyzer and text assertions see, `data` is structured output.
+const TASKS = {
+    review_generation: {
+        useCase: 'review_generation',
+        inputField: 'transcript',
+        contentType: 'review',
+        run: (input, apiKey, options) =>
+            llamaService.generateReviewFromVoice(input.transcript, apiKey, input.reviewType || 'general', options),
+        output: (result) => ({ text: result.review })
+    },
+    voice_analysis: {
+        useCase: 'voice_analysis',
+        inputField: 'transcript',
+        contentType: 'analysis',
+        run: (input, apiKey, options) => llamaService.analyzeVoiceInput(input.transcript, apiKey, options),
+        output: (result) => ({ text: result.analysis.summary || '', data: result.analysis, parseStatus: result.parseStatus })
+    },
+    customer_service: {
+        useCase: 'customer_service',
+        inputField: 'review',
+        contentType: 'customer_service',
+        run: (input, apiKey, options) => llamaService.generateCustomerServiceResponse(input.review, apiKey, options),
+        output: (result) => ({ text: result.response })
+    }
+};
+
+// Text an assertion looks at: the output text, or a field of structured output
+const fieldText = (output, field) => (field ? String(output.data?.[field] ?? '') : output.text);
+
+// Assertion rules. Each returns { passed, detail } for one output; `detail`
+// explains a failure.
+const ASSERTIONS = {
+    // Mentions `value` (case-insensitive)
+    contains: ({ value, field }, output) => {
+        const passed = fieldText(output, field).toLowerCase().includes(String(value).toLowerCase());
+        return { passed, detail: passed ? null : `does not mention "${value}"` };
+    },
+    not_contains: ({ value, field }, output) => {
+        const passed = !fieldText(output, field).toLowerCase().includes(String(value).toLowerCase());
+        return { passed, detail: passed ? null : `mentions "${value}"` };
+    },
+    // Between `min` and `max` words (or characters with unit: "chars")
+    length: ({ min = 0, max = Infinity, unit = 'words', field }, output) => {
+        const text = fieldText(output, field);
+        const size = unit === 'chars' ? text.length : countWords(text);
+        const passed = size >= min && size <= max;
+        return { passed, detail: passed ? null : `${size} ${unit}, expected ${min}-${max === Infinity ? 'any' : max}` };
+    },
+    // Structured output parsed (strict: without coercion or repair), or text
+    // output that is itself JSON
+    valid_json: ({ strict = false }, output) => {
+        if (output.data !== undefined) {
+            const passed = !strict || output.parseStatus === 'ok';
+            return { passed, detail: passed ? null : `parse status ${output.parseStatus}` };
+        }
+        try {
+            JSON.parse(output.text);
+            return { passed: true, detail: null };
+        } catch (error) {
+            return { passed: false, detail: 'output is not valid JSON' };
+        }
+    },
+    // Agrees with `value` or the case's expected.sentiment. Structured output
+    // reports its own sentiment; text output uses the quality analyzer's.
+    sentiment: ({ value }, output, testCase) => {
+        const expected = value || testCase.expected?.sentiment;
+        if (!expected) return { passed: false, detail: 'no expected sentiment for this case' };
+
+        const actual = output.data?.sentiment || output.sentiment;
+        const passed = actual === expected;
+        return { passed, detail: passed ? null : `sentiment ${actual}, expected ${expected}` };
+    }
+};
+
+// An assertion's identity across runs (its spec without the outcome)
+const assertionKey = ({ passed, detail, ...spec }) => JSON.stringify(spec);
+
+// Golden-dataset evaluation of prompts and models.
+// Datasets live in config/evals/<name>.json:
+//   { name, task, description, assertions: [...], cases: [{ id, input, expected, assertions }] }
+// where `task` is a key of TASKS and dataset-level assertions apply to every
+// case. A run generates each case with a chosen model and prompt versions,
+// scores the output with ResponseQualityAnalyzer and the assertion rules, and
+// is stored (when MongoDB is available) so two runs can be compared.
+class EvaluationService {
+    constructor() {
+        this.qualityAnalyzer = new ResponseQualityAnalyzer();
+    }
+
+    isDatabaseReady() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    assertDatabase() {
+        if (!this.isDatabaseReady()) {
+            throw createError('Stored evaluation runs require the database, which is not available.', 'DATABASE_UNAVAILABLE', 503);
+        }
+    }
+
+    // Problems that make a dataset unusable
+    validateDataset(dataset) {
+        const problems = [];
+        if (!TASKS[dataset.task]) {
+            problems.push(`unknown task "${dataset.task}" (allowed: ${Object.keys(TASKS).join(', ')})`);
+        }
+        if (!Array.isArray(dataset.cases) || dataset.cases.length === 0) {
+            return [...problems, 'cases must be a non-empty list'];
+        }
+
+        const ids = new Set();
+        const inputField = TASKS[dataset.task]?.inputField;
+        const allAssertions = [...(dataset.assertions || [])];
+
+        dataset.cases.forEach((testCase, index) => {
+            const label = testCase.id || `case ${index}`;
+            if (!testCase.id) problems.push(`case ${index} has no id`);
+            if (ids.has(testCase.id)) problems.push(`duplicate case id "${testCase.id}"`);
+            ids.add(testCase.id);
+
+            if (inputField && typeof testCase.input?.[inputField] !== 'string') {
+                problems.push(`${label}: input.${inputField} must be a string`);
+            }
+            allAssertions.push(...(testCase.assertions || []));
+        });
+
+        allAssertions.forEach(assertion => {
+            if (!ASSERTIONS[assertion.type]) {
+                problems.push(`unknown assertion type "${assertion.type}" (allowed: ${Object.keys(ASSERTIONS).join(', ')})`);
+            }
+        });
+
+        return [...new Set(problems)];
+    }
+
+    // Load a dataset by name from config/evals, or (with allowPath, for the
+    // CLI only) from a JSON file path
+    loadDataset(nameOrPath, { allowPath = false } = {}) {
+        const isPath = allowPath && /[\\/]|\.json$/.test(nameOrPath);
+        const file = isPath ? path.resolve(nameOrPath) : path.join(DATASET_DIR, `${nameOrPath}.json`);
+
+        if (!isPath && !/^[\w-]+$/.test(nameOrPath)) {
+            throw createError(`Evaluation dataset not found: ${nameOrPath}`, 'DATASET_NOT_FOUND', 404);
+        }
+
+        let dataset;
+        try {
+            dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw createError(`Evaluation dataset not found: ${nameOrPath}`, 'DATASET_NOT_FOUND', 404);
+            }
+            throw createError(`Evaluation dataset ${nameOrPath} is not valid JSON: ${error.message}`, 'INVALID_DATASET', 400);
+        }
+
+        dataset.name = dataset.name || path.basename(file, '.json');
+        const problems = this.validateDataset(dataset);
+        if (problems.length > 0) {
+            throw createError(`Invalid evaluation dataset ${dataset.name}: ${problems.join('; ')}`, 'INVALID_DATASET', 400, { problems });
+        }
+        return dataset;
+    }
+
+    listDatasets() {
+        const files = fs.existsSync(DATASET_DIR) ? fs.readdirSync(DATASET_DIR).filter(file => file.endsWith('.json')) : [];
+
+        return files.map(file => {
+            const dataset = this.loadDataset(path.basename(file, '.json'));
+            return {
+                name: dataset.name,
+                task: dataset.task,
+                description: dataset.description || '',
+                cases: dataset.cases.length
+            };
+        });
+    }
+
+    // Check pinned prompt versions: known templates, non-negative integer versions
+    validatePromptVersions(promptVersions) {
+        if (typeof promptVersions !== 'object' || promptVersions === null || Array.isArray(promptVersions)) {
+            throw createError('promptVersions must be an object of template name -> version', 'INVALID_INPUT', 400);
+        }
+
+        const problems = Object.entries(promptVersions).flatMap(([name, version]) => [
+            ...(promptTemplates.hasTemplate(name) ? [] : [`unknown prompt template "${name}"`]),
+            ...(Number.isInteger(version) && version >= 0 ? [] : [`version of "${name}" must be a non-negative integer`])
+        ]);
+        if (problems.length > 0) {
+            throw createError(`Invalid promptVersions: ${problems.join('; ')}`, 'INVALID_INPUT', 400, { problems });
+        }
+    }
+
+    // Generate and score one case
+    async runCase(dataset, testCase, { apiKey, options }) {
+        const task = TASKS[dataset.task];
+        const startedAt = Date.now();
+
+        try {
+            const result = await task.run(testCase.input, apiKey, options);
+            const output = task.output(result);
+            const quality = this.qualityAnalyzer.analyzeResponseQuality(output.text, task.contentType, testCase.input);
+            output.sentiment = quality.sentiment;
+
+            const assertions = [...(dataset.assertions || []), ...(testCase.assertions || [])].map(spec => ({
+                ...spec,
+                ...ASSERTIONS[spec.type](spec, output, testCase)
+            }));
+
+            return {
+                id: testCase.id,
+                status: assertions.every(assertion => assertion.passed) ? 'passed' : 'failed',
+                output: output.text,
+                ...(output.data !== undefined ? { data: output.data, parseStatus: output.parseStatus } : {}),
+                qualityScore: round(quality.overallScore),
+                sentiment: output.data?.sentiment || output.sentiment,
+                assertions,
+                latencyMs: Date.now() - startedAt,
+                usage: result.usage || null
+            };
+        } catch (error) {
+            // Every remaining case would fail the same way
+            if (error.status === 401) throw error;
+
+            return {
+                id: testCase.id,
+                status: 'error',
+                error: error.message,
+                code: error.code || null,
+                assertions: [],
+                latencyMs: Date.now() - startedAt,
+                usage: error.usage || null
+            };
+        }
+    }
+
+    summarize(results) {
+        const count = (status) => results.filter(result => result.status === status).length;
+        const assertions = results.flatMap(result => result.assertions);
+        const scored = results.filter(result => typeof result.qualityScore === 'number');
+
+        return {
+            cases: results.length,
+            passed: count('passed'),
+            failed: count('failed'),
+            errors: count('error'),
+            passRate: round(results.length > 0 ? count('passed') / results.length : null),
+            assertions: assertions.length,
+            assertionPassRate: round(assertions.length > 0 ? assertions.filter(assertion => assertion.passed).length / assertions.length : null),
+            avgQualityScore: round(average(scored.map(result => result.qualityScore))),
+            avgLatencyMs: Math.round(average(results.map(result => result.latencyMs)) || 0),
+            totalTokens: results.reduce((total, result) => total + (result.usage?.total_tokens || 0), 0)
+        };
+    }
+
+    // Run a dataset through `model` (registry key; default: the task's use case
+    // model) with `promptVersions` pinned. `apiKey` is a key or an async
+    // (provider) => key resolver. Cases run one at a time; `maxCases` rejects a
+    // run of more cases. A credential failure aborts the run; other failures
+    // mark the case as an error.
+    async runDataset(datasetName, { apiKey, model, promptVersions = {}, workspace = 'default', name, caseIds, maxCases, allowPath } = {}) {
+        const dataset = this.loadDataset(datasetName, { allowPath });
+        this.validatePromptVersions(promptVersions);
+
+        const entry = modelRegistry.resolve(TASKS[dataset.task].useCase, model);
+        const key = typeof apiKey === 'function' ? await apiKey(entry.provider) : apiKey;
+        if (!key) {
+            throw createError(`No ${entry.provider} credential available for model ${entry.key}`, 'INVALID_API_KEY', 400);
+        }
+        const cases = caseIds ? dataset.cases.filter(testCase => caseIds.includes(testCase.id)) : dataset.cases;
+        if (cases.length === 0) {
+            throw createError('None of the requested cases are in the dataset', 'INVALID_INPUT', 400);
+        }
+        if (maxCases && cases.length > maxCases) {
+            throw createError(
+                `${cases.length} cases selected but at most ${maxCases} can run per request; choose cases with \`cases\` or run the dataset with \`npm run eval\``,
+                'EVAL_TOO_MANY_CASES',
+                400
+            );
+        }
+
+        const options = { workspace, model: entry.key, promptVersions, fixedVariants: true };
+        const startedAt = new Date();
+        const results = [];
+        for (const testCase of cases) {
+            results.push(await this.runCase(dataset, testCase, { apiKey: key, options }));
+        }
+
+        const run = {
+            workspace,
+            name: name || `${dataset.name} / ${entry.key}`,
+            dataset: dataset.name,
+            task: dataset.task,
+            config: { model: entry.key, modelId: entry.id, provider: entry.provider, promptVersions },
+            summary: this.summarize(results),
+            results,
+            startedAt,
+            completedAt: new Date()
+        };
+
+        if (!this.isDatabaseReady()) {
+            return { id: null, ...run };
+        }
+
+        try {
+            const saved = await EvalRun.create(run);
+            return { id: saved._id.toString(), ...run };
+        } catch (error) {
+            logger.warn('Failed to save evaluation run', { error });
+            return { id: null, ...run };
+        }
+    }
+
+    toRun(document) {
+        const { _id, __v, ...run } = document;
+        return { id: _id.toString(), ...run };
+    }
+
+    // Stored runs, newest first, without per-case results
+    async listRuns(workspace, { dataset, limit = 20 } = {}) {
+        this.assertDatabase();
+
+        const query = { workspace, ...(dataset ? { dataset } : {}) };
+        const runs = await EvalRun.find(query, { results: 0 })
+            .sort({ createdAt: -1 })
+            .limit(Math.min(limit, MAX_LISTED_RUNS))
+            .lean();
+        return runs.map(run => this.toRun(run));
+    }
+
+    async getRun(workspace, id) {
+        this.assertDatabase();
+
+        const run = mongoose.isValidObjectId(id) ? await EvalRun.findOne({ _id: id, workspace }).lean() : null;
+        if (!run) {
+            throw createError('Evaluation run not found', 'EVAL_RUN_NOT_FOUND', 404);
+        }
+        return this.toRun(run);
+    }
+
+    // Case-by-case comparison of a candidate run against a base run.
+    // A case regresses when it stops passing; with the same status, when more
+    // of its assertions start failing than start passing, or else when its
+    // quality score drops by more than QUALITY_TOLERANCE. Improvements mirror this.
+    compareRuns(base, candidate) {
+        const rank = { passed: 2, failed: 1, error: 0 };
+        const baseResults = new Map(base.results.map(result => [result.id, result]));
+        const candidateResults = new Map(candidate.results.map(result => [result.id, result]));
+        const ids = [...new Set([...candidateResults.keys(), ...baseResults.keys()])];
+
+        const cases = ids.map(id => {
+            const before = baseResults.get(id);
+            const after = candidateResults.get(id);
+            const brief = (result) => (result ? { status: result.status, qualityScore: result.qualityScore ?? null } : null);
+
+            if (!before || !after) {
+                return { id, change: before ? 'removed' : 'added', base: brief(before), candidate: brief(after) };
+            }
+
+            const qualityDelta = typeof before.qualityScore === 'number' && typeof after.qualityScore === 'number'
+                ? round(after.qualityScore - before.qualityScore)
+                : null;
+            const passedBefore = new Set(before.assertions.filter(assertion => assertion.passed).map(assertionKey));
+            const failedBefore = new Set(before.assertions.filter(assertion => !assertion.passed).map(assertionKey));
+            const newlyFailed = after.assertions
+                .filter(assertion => !assertion.passed && passedBefore.has(assertionKey(assertion)))
+                .map(({ passed, ...assertion }) => assertion);
+            const newlyPassed = after.assertions.filter(assertion => assertion.passed && failedBefore.has(assertionKey(assertion))).length;
+
+            let change = 'unchanged';
+            if (rank[after.status] < rank[before.status]) change = 'regressed';
+            else if (rank[after.status] > rank[before.status]) change = 'improved';
+            else if (newlyFailed.length > newlyPassed) change = 'regressed';
+            else if (newlyPassed > newlyFailed.length) change = 'improved';
+            else if (qualityDelta !== null && qualityDelta < -QUALITY_TOLERANCE) change = 'regressed';
+            else if (qualityDelta !== null && qualityDelta > QUALITY_TOLERANCE) change = 'improved';
+
+            return { id, change, base: brief(before), candidate: brief(after), qualityDelta, newlyFailed };
+        });
+
+        const delta = (field) => (base.summary[field] === null || candidate.summary[field] === null
+            ? null
+            : round(candidate.summary[field] - base.summary[field]));
+        const count = (change) => cases.filter(entry => entry.change === change).length;
+        const describe = ({ id, name, dataset, config, summary, completedAt }) => ({ id, name, dataset, config, summary, completedAt });
+
+        return {
+            base: describe(base),
+            candidate: describe(candidate),
+            sameDataset: base.dataset === candidate.dataset,
+            deltas: {
+                passRate: delta('passRate'),
+                assertionPassRate: delta('assertionPassRate'),
+                avgQualityScore: delta('avgQualityScore'),
+                avgLatencyMs: delta('avgLatencyMs'),
+                totalTokens: delta('totalTokens')
+            },
+            regressions: count('regressed'),
+            improvements: count('improved'),
+            unchanged: count('unchanged'),
+            added: count('added'),
+            removed: count('removed'),
+            regressed: count('regressed') > 0,
+            cases
+        };
+    }
+
+    async compareStoredRuns(workspace, baseId, candidateId) {
+        const [base, candidate] = await Promise.all([
+            this.getRun(workspace, baseId),
+            this.getRun(workspace, candidateId)
+        ]);
+        return this.compareRuns(base, candidate);
+    }
+}
+
+module.exports = new EvaluationService();
@@ -0,0 +1,162 @@
+const { createProvider, ProviderError, PROVIDER_ERROR_CODES } = require('./providers');
+const MockProvider = require('./providers/mockProvider');
+const usageTracker = require('./usageTracker');
+const rateLimiter = require('./rateLimiter');
+const resilience = require('./resilience');
+const logger = require('../utils/logger');
+
+// Failures after which the next model of a fallback chain is tried. Anything
+// else (e.g. an invalid request) would fail the same way on every model.
+const FALLBACK_CODES = [
+    PROVIDER_ERROR_CODES.AUTHENTICATION,
+    PROVIDER_ERROR_CODES.QUOTA,
+    PROVIDER_ERROR_CODES.RATE_LIMIT,
+    PROVIDER_ERROR_CODES.TIMEOUT,
+    PROVIDER_ERROR_CODES.SERVER,
+    PROVIDER_ERROR_CODES.NETWORK,
+    PROVIDER_ERROR_CODES.CIRCUIT_OPEN
+];
+
+// Calls are answered offline by the mock provider in mock mode (LLM_MOCK=true)
+// or when made with a reserved "mock" key
+const targetProvider = (provider, apiKey) => MockProvider.handles(apiKey) ? MockProvider.providerName : provider;
+
+// Single entry point for every outbound LLM call.
+// Services describe what they want (provider, messages, params) and get back
+// the normalized completion from the provider adapter. Calls run under the
+// provider's timeout, retry and circuit breaker policy (see resilience.js),
+// and every attempt, successful or not, is recorded by the usage tracker.
+// Reported tokens also count against the caller's rate limit (rateLimiter.js).
+// chat() takes an optional AbortSignal that cancels the in-flight request and
+// any retries; the call then fails with the `aborted` code.
+class LLMClient {
+    async chat({ provider: requested, apiKey, baseURL, messages, params = {}, signal }) {
+        const provider = targetProvider(requested, apiKey);
+        const policy = resilience.getPolicy(provider);
+        const adapter = createProvider(provider, { apiKey, baseURL, timeout: policy.timeoutMs });
+        const model = params.model || adapter.defaultModel;
+
+        return resilience.execute(provider, policy, async () => {
+            const startedAt = Date.now();
+            try {
+                const completion = await adapter.chat({ messages, params, signal });
+                usageTracker.record({ provider, model, usage: completion.usage, latencyMs: Date.now() - startedAt });
+                rateLimiter.recordTokens(completion.usage);
+                return completion;
+            } catch (error) {
+                usageTracker.record({ provider, model, latencyMs: Date.now() - startedAt, error });
+                throw error;
+            }
+        });
+    }
+
+    // Streaming variant of chat(); yields { type: 'delta' } events then one { type: 'done' }.
+    // Only opening the stream is retried: once the first event has been yielded
+    // a failure is passed to the caller. Usage is recorded when the stream
+    // finishes, fails or is abandoned by the caller.
+    async *stream({ provider: requested, apiKey, baseURL, messages, params = {} }) {
+        const provider = targetProvider(requested, apiKey);
+        const policy = resilience.getPolicy(provider);
+        const adapter = createProvider(provider, { apiKey, baseURL, timeout: policy.timeoutMs });
+        const model = params.model || adapter.defaultModel;
+        let startedAt;
+        let usage = null;
+        let failure = null;
+
+        const { iterator, first } = await resilience.execute(provider, policy, async () => {
+            startedAt = Date.now();
+            const attempt = adapter.stream({ messages, params })[Symbol.asyncIterator]();
+            try {
+                return { iterator: attempt, first: await attempt.next() };
+            } catch (error) {
+                usageTracker.record({ provider, model, latencyMs: Date.now() - startedAt, streamed: true, error });
+                throw error;
+            }
+        });
+
+        try {
+            for (let result = first; !result.done; result = await iterator.next()) {
+                if (result.value.type === 'done') usage = result.value.usage;
+                yield result.value;
+            }
+        } catch (error) {
+            failure = error;
+            resilience.recordFailure(provider, error, policy);
+            throw error;
+        } finally {
+            // Release the upstream connection if the caller stopped reading early
+            await iterator.return();
+            usageTracker.record({ provider, model, usage, latencyMs: Date.now() - startedAt, streamed: true, error: failure });
+            rateLimiter.recordTokens(usage);
+        }
+    }
+
+    // Run `call` on each model of a fallback chain (registry entries with `key`
+    // and `provider`) until one succeeds. `buildRequest(model)` returns the
+    // request for a model, or null to skip it when no credential is available.
+    // Resolves with { result, model, request, attempts }; if every model fails,
+    // the last error is thrown with `attempts` attached.
+    async runChain(chain, buildRequest, call) {
+        const attempts = [];
+        let lastError = null;
+
+        for (const model of chain) {
+            const request = await buildRequest(model);
+            if (!request) {
+                attempts.push({ model: model.key, provider: model.provider, status: 'skipped', code: 'NO_CREDENTIAL' });
+                continue;
+            }
+
+            const attempt = { model: model.key, modelId: request.params?.model, provider: model.provider };
+            const startedAt = Date.now();
+            try {
+                const result = await call(request);
+                attempts.push({ ...attempt, status: 'success', latencyMs: Date.now() - startedAt });
+                return { result, model, request, attempts };
+            } catch (error) {
+                attempts.push({ ...attempt, status: 'failed', code: error.code, latencyMs: Date.now() - startedAt });
+                lastError = error;
+
+                if (!FALLBACK_CODES.includes(error.code)) break;
+                if (model !== chain[chain.length - 1]) {
+                    logger.warn('Model failed, falling back to the next model', { model: model.key, code: error.code });
+                }
+            }
+        }
+
+        const error = lastError || new ProviderError('No credential is available for any model in the fallback chain', {
+            provider: chain[0]?.provider,
+            status: 401,
+            code: PROVIDER_ERROR_CODES.AUTHENTICATION
+        });
+        error.attempts = attempts;
+        throw error;
+    }
+
+    // chat() across a fallback chain; resolves with { completion, model, request, attempts }
+    async chatWithFallback(chain, buildRequest) {
+        const { result, ...answered } = await this.runChain(chain, buildRequest, request => this.chat(request));
+        return { completion: result, ...answered };
+    }
+
+    // stream() across a fallback chain. The next model is only tried while no
+    // output has been produced; the first event is { type: 'start', model, attempts }.
+    async *streamWithFallback(chain, buildRequest) {
+        const { result, model, attempts } = await this.runChain(chain, buildRequest, async request => {
+            const iterator = this.stream(request)[Symbol.asyncIterator]();
+            return { iterator, first: await iterator.next() };
+        });
+        const { iterator, first } = result;
+
+        yield { type: 'start', model, attempts };
+        try {
+            for (let next = first; !next.done; next = await iterator.next()) {
+                yield next.value;
+            }
+        } finally {
+            await iterator.return();
+        }
+    }
+}
+
+module.exports = new LLMClient();
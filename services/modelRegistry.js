@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const { hasProvider } = require('./providers');
+const { createError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'models.json');
+
+const PROVIDER_LABELS = {
+    nvidia: 'NVIDIA',
+    openai: 'OpenAI',
+    anthropic: 'Anthropic',
+    gemini: 'Google',
+    custom: 'Custom'
+};
+
+const PARAM_KEYS = ['temperature', 'maxTokens', 'topP', 'topK', 'frequencyPenalty', 'presencePenalty', 'stop'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Model and use case lookups only accept own keys, so names such as
+// "constructor" or "__proto__" never resolve to an Object.prototype member
+const hasOwn = (object, key) => isPlainObject(object) && Object.prototype.hasOwnProperty.call(object, key);
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Merge `override` into `base`; nested objects merge, arrays and scalars replace
+function deepMerge(base, override) {
+    if (!isPlainObject(override)) return override === undefined ? base : override;
+
+    const result = { ...(isPlainObject(base) ? base : {}) };
+    Object.keys(override).forEach(key => {
+        result[key] = deepMerge(result[key], override[key]);
+    });
+    return result;
+}
+
+// Single source of truth for model ids, providers, default parameters and
+// the use cases each model serves.
+// Layers, lowest to highest priority:
+//   1. config/models.json (or the file at MODEL_REGISTRY_PATH)
+//   2. MODEL_REGISTRY_OVERRIDES env var (JSON, same shape as the file)
+//   3. runtime changes made through the admin API
+class ModelRegistry {
+    constructor() {
+        this.adminOverrides = { models: {}, useCases: {} };
+        this.load();
+    }
+
+    load() {
+        const filePath = process.env.MODEL_REGISTRY_PATH || DEFAULT_REGISTRY_PATH;
+        const base = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        let envOverrides = {};
+        if (process.env.MODEL_REGISTRY_OVERRIDES) {
+            try {
+                envOverrides = JSON.parse(process.env.MODEL_REGISTRY_OVERRIDES);
+            } catch (error) {
+                logger.warn('Ignoring invalid MODEL_REGISTRY_OVERRIDES JSON', { error });
+            }
+        }
+
+        const config = deepMerge(deepMerge(base, envOverrides), this.adminOverrides);
+        this.validate(config);
+
+        this.config = config;
+        this.source = filePath;
+    }
+
+    // Throw INVALID_MODEL_CONFIG listing every problem in a registry config
+    validate(config) {
+        const problems = [];
+
+        Object.entries(config.models || {}).forEach(([key, model]) => {
+            if (!model.id) problems.push(`models.${key}.id is required`);
+            if (!hasProvider(model.provider)) problems.push(`models.${key}.provider "${model.provider}" is not a registered provider`);
+            Object.entries(model.pricing || {}).forEach(([direction, price]) => {
+                if (!['input', 'output'].includes(direction)) problems.push(`models.${key}.pricing.${direction} is not supported (use input and output)`);
+                else if (typeof price !== 'number' || price < 0) problems.push(`models.${key}.pricing.${direction} must be a non-negative number`);
+            });
+            Object.entries(model.defaults || {}).forEach(([param, value]) => {
+                if (!PARAM_KEYS.includes(param)) problems.push(`models.${key}.defaults.${param} is not a supported parameter`);
+                else if (param !== 'stop' && typeof value !== 'number') problems.push(`models.${key}.defaults.${param} must be a number`);
+            });
+        });
+
+        Object.entries(config.useCases || {}).forEach(([useCase, definition]) => {
+            if (!Array.isArray(definition.models) || definition.models.length === 0) {
+                problems.push(`useCases.${useCase}.models must list at least one model`);
+                return;
+            }
+            definition.models.forEach((entry, index) => {
+                if (!hasOwn(config.models, entry.model)) {
+                    problems.push(`useCases.${useCase}.models[${index}] references unknown model "${entry.model}"`);
+                }
+            });
+            if (definition.fallback !== undefined && !Array.isArray(definition.fallback)) {
+                problems.push(`useCases.${useCase}.fallback must be a list of model keys`);
+                return;
+            }
+            (definition.fallback || []).forEach((key, index) => {
+                if (!hasOwn(config.models, key)) {
+                    problems.push(`useCases.${useCase}.fallback[${index}] references unknown model "${key}"`);
+                }
+            });
+        });
+
+        if (problems.length > 0) {
+            throw createError(`Invalid model registry: ${problems.join('; ')}`, 'INVALID_MODEL_CONFIG', 400, { problems });
+        }
+    }
+
+    getModel(key) {
+        if (!hasOwn(this.config.models, key)) return null;
+        const model = this.config.models[key];
+
+        return {
+            key,
+            id: model.id,
+            name: model.name || model.id,
+            provider: model.provider,
+            providerName: PROVIDER_LABELS[model.provider] || model.provider,
+            description: model.description || '',
+            strengths: model.strengths || [],
+            pricing: model.pricing ? { ...model.pricing } : null,
+            defaults: { ...(model.defaults || {}) }
+        };
+    }
+
+    // Registry model for a provider's model id (as sent to the provider)
+    findByModelId(provider, id) {
+        const key = Object.keys(this.config.models).find(modelKey => {
+            const model = this.config.models[modelKey];
+            return model.provider === provider && model.id === id;
+        });
+        return key ? this.getModel(key) : null;
+    }
+
+    // Estimated cost in USD of a completion; pricing is USD per million tokens.
+    // Returns null for models without a price.
+    estimateCost(provider, id, usage) {
+        const pricing = this.findByModelId(provider, id)?.pricing;
+        if (!pricing || !usage) return null;
+
+        const cost = ((usage.prompt_tokens || 0) * (pricing.input || 0) +
+            (usage.completion_tokens || 0) * (pricing.output || 0)) / 1000000;
+        return Math.round(cost * 1000000) / 1000000;
+    }
+
+    listModels() {
+        return Object.keys(this.config.models).map(key => this.getModel(key));
+    }
+
+    // Use case with its models, each carrying the merged parameters
+    // (model defaults overlaid with the use case's params), and the models to
+    // fall back to when the primary fails. A fallback model listed under
+    // `models` keeps that entry's params; others use the model defaults.
+    getUseCase(useCase) {
+        if (!hasOwn(this.config.useCases, useCase)) return null;
+        const definition = this.config.useCases[useCase];
+
+        const toEntry = (entry) => {
+            const model = this.getModel(entry.model);
+            return {
+                ...model,
+                useCase,
+                description: entry.description || model.description,
+                strengths: entry.strengths || model.strengths,
+                params: { ...model.defaults, ...(entry.params || {}) }
+            };
+        };
+
+        return {
+            key: useCase,
+            description: definition.description || '',
+            models: definition.models.map(toEntry),
+            fallback: (definition.fallback || []).map(key =>
+                toEntry(definition.models.find(entry => entry.model === key) || { model: key })
+            )
+        };
+    }
+
+    listUseCases() {
+        return Object.keys(this.config.useCases).map(useCase => this.getUseCase(useCase));
+    }
+
+    // The model a generation path should use for a use case (the first listed).
+    // `modelKey` picks another registry model instead (evaluation runs); it keeps
+    // the use case's params when the use case lists it, else the model defaults.
+    resolve(useCase, modelKey) {
+        const definition = this.getUseCase(useCase);
+        if (!definition) {
+            throw createError(`No models configured for use case: ${useCase}`, 'USE_CASE_NOT_FOUND', 404);
+        }
+        if (!modelKey) return definition.models[0];
+
+        const listed = [...definition.models, ...definition.fallback].find(entry => entry.key === modelKey);
+        if (listed) return listed;
+
+        const model = this.getModel(modelKey);
+        if (!model) {
+            throw createError(`Unknown model: ${modelKey}`, 'MODEL_NOT_FOUND', 404);
+        }
+        return { ...model, useCase, params: { ...model.defaults } };
+    }
+
+    // Ordered models to try for a use case: the primary (the first listed)
+    // followed by its fallback chain, without repeats
+    resolveChain(useCase) {
+        const definition = this.getUseCase(useCase);
+        if (!definition) {
+            throw createError(`No models configured for use case: ${useCase}`, 'USE_CASE_NOT_FOUND', 404);
+        }
+
+        return [definition.models[0], ...definition.fallback].filter((entry, index, chain) =>
+            chain.findIndex(other => other.key === entry.key) === index
+        );
+    }
+
+    // Provider-neutral llmClient params for a resolved model entry
+    requestParams(entry, overrides = {}) {
+        return {
+            ...(entry.params || entry.defaults),
+            ...overrides,
+            model: entry.id
+        };
+    }
+
+    // Admin API: merge changes into a model (creating it if new)
+    updateModel(key, changes) {
+        return this.applyOverride(['models', key], changes);
+    }
+
+    // Admin API: merge changes into a use case (creating it if new)
+    updateUseCase(useCase, changes) {
+        return this.applyOverride(['useCases', useCase], changes);
+    }
+
+    // Drop all admin API changes and reload from file and env
+    resetOverrides() {
+        this.adminOverrides = { models: {}, useCases: {} };
+        this.load();
+    }
+
+    applyOverride([section, key], changes) {
+        if (!isPlainObject(changes)) {
+            throw createError('Changes must be a JSON object', 'INVALID_MODEL_CONFIG', 400);
+        }
+        if (RESERVED_KEYS.includes(key)) {
+            throw createError(`"${key}" cannot be used as a ${section === 'models' ? 'model' : 'use case'} key`, 'INVALID_MODEL_CONFIG', 400);
+        }
+
+        const previous = this.adminOverrides;
+        this.adminOverrides = deepMerge(previous, { [section]: { [key]: changes } });
+
+        try {
+            this.load();
+        } catch (error) {
+            this.adminOverrides = previous;
+            throw error;
+        }
+    }
+}
+
+module.exports = new ModelRegistry();
@@ -0,0 +1,285 @@
+const defaultTemplates = require('../config/prompts');
+const { PromptTemplate, mongoose } = require('../config/database');
+const { createError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Active workspace versions are cached briefly so generation routes do not
+// hit the database for every prompt
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_TEMPLATE_LENGTH = 20000;
+
+const TAG_PATTERN = /\{\{\s*([#^/]?)([A-Za-z_]\w*)\s*\}\}/g;
+const SECTION_PATTERN = /\{\{([#^])([A-Za-z_]\w*)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+const isBlank = (value) => value === undefined || value === null || value === '' || value === false ||
+    (Array.isArray(value) && value.length === 0);
+
+const formatValue = (value) => {
+    if (isBlank(value)) return '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+};
+
+// Render a template string.
+// {{name}} is replaced by the variable (arrays are comma-joined, missing values
+// render empty); {{#name}}...{{/name}} is kept only when the variable is non-empty
+// and {{^name}}...{{/name}} only when it is empty.
+function renderTemplate(template, variables = {}) {
+    let output = template;
+    let previous;
+    do {
+        previous = output;
+        output = output.replace(SECTION_PATTERN, (match, marker, name, body) => (
+            isBlank(variables[name]) === (marker === '^') ? body : ''
+        ));
+    } while (output !== previous);
+
+    return output.replace(VARIABLE_PATTERN, (match, name) => formatValue(variables[name]));
+}
+
+// Named, versioned prompt templates.
+// Version 0 of every template is the built-in copy in config/prompts.js; each
+// workspace can publish further versions and choose which one is active.
+class PromptTemplateService {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    isDatabaseReady() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    assertDatabase() {
+        if (!this.isDatabaseReady()) {
+            throw createError('Prompt template versions require the database, which is not available.', 'DATABASE_UNAVAILABLE', 503);
+        }
+    }
+
+    hasTemplate(name) {
+        return Object.prototype.hasOwnProperty.call(defaultTemplates, name);
+    }
+
+    getDefinition(name) {
+        const definition = this.hasTemplate(name) ? defaultTemplates[name] : null;
+        if (!definition) {
+            throw createError(`Prompt template not found: ${name}`, 'PROMPT_NOT_FOUND', 404);
+        }
+        return definition;
+    }
+
+    // Problems that stop a template from being published: unknown variables,
+    // unbalanced sections, empty or oversized text
+    validateTemplate(name, template) {
+        const { variables } = this.getDefinition(name);
+        const allowed = [...variables.required, ...variables.optional];
+        const problems = [];
+
+        if (typeof template !== 'string' || template.trim() === '') {
+            return ['template must be a non-empty string'];
+        }
+        if (template.length > MAX_TEMPLATE_LENGTH) {
+            problems.push(`template must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+        }
+
+        const openSections = [];
+        for (const [, marker, variable] of template.matchAll(TAG_PATTERN)) {
+            if (!allowed.includes(variable)) {
+                problems.push(`unknown variable "${variable}" (allowed: ${allowed.join(', ') || 'none'})`);
+            }
+            if (marker === '#' || marker === '^') openSections.push(variable);
+            if (marker === '/' && openSections.pop() !== variable) {
+                problems.push(`section "${variable}" is closed without being opened`);
+            }
+        }
+        openSections.forEach(variable => problems.push(`section "${variable}" is never closed`));
+
+        return [...new Set(problems)];
+    }
+
+    missingVariables(name, variables = {}) {
+        return this.getDefinition(name).variables.required.filter(variable => isBlank(variables[variable]));
+    }
+
+    // The workspace's active version, or null when the built-in template applies
+    async getActiveVersion(workspace, name) {
+        if (!this.isDatabaseReady()) return null;
+
+        const cacheKey = `${workspace}:${name}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+        const active = await PromptTemplate.findOne({ workspace, name, isActive: true }).lean();
+        const value = active ? { version: active.version, template: active.template } : null;
+        this.cache.set(cacheKey, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+        return value;
+    }
+
+    // Text of a specific version: 0 is the built-in template, others are
+    // versions the workspace has published (active or not)
+    async getVersionTemplate(workspace, name, version) {
+        const definition = this.getDefinition(name);
+        if (version === 0) return definition.template;
+
+        this.assertDatabase();
+        const stored = await PromptTemplate.findOne({ workspace, name, version }).lean();
+        if (!stored) {
+            throw createError(`Version ${version} of prompt "${name}" not found`, 'PROMPT_VERSION_NOT_FOUND', 404);
+        }
+        return stored.template;
+    }
+
+    // Render a template for a generation request.
+    // `version` pins a specific version instead of the workspace's active one
+    // (used by evaluation runs). Throws PROMPT_VARIABLES_MISSING when a required
+    // variable is not supplied.
+    async render(name, variables = {}, { workspace = 'default', version } = {}) {
+        const definition = this.getDefinition(name);
+
+        const missing = this.missingVariables(name, variables);
+        if (missing.length > 0) {
+            throw createError(`Missing variables for prompt "${name}": ${missing.join(', ')}`, 'PROMPT_VARIABLES_MISSING', 400, { missing });
+        }
+
+        if (version !== undefined) {
+            return renderTemplate(await this.getVersionTemplate(workspace, name, version), variables);
+        }
+
+        let template = definition.template;
+        try {
+            const active = await this.getActiveVersion(workspace, name);
+            if (active) template = active.template;
+        } catch (error) {
+            logger.warn('Failed to load prompt, using built-in', { prompt: name, workspace, error });
+        }
+
+        return renderTemplate(template, variables);
+    }
+
+    summarize(name, definition, versions = []) {
+        const active = versions.find(version => version.isActive);
+        return {
+            name,
+            description: definition.description,
+            variables: definition.variables,
+            activeVersion: active ? active.version : 0,
+            latestVersion: versions.reduce((latest, version) => Math.max(latest, version.version), 0)
+        };
+    }
+
+    async listTemplates(workspace) {
+        const versions = this.isDatabaseReady()
+            ? await PromptTemplate.find({ workspace }, { name: 1, version: 1, isActive: 1 }).lean()
+            : [];
+
+        return Object.entries(defaultTemplates).map(([name, definition]) =>
+            this.summarize(name, definition, versions.filter(version => version.name === name))
+        );
+    }
+
+    // Template with its active text and full version history (newest first)
+    async getTemplate(workspace, name) {
+        const definition = this.getDefinition(name);
+        const versions = this.isDatabaseReady()
+            ? await PromptTemplate.find({ workspace, name }).sort({ version: -1 }).lean()
+            : [];
+        const active = versions.find(version => version.isActive);
+
+        return {
+            ...this.summarize(name, definition, versions),
+            template: active ? active.template : definition.template,
+            versions: [
+                ...versions.map(version => ({
+                    version: version.version,
+                    note: version.note || null,
+                    isActive: version.isActive,
+                    createdAt: version.createdAt,
+                    template: version.template
+                })),
+                { version: 0, note: 'Built-in template', isActive: !active, createdAt: null, template: definition.template }
+            ]
+        };
+    }
+
+    // Publish a new version for the workspace and make it active
+    async createVersion(workspace, name, { template, note }) {
+        this.getDefinition(name);
+        this.assertDatabase();
+
+        const problems = this.validateTemplate(name, template);
+        if (problems.length > 0) {
+            throw createError(`Invalid template: ${problems.join('; ')}`, 'INVALID_TEMPLATE', 400, { problems });
+        }
+
+        const latest = await PromptTemplate.findOne({ workspace, name }).sort({ version: -1 }).lean();
+        const version = (latest ? latest.version : 0) + 1;
+
+        let created;
+        try {
+            created = await PromptTemplate.create({ workspace, name, version, template, note, isActive: false });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw createError('Another version was published at the same time; retry.', 'PROMPT_VERSION_CONFLICT', 409);
+            }
+            throw error;
+        }
+
+        await this.activate(workspace, name, version);
+        return { version: created.version, note: created.note || null, createdAt: created.createdAt };
+    }
+
+    // Make an earlier version active again; version 0 restores the built-in template
+    async rollback(workspace, name, version) {
+        this.getDefinition(name);
+        this.assertDatabase();
+
+        if (version !== 0) {
+            const exists = await PromptTemplate.exists({ workspace, name, version });
+            if (!exists) {
+                throw createError(`Version ${version} of prompt "${name}" not found`, 'PROMPT_VERSION_NOT_FOUND', 404);
+            }
+        }
+
+        await this.activate(workspace, name, version);
+        return this.getTemplate(workspace, name);
+    }
+
+    async activate(workspace, name, version) {
+        await PromptTemplate.updateMany({ workspace, name, isActive: true, version: { $ne: version } }, { $set: { isActive: false } });
+        if (version !== 0) {
+            await PromptTemplate.updateOne({ workspace, name, version }, { $set: { isActive: true } });
+        }
+        this.cache.delete(`${workspace}:${name}`);
+    }
+
+    // Render a draft, a stored version or the active template without publishing.
+    // Missing required variables are reported rather than thrown.
+    async preview(workspace, name, { variables = {}, template, version } = {}) {
+        const definition = this.getDefinition(name);
+        let text;
+        let previewVersion = null;
+
+        if (template !== undefined) {
+            const problems = this.validateTemplate(name, template);
+            if (problems.length > 0) {
+                throw createError(`Invalid template: ${problems.join('; ')}`, 'INVALID_TEMPLATE', 400, { problems });
+            }
+            text = template;
+        } else if (version !== undefined) {
+            text = await this.getVersionTemplate(workspace, name, version);
+            previewVersion = version;
+        } else {
+            const active = await this.getActiveVersion(workspace, name);
+            text = active ? active.template : definition.template;
+            previewVersion = active ? active.version : 0;
+        }
+
+        return {
+            name,
+            version: previewVersion,
+            rendered: renderTemplate(text, variables),
+            missingVariables: this.missingVariables(name, variables)
+        };
+    }
+}
+
+module.exports = new PromptTemplateService();
@@ -0,0 +1,83 @@
+const BaseProvider = require('./baseProvider');
+
+// Anthropic Messages API adapter.
+// System prompts go in the top-level `system` field, the conversation must
+// alternate user/assistant turns and start with a user turn, and max_tokens
+// is mandatory.
+class AnthropicProvider extends BaseProvider {
+    buildRequest(messages, params) {
+        const { system, messages: conversation } = this.splitSystemMessages(messages);
+
+        if (conversation.length === 0 || conversation[0].role !== 'user') {
+            conversation.unshift({ role: 'user', content: '(continue)' });
+        }
+
+        const body = {
+            model: params.model,
+            max_tokens: Math.round(params.maxTokens || 1024),
+            messages: conversation
+        };
+
+        if (system) body.system = system;
+        if (params.stream) body.stream = true;
+        if (params.temperature !== undefined) body.temperature = Math.min(params.temperature, 1);
+        if (params.topP !== undefined) body.top_p = params.topP;
+        if (params.topK !== undefined) body.top_k = params.topK;
+        if (params.stop !== undefined) body.stop_sequences = [].concat(params.stop);
+
+        return {
+            url: `${this.baseURL}/messages`,
+            body,
+            headers: {
+                'x-api-key': this.apiKey,
+                'anthropic-version': '2023-06-01',
+                'Content-Type': 'application/json'
+            }
+        };
+    }
+
+    parseResponse(data, model) {
+        const content = (data?.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        return {
+            content,
+            finishReason: this.normalizeFinishReason(data?.stop_reason),
+            usage: this.normalizeUsage(data?.usage?.input_tokens, data?.usage?.output_tokens),
+            model: data?.model || model,
+            provider: this.name,
+            raw: data
+        };
+    }
+
+    // Anthropic reports input tokens on message_start and output tokens on message_delta
+    parseStreamEvent(payload, state) {
+        switch (payload.type) {
+            case 'message_start':
+                state.model = payload.message?.model || state.model;
+                state.usage = this.normalizeUsage(payload.message?.usage?.input_tokens, payload.message?.usage?.output_tokens);
+                return '';
+            case 'content_block_delta':
+                return payload.delta?.type === 'text_delta' ? payload.delta.text : '';
+            case 'message_delta':
+                if (payload.delta?.stop_reason) state.finishReason = payload.delta.stop_reason;
+                state.usage = this.normalizeUsage(state.usage?.prompt_tokens, payload.usage?.output_tokens);
+                return '';
+            case 'error':
+                throw this.normalizeError({
+                    message: payload.error?.message,
+                    response: { status: payload.error?.type === 'overloaded_error' ? 529 : 500, data: payload }
+                });
+            default:
+                return '';
+        }
+    }
+}
+
+AnthropicProvider.providerName = 'anthropic';
+AnthropicProvider.defaultBaseURL = 'https://api.anthropic.com/v1';
+AnthropicProvider.defaultModel = 'claude-3-sonnet-20240229';
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,268 @@
+const axios = require('axios');
+const { ProviderError, PROVIDER_ERROR_CODES } = require('./providerError');
+const { readSSEData, readStreamBody } = require('./sseParser');
+const cassettes = require('./cassettes');
+
+// Base class for LLM provider adapters.
+// Every adapter exposes the same contract:
+//   chat({ messages, params, signal }) -> { content, finishReason, usage, model, provider, raw }
+// where `messages` are { role: 'system' | 'user' | 'assistant', content } objects and
+// `params` uses provider-neutral names (model, temperature, topP, topK, maxTokens,
+// frequencyPenalty, presencePenalty, stop). An optional AbortSignal cancels the
+// HTTP request. Subclasses only translate to and from their native wire format.
+//
+// Adapters that implement parseStreamEvent() also support
+//   stream({ messages, params }) -> async iterator of
+//   { type: 'delta', content } ... { type: 'done', content, finishReason, usage, model, provider }
+class BaseProvider {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey;
+        this.baseURL = (options.baseURL || this.constructor.defaultBaseURL || '').replace(/\/+$/, '');
+        this.defaultModel = options.model || this.constructor.defaultModel;
+        // Request timeout in ms (0 disables it); set per provider by services/resilience.js
+        this.timeout = options.timeout || 0;
+    }
+
+    get name() {
+        return this.constructor.providerName;
+    }
+
+    // Send a chat request and return the normalized completion
+    async chat({ messages, params = {}, signal }) {
+        this.assertApiKey();
+
+        const model = params.model || this.defaultModel;
+        const request = this.buildRequest(messages, { ...params, model });
+
+        let response;
+        try {
+            response = await this.post(request.url, request.body, request.headers, signal);
+        } catch (error) {
+            throw this.normalizeError(error);
+        }
+
+        return this.parseResponse(response.data, model);
+    }
+
+    // Stream a chat request, yielding text deltas and a final summary event
+    async *stream({ messages, params = {} }) {
+        this.assertApiKey();
+
+        const model = params.model || this.defaultModel;
+        const request = this.buildRequest(messages, { ...params, model, stream: true });
+
+        let response;
+        try {
+            response = await this.postStream(request.url, request.body, request.headers);
+        } catch (error) {
+            if (error.response?.data && typeof error.response.data.pipe === 'function') {
+                error.response.data = await readStreamBody(error.response.data);
+            }
+            throw this.normalizeError(error);
+        }
+
+        const state = { content: '', finishReason: null, usage: null, model };
+
+        try {
+            for await (const data of readSSEData(response.data)) {
+                if (data === '[DONE]') break;
+
+                let payload;
+                try {
+                    payload = JSON.parse(data);
+                } catch (parseError) {
+                    continue;
+                }
+
+                const delta = this.parseStreamEvent(payload, state);
+                if (delta) {
+                    state.content += delta;
+                    yield { type: 'delta', content: delta };
+                }
+            }
+        } catch (error) {
+            throw this.normalizeError(error);
+        } finally {
+            if (typeof response.data.destroy === 'function') {
+                response.data.destroy();
+            }
+        }
+
+        yield {
+            type: 'done',
+            content: state.content,
+            finishReason: this.normalizeFinishReason(state.finishReason),
+            usage: state.usage || this.normalizeUsage(0, 0),
+            model: state.model,
+            provider: this.name
+        };
+    }
+
+    // Build { url, body, headers } for the native API
+    buildRequest(messages, params) {
+        throw new Error(`${this.constructor.name} must implement buildRequest()`);
+    }
+
+    // Convert the native response body into the normalized completion shape
+    parseResponse(data, model) {
+        throw new Error(`${this.constructor.name} must implement parseResponse()`);
+    }
+
+    // Handle one parsed stream payload: update `state` (finishReason, usage,
+    // model) and return the text delta it carries, if any
+    parseStreamEvent(payload, state) {
+        throw new ProviderError(`${this.name} does not support streaming`, {
+            provider: this.name,
+            code: PROVIDER_ERROR_CODES.INVALID_REQUEST
+        });
+    }
+
+    // HTTP transport shared by all adapters
+    async post(url, body, headers, signal) {
+        return this.send({ url, body, headers, stream: false },
+            () => axios.post(url, body, { headers, timeout: this.timeout, signal }));
+    }
+
+    // Streaming variant of post(); resolves with a readable SSE body
+    async postStream(url, body, headers) {
+        return this.send({ url, body, headers, stream: true },
+            () => axios.post(url, body, { headers, timeout: this.timeout, responseType: 'stream' }));
+    }
+
+    // Perform the HTTP call, through the cassette store when recording or replaying
+    async send(request, perform) {
+        if (!cassettes.isActive()) return perform();
+        return cassettes.send({ ...request, provider: this.name, apiKey: this.apiKey }, perform);
+    }
+
+    assertApiKey() {
+        if (!this.apiKey && this.constructor.requiresApiKey !== false) {
+            throw new ProviderError(`No API key provided for ${this.name}`, {
+                provider: this.name,
+                status: 401,
+                code: PROVIDER_ERROR_CODES.AUTHENTICATION
+            });
+        }
+    }
+
+    // Split system prompts out of the conversation and merge consecutive
+    // messages from the same role (required by Anthropic and Gemini)
+    splitSystemMessages(messages) {
+        const system = [];
+        const conversation = [];
+
+        messages.forEach(msg => {
+            if (msg.role === 'system') {
+                system.push(msg.content);
+                return;
+            }
+
+            const role = msg.role === 'assistant' ? 'assistant' : 'user';
+            const previous = conversation[conversation.length - 1];
+            if (previous && previous.role === role) {
+                previous.content += `\n\n${msg.content}`;
+            } else {
+                conversation.push({ role, content: msg.content });
+            }
+        });
+
+        return {
+            system: system.join('\n\n'),
+            messages: conversation
+        };
+    }
+
+    // Build the usage object every caller expects (OpenAI field names)
+    normalizeUsage(promptTokens, completionTokens) {
+        const prompt = Number(promptTokens) || 0;
+        const completion = Number(completionTokens) || 0;
+        return {
+            prompt_tokens: prompt,
+            completion_tokens: completion,
+            total_tokens: prompt + completion
+        };
+    }
+
+    // Map native finish reasons onto stop | length | content_filter | tool_calls
+    normalizeFinishReason(reason) {
+        if (!reason) return null;
+
+        const value = String(reason).toLowerCase();
+        if (['stop', 'end_turn', 'stop_sequence', 'finish_reason_stop'].includes(value)) return 'stop';
+        if (['length', 'max_tokens'].includes(value)) return 'length';
+        if (['content_filter', 'safety', 'recitation', 'blocklist', 'prohibited_content'].includes(value)) return 'content_filter';
+        if (['tool_calls', 'tool_use', 'function_call'].includes(value)) return 'tool_calls';
+        return value;
+    }
+
+    // Convert axios/network failures into a ProviderError
+    normalizeError(error) {
+        if (error instanceof ProviderError) return error;
+
+        const response = error.response;
+        const data = response?.data;
+        const upstreamMessage = this.extractErrorMessage(data) || error.message;
+
+        if (axios.isCancel(error)) {
+            return new ProviderError(`${this.name} request was cancelled`, {
+                provider: this.name,
+                code: PROVIDER_ERROR_CODES.ABORTED
+            });
+        }
+
+        if (!response) {
+            const isTimeout = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+            return new ProviderError(upstreamMessage || `${this.name} request failed`, {
+                provider: this.name,
+                status: null,
+                code: isTimeout ? PROVIDER_ERROR_CODES.TIMEOUT : PROVIDER_ERROR_CODES.NETWORK
+            });
+        }
+
+        const status = response.status;
+        let code = PROVIDER_ERROR_CODES.UNKNOWN;
+
+        if (status === 401 || status === 403) {
+            code = PROVIDER_ERROR_CODES.AUTHENTICATION;
+        } else if (status === 429) {
+            code = /quota|billing|credit/i.test(`${upstreamMessage} ${JSON.stringify(data || {})}`)
+                ? PROVIDER_ERROR_CODES.QUOTA
+                : PROVIDER_ERROR_CODES.RATE_LIMIT;
+        } else if (status === 408 || status === 504) {
+            code = PROVIDER_ERROR_CODES.TIMEOUT;
+        } else if (status >= 500) {
+            code = PROVIDER_ERROR_CODES.SERVER;
+        } else if (status >= 400) {
+            code = PROVIDER_ERROR_CODES.INVALID_REQUEST;
+        }
+
+        return new ProviderError(upstreamMessage || `${this.name} request failed with status ${status}`, {
+            provider: this.name,
+            status,
+            code,
+            retryAfter: this.parseRetryAfter(response.headers?.['retry-after']),
+            details: data
+        });
+    }
+
+    // Pull a human-readable message out of the various upstream error bodies
+    extractErrorMessage(data) {
+        if (!data) return null;
+        if (typeof data === 'string') return data;
+        if (typeof data.error === 'string') return data.error;
+        return data.error?.message || data.detail || data.message || null;
+    }
+
+    // Retry-After may be delta-seconds or an HTTP date; return milliseconds
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) return Math.max(seconds, 0) * 1000;
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+    }
+}
+
+module.exports = BaseProvider;
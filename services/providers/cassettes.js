@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { Readable } = require('stream');
+const { ProviderError, PROVIDER_ERROR_CODES } = require('./providerError');
+const { readStreamBody } = require('./sseParser');
+const logger = require('../../utils/logger');
+
+const MODES = ['record', 'replay'];
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'cassettes');
+const REDACTED = '[REDACTED]';
+
+// Request headers and URL parameters that carry credentials
+const SECRET_HEADERS = ['authorization', 'x-api-key', 'x-goog-api-key', 'api-key'];
+const SECRET_PARAMS = ['key', 'api_key', 'apikey'];
+// Response headers worth keeping; the rest vary per call
+const KEPT_RESPONSE_HEADERS = ['content-type', 'retry-after'];
+
+// JSON with object keys sorted, so equal requests always serialize the same way
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        SECRET_PARAMS.forEach(param => {
+            if (parsed.searchParams.has(param)) parsed.searchParams.set(param, REDACTED);
+        });
+        return parsed.toString();
+    } catch (error) {
+        return url;
+    }
+}
+
+function redactHeaders(headers = {}) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) =>
+        [name, SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : value]
+    ));
+}
+
+function pickHeaders(headers = {}) {
+    return Object.fromEntries(Object.entries(headers)
+        .filter(([name]) => KEPT_RESPONSE_HEADERS.includes(name.toLowerCase())));
+}
+
+async function readText(stream) {
+    let text = '';
+    for await (const chunk of stream) {
+        text += chunk.toString('utf8');
+    }
+    return text;
+}
+
+// Record/replay of raw provider HTTP exchanges ("cassettes").
+//
+// LLM_CASSETTE_MODE=record sends every provider request to the network as usual
+// and writes the request and response to LLM_CASSETTE_DIR (default:
+// cassettes/) as <provider>/<hash>.json, where the hash covers the provider,
+// URL and body of the request. API keys are redacted from headers, URLs and
+// anything else they appear in. LLM_CASSETTE_MODE=replay answers from those
+// files without touching the network and fails with `cassette_miss` for a
+// request that was never recorded.
+//
+// Error responses (401, 429, 5xx) and network failures are recorded too, and
+// replayed through the adapters' normal error handling. Streaming responses
+// are buffered while recording and replayed as a single SSE body.
+class CassetteStore {
+    get mode() {
+        const mode = process.env.LLM_CASSETTE_MODE;
+        return MODES.includes(mode) ? mode : 'off';
+    }
+
+    get dir() {
+        return process.env.LLM_CASSETTE_DIR ? path.resolve(process.env.LLM_CASSETTE_DIR) : DEFAULT_DIR;
+    }
+
+    isActive() {
+        return this.mode !== 'off';
+    }
+
+    // The parts of a request that decide its response; headers (and so keys)
+    // are left out, so a cassette recorded with one key replays with any other
+    normalize({ provider, url, body, stream }) {
+        return { provider, url: redactUrl(url), stream: !!stream, body };
+    }
+
+    hash(normalized) {
+        return crypto.createHash('sha256').update(stableStringify(normalized)).digest('hex').slice(0, 16);
+    }
+
+    pathFor(provider, key) {
+        return path.join(this.dir, provider, `${key}.json`);
+    }
+
+    // Send `request` ({ provider, url, body, headers, stream, apiKey }) with
+    // `perform` (the real HTTP call) while recording, or answer it from the
+    // cassette while replaying. Resolves with an axios-like response.
+    async send(request, perform) {
+        const normalized = this.normalize(request);
+        const key = this.hash(normalized);
+
+        if (this.mode === 'replay') {
+            return this.replay(request.provider, key);
+        }
+
+        const entry = {
+            key,
+            recordedAt: new Date().toISOString(),
+            request: { ...normalized, headers: redactHeaders(request.headers) }
+        };
+
+        let response;
+        try {
+            response = await perform();
+        } catch (error) {
+            if (error.response) {
+                const data = error.response.data && typeof error.response.data.pipe === 'function'
+                    ? await readStreamBody(error.response.data)
+                    : error.response.data;
+                error.response.data = data;
+                entry.response = { status: error.response.status, headers: pickHeaders(error.response.headers), data };
+            } else {
+                entry.error = { code: error.code || null, message: error.message };
+            }
+            await this.save(entry, request.apiKey);
+            throw error;
+        }
+
+        if (request.stream) {
+            const text = await readText(response.data);
+            entry.response = { status: response.status, headers: pickHeaders(response.headers), body: text };
+            await this.save(entry, request.apiKey);
+            return { ...response, data: Readable.from([text]) };
+        }
+
+        entry.response = { status: response.status, headers: pickHeaders(response.headers), data: response.data };
+        await this.save(entry, request.apiKey);
+        return response;
+    }
+
+    async save(entry, apiKey) {
+        let json = JSON.stringify(entry, null, 2);
+        // Keys can also be echoed back in bodies or error messages
+        if (apiKey && apiKey.length >= 8) {
+            json = json.split(apiKey).join(REDACTED);
+        }
+
+        const file = this.pathFor(entry.request.provider, entry.key);
+        try {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, `${json}\n`);
+            logger.info('Recorded cassette', { cassette: path.relative(this.dir, file) });
+        } catch (error) {
+            logger.warn('Failed to write cassette', { error });
+        }
+    }
+
+    async replay(provider, key) {
+        const file = this.pathFor(provider, key);
+        let entry;
+        try {
+            entry = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            throw new ProviderError(`No cassette recorded for this ${provider} request (${key})`, {
+                provider,
+                code: PROVIDER_ERROR_CODES.CASSETTE_MISS,
+                details: { cassette: path.relative(this.dir, file) }
+            });
+        }
+
+        if (entry.error) {
+            const error = new Error(entry.error.message);
+            error.code = entry.error.code;
+            throw error;
+        }
+
+        const { status, headers, data, body } = entry.response;
+        if (status >= 400) {
+            const error = new Error(`Request failed with status code ${status}`);
+            error.response = { status, headers, data };
+            throw error;
+        }
+
+        return {
+            status,
+            headers,
+            data: body !== undefined ? Readable.from([body]) : data
+        };
+    }
+}
+
+module.exports = new CassetteStore();
@@ -0,0 +1,53 @@
+const OpenAIProvider = require('./openaiProvider');
+const { ProviderError, PROVIDER_ERROR_CODES } = require('./providerError');
+
+// Adapter for any self-hosted or third-party OpenAI-compatible endpoint
+// (vLLM, Ollama, LM Studio, Together, ...). The base URL comes from the
+// caller or from CUSTOM_LLM_BASE_URL and must point at the API root, e.g.
+// http://localhost:11434/v1. An API key is optional.
+class CustomProvider extends OpenAIProvider {
+    constructor(options = {}) {
+        super({
+            ...options,
+            baseURL: options.baseURL || process.env.CUSTOM_LLM_BASE_URL,
+            apiKey: options.apiKey || process.env.CUSTOM_LLM_API_KEY,
+            model: options.model || process.env.CUSTOM_LLM_MODEL
+        });
+    }
+
+    // Local servers often run without authentication
+    buildRequest(messages, params) {
+        const request = super.buildRequest(messages, params);
+        if (!this.apiKey) {
+            delete request.headers.Authorization;
+        }
+        return request;
+    }
+
+    async chat(request) {
+        this.assertBaseURL();
+        return super.chat(request);
+    }
+
+    async *stream(request) {
+        this.assertBaseURL();
+        yield* super.stream(request);
+    }
+
+    // There is no default endpoint to fall back to
+    assertBaseURL() {
+        if (!this.baseURL) {
+            throw new ProviderError('No base URL configured for the custom provider', {
+                provider: this.name,
+                code: PROVIDER_ERROR_CODES.INVALID_REQUEST
+            });
+        }
+    }
+}
+
+CustomProvider.providerName = 'custom';
+CustomProvider.defaultBaseURL = '';
+CustomProvider.defaultModel = undefined;
+CustomProvider.requiresApiKey = false;
+
+module.exports = CustomProvider;
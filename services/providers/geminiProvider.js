@@ -0,0 +1,73 @@
+const BaseProvider = require('./baseProvider');
+
+// Google Gemini generateContent adapter.
+// System prompts go in `systemInstruction` and the assistant role is called
+// `model`.
+class GeminiProvider extends BaseProvider {
+    buildRequest(messages, params) {
+        const { system, messages: conversation } = this.splitSystemMessages(messages);
+
+        const generationConfig = {};
+        if (params.temperature !== undefined) generationConfig.temperature = params.temperature;
+        if (params.topP !== undefined) generationConfig.topP = params.topP;
+        if (params.topK !== undefined) generationConfig.topK = params.topK;
+        if (params.maxTokens !== undefined) generationConfig.maxOutputTokens = Math.round(params.maxTokens);
+        if (params.stop !== undefined) generationConfig.stopSequences = [].concat(params.stop);
+
+        const body = {
+            contents: conversation.map(msg => ({
+                role: msg.role === 'assistant' ? 'model' : 'user',
+                parts: [{ text: msg.content }]
+            })),
+            generationConfig
+        };
+
+        if (system) {
+            body.systemInstruction = { parts: [{ text: system }] };
+        }
+
+        return {
+            url: params.stream
+                ? `${this.baseURL}/models/${params.model}:streamGenerateContent?alt=sse`
+                : `${this.baseURL}/models/${params.model}:generateContent`,
+            body,
+            headers: {
+                'x-goog-api-key': this.apiKey,
+                'Content-Type': 'application/json'
+            }
+        };
+    }
+
+    parseResponse(data, model) {
+        const candidate = data?.candidates?.[0];
+        const content = (candidate?.content?.parts || [])
+            .map(part => part.text || '')
+            .join('');
+
+        return {
+            content,
+            finishReason: this.normalizeFinishReason(candidate?.finishReason),
+            usage: this.normalizeUsage(data?.usageMetadata?.promptTokenCount, data?.usageMetadata?.candidatesTokenCount),
+            model: data?.modelVersion || model,
+            provider: this.name,
+            raw: data
+        };
+    }
+
+    // Each streamed chunk is a partial GenerateContentResponse
+    parseStreamEvent(payload, state) {
+        const candidate = payload.candidates?.[0];
+        if (payload.modelVersion) state.model = payload.modelVersion;
+        if (candidate?.finishReason) state.finishReason = candidate.finishReason;
+        if (payload.usageMetadata) {
+            state.usage = this.normalizeUsage(payload.usageMetadata.promptTokenCount, payload.usageMetadata.candidatesTokenCount);
+        }
+        return (candidate?.content?.parts || []).map(part => part.text || '').join('');
+    }
+}
+
+GeminiProvider.providerName = 'gemini';
+GeminiProvider.defaultBaseURL = 'https://generativelanguage.googleapis.com/v1beta';
+GeminiProvider.defaultModel = 'gemini-pro';
+
+module.exports = GeminiProvider;
@@ -0,0 +1,49 @@
+const NvidiaProvider = require('./nvidiaProvider');
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const GeminiProvider = require('./geminiProvider');
+const CustomProvider = require('./customProvider');
+const MockProvider = require('./mockProvider');
+const { ProviderError, PROVIDER_ERROR_CODES } = require('./providerError');
+
+// Registry of provider adapters keyed by provider name
+const providers = new Map();
+
+// Register an adapter class. New providers only need a BaseProvider subclass
+// and a call to this function; routes and services pick them up by name.
+function registerProvider(name, ProviderClass) {
+    providers.set(name, ProviderClass);
+}
+
+// Instantiate an adapter for a single request
+function createProvider(name, options = {}) {
+    const ProviderClass = providers.get(name);
+    if (!ProviderClass) {
+        throw new ProviderError(`Unknown LLM provider: ${name}`, {
+            provider: name,
+            code: PROVIDER_ERROR_CODES.INVALID_REQUEST
+        });
+    }
+    return new ProviderClass(options);
+}
+
+function hasProvider(name) {
+    return providers.has(name);
+}
+
+function listProviders() {
+    return Array.from(providers.keys());
+}
+
+[NvidiaProvider, OpenAIProvider, AnthropicProvider, GeminiProvider, CustomProvider, MockProvider].forEach(ProviderClass => {
+    registerProvider(ProviderClass.providerName, ProviderClass);
+});
+
+module.exports = {
+    registerProvider,
+    createProvider,
+    hasProvider,
+    listProviders,
+    ProviderError,
+    PROVIDER_ERROR_CODES
+};
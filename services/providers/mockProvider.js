@@ -0,0 +1,149 @@
+const { Readable } = require('stream');
+const { CanceledError } = require('axios');
+const OpenAIProvider = require('./openaiProvider');
+const fixtures = require('../../config/mockFixtures');
+const { getRequestContext } = require('../../utils/requestContext');
+
+// Failure modes the mock can inject, and the upstream responses they imitate
+const ERROR_MODES = {
+    401: { status: 401, data: { error: { message: 'Invalid API key (mock)', type: 'authentication_error' } } },
+    429: { status: 429, data: { error: { message: 'Rate limit reached (mock)', type: 'rate_limit_exceeded' } } },
+    500: { status: 500, data: { error: { message: 'Internal server error (mock)', type: 'server_error' } } }
+};
+
+const MOCK_KEY_PATTERN = /^mock(?:-([\w]+))?$/;
+
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Wait like a slow upstream would, giving up with axios' cancellation error on abort
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new CanceledError());
+
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new CanceledError());
+    }, { once: true });
+});
+
+// Offline provider for local development and tests. It speaks the OpenAI wire
+// format, so request building, response parsing, SSE streaming and error
+// normalization all run as they would against a real API, but answers come
+// from config/mockFixtures.js instead of the network.
+//
+// Selected for every call with LLM_MOCK=true, or per request with a reserved
+// key: "mock", or "mock-<mode>" to inject a failure. Modes (also settable for
+// all calls with LLM_MOCK_ERROR): 401, 429, 500, timeout, malformed (invalid
+// JSON output). LLM_MOCK_LATENCY_MS delays every answer.
+class MockProvider extends OpenAIProvider {
+    static isEnabled() {
+        return process.env.LLM_MOCK === 'true';
+    }
+
+    static isMockKey(apiKey) {
+        return typeof apiKey === 'string' && MOCK_KEY_PATTERN.test(apiKey);
+    }
+
+    // Whether a call with this key should be answered by the mock
+    static handles(apiKey) {
+        return MockProvider.isEnabled() || MockProvider.isMockKey(apiKey);
+    }
+
+    get mode() {
+        const match = MOCK_KEY_PATTERN.exec(this.apiKey || '');
+        return (match && match[1]) || process.env.LLM_MOCK_ERROR || 'ok';
+    }
+
+    // Fixture for the current request's endpoint, else the first whose pattern
+    // matches the system prompt
+    selectFixture(messages) {
+        const { endpoint = '' } = getRequestContext();
+        const path = endpoint.split(' ').pop();
+        const system = messages.filter(msg => msg.role === 'system').map(msg => msg.content).join('\n');
+
+        const byEndpoint = fixtures.find(fixture => fixture.endpoint && (fixture.endpoint instanceof RegExp
+            ? fixture.endpoint.test(path)
+            : path.endsWith(fixture.endpoint)));
+
+        return byEndpoint ||
+            fixtures.find(fixture => fixture.pattern && fixture.pattern.test(system)) ||
+            fixtures.find(fixture => fixture.name === 'default');
+    }
+
+    buildContent(messages) {
+        const fixture = this.selectFixture(messages);
+        const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+        const content = typeof fixture.content === 'function'
+            ? fixture.content(lastUser ? lastUser.content : '')
+            : fixture.content;
+
+        // Cut the output short so it is no longer valid JSON (or complete text)
+        return this.mode === 'malformed' ? content.slice(0, Math.ceil(content.length / 2)) : content;
+    }
+
+    // Throw the axios-style error for the injected failure mode, if any
+    async simulate(signal) {
+        const latency = parseInt(process.env.LLM_MOCK_LATENCY_MS, 10);
+        await sleep(latency > 0 ? latency : 0, signal);
+
+        if (this.mode === 'timeout') {
+            const error = new Error(`timeout of ${this.timeout || 60000}ms exceeded (mock)`);
+            error.code = 'ECONNABORTED';
+            throw error;
+        }
+
+        const failure = ERROR_MODES[this.mode];
+        if (failure) {
+            const error = new Error(`Request failed with status code ${failure.status}`);
+            error.response = { status: failure.status, headers: {}, data: failure.data };
+            throw error;
+        }
+    }
+
+    usageFor(messages, content) {
+        const promptTokens = messages.reduce((total, msg) => total + estimateTokens(msg.content), 0);
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: estimateTokens(content),
+            total_tokens: promptTokens + estimateTokens(content)
+        };
+    }
+
+    async post(url, body, headers, signal) {
+        await this.simulate(signal);
+
+        const content = this.buildContent(body.messages);
+        return {
+            data: {
+                id: 'chatcmpl-mock',
+                object: 'chat.completion',
+                model: body.model,
+                choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+                usage: this.usageFor(body.messages, content)
+            }
+        };
+    }
+
+    // SSE body with the fixture split into word-sized deltas and a final usage chunk
+    async postStream(url, body) {
+        await this.simulate();
+
+        const content = this.buildContent(body.messages);
+        const chunk = (payload) => `data: ${JSON.stringify({ model: body.model, ...payload })}\n\n`;
+        const events = (content.match(/\S+\s*|\s+/g) || []).map(piece =>
+            chunk({ choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] })
+        );
+
+        events.push(chunk({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage: this.usageFor(body.messages, content) }));
+        events.push('data: [DONE]\n\n');
+
+        return { data: Readable.from(events) };
+    }
+}
+
+MockProvider.providerName = 'mock';
+MockProvider.defaultBaseURL = 'mock://local';
+MockProvider.defaultModel = 'mock-model';
+MockProvider.requiresApiKey = false;
+
+module.exports = MockProvider;
@@ -0,0 +1,10 @@
+const OpenAIProvider = require('./openaiProvider');
+
+// NVIDIA NIM adapter (OpenAI-compatible chat completions API)
+class NvidiaProvider extends OpenAIProvider {}
+
+NvidiaProvider.providerName = 'nvidia';
+NvidiaProvider.defaultBaseURL = 'https://integrate.api.nvidia.com/v1';
+NvidiaProvider.defaultModel = 'meta/llama-3.1-70b-instruct';
+
+module.exports = NvidiaProvider;
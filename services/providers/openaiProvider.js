@@ -0,0 +1,59 @@
+const BaseProvider = require('./baseProvider');
+
+// OpenAI Chat Completions adapter.
+// Also the base for every OpenAI-compatible API (NVIDIA, custom base URLs).
+class OpenAIProvider extends BaseProvider {
+    buildRequest(messages, params) {
+        const body = {
+            model: params.model,
+            messages: messages.map(msg => ({ role: msg.role, content: msg.content })),
+            stream: Boolean(params.stream)
+        };
+
+        if (params.stream) body.stream_options = { include_usage: true };
+
+        if (params.temperature !== undefined) body.temperature = params.temperature;
+        if (params.topP !== undefined) body.top_p = params.topP;
+        if (params.maxTokens !== undefined) body.max_tokens = Math.round(params.maxTokens);
+        if (params.frequencyPenalty !== undefined) body.frequency_penalty = params.frequencyPenalty;
+        if (params.presencePenalty !== undefined) body.presence_penalty = params.presencePenalty;
+        if (params.stop !== undefined) body.stop = params.stop;
+
+        return {
+            url: `${this.baseURL}/chat/completions`,
+            body,
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json'
+            }
+        };
+    }
+
+    parseResponse(data, model) {
+        const choice = data?.choices?.[0];
+        return {
+            content: choice?.message?.content || '',
+            finishReason: this.normalizeFinishReason(choice?.finish_reason),
+            usage: this.normalizeUsage(data?.usage?.prompt_tokens, data?.usage?.completion_tokens),
+            model: data?.model || model,
+            provider: this.name,
+            raw: data
+        };
+    }
+
+    parseStreamEvent(payload, state) {
+        const choice = payload.choices?.[0];
+        if (payload.model) state.model = payload.model;
+        if (choice?.finish_reason) state.finishReason = choice.finish_reason;
+        if (payload.usage) {
+            state.usage = this.normalizeUsage(payload.usage.prompt_tokens, payload.usage.completion_tokens);
+        }
+        return choice?.delta?.content || '';
+    }
+}
+
+OpenAIProvider.providerName = 'openai';
+OpenAIProvider.defaultBaseURL = 'https://api.openai.com/v1';
+OpenAIProvider.defaultModel = 'gpt-4';
+
+module.exports = OpenAIProvider;
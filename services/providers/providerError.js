@@ -0,0 +1,36 @@
+// Normalized error raised by every provider adapter.
+// `code` is one of the provider-agnostic codes below so callers never need to
+// know how a particular upstream API reports failures.
+const PROVIDER_ERROR_CODES = {
+    AUTHENTICATION: 'authentication_error',
+    QUOTA: 'insufficient_quota',
+    RATE_LIMIT: 'rate_limit_exceeded',
+    INVALID_REQUEST: 'invalid_request',
+    TIMEOUT: 'timeout',
+    NETWORK: 'network_error',
+    SERVER: 'server_error',
+    // Raised locally by the circuit breaker without calling the provider
+    CIRCUIT_OPEN: 'circuit_open',
+    // Raised in cassette replay mode for a request that was never recorded
+    CASSETTE_MISS: 'cassette_miss',
+    // The caller cancelled the request through its AbortSignal
+    ABORTED: 'aborted',
+    UNKNOWN: 'provider_error'
+};
+
+class ProviderError extends Error {
+    constructor(message, { provider, status = null, code = PROVIDER_ERROR_CODES.UNKNOWN, retryAfter = null, details = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.code = code;
+        this.retryAfter = retryAfter;
+        this.details = details;
+    }
+}
+
+module.exports = {
+    ProviderError,
+    PROVIDER_ERROR_CODES
+};
@@ -0,0 +1,50 @@
+// Read a Server-Sent Events byte stream and yield the `data` payload of each event.
+// Multi-line data fields are joined with newlines as the SSE spec requires.
+async function* readSSEData(stream) {
+    let buffer = '';
+
+    for await (const chunk of stream) {
+        buffer += chunk.toString('utf8');
+
+        let boundary = buffer.search(/\r?\n\r?\n/);
+        while (boundary !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+            const data = extractData(rawEvent);
+            if (data !== null) yield data;
+
+            boundary = buffer.search(/\r?\n\r?\n/);
+        }
+    }
+
+    const trailing = extractData(buffer);
+    if (trailing !== null) yield trailing;
+}
+
+function extractData(rawEvent) {
+    const lines = rawEvent
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''));
+
+    return lines.length > 0 ? lines.join('\n') : null;
+}
+
+// Collect a (small) error body returned on a streaming request
+async function readStreamBody(stream) {
+    let body = '';
+    for await (const chunk of stream) {
+        body += chunk.toString('utf8');
+    }
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        return body;
+    }
+}
+
+module.exports = {
+    readSSEData,
+    readStreamBody
+};
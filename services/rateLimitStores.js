@@ -0,0 +1,120 @@
+const { RateLimitCounter, mongoose } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Counter stores for services/rateLimiter.js. A store keeps one number per
+// key and fixed window, and must implement:
+//   increment(key, amount, windowMs) -> { total, resetAt }   add and return the new total
+//   get(key, windowMs)               -> { total, resetAt }   current total (0 if unused)
+// Windows are aligned to multiples of windowMs, so every instance sharing a
+// store agrees on when a window starts and resets.
+
+const windowOf = (windowMs, now = Date.now()) => {
+    const start = Math.floor(now / windowMs) * windowMs;
+    return { start, resetAt: new Date(start + windowMs) };
+};
+
+// Counters in process memory. Limits are per instance: with several
+// instances behind a load balancer each one grants the full budget.
+class MemoryRateLimitStore {
+    constructor() {
+        this.name = 'memory';
+        // `${key}:${windowStart}` -> { total, expiresAt }
+        this.counters = new Map();
+        this.nextPruneAt = 0;
+    }
+
+    async increment(key, amount, windowMs) {
+        const { start, resetAt } = windowOf(windowMs);
+        const id = `${key}:${start}`;
+        const counter = this.counters.get(id) || { total: 0, expiresAt: resetAt.getTime() };
+        counter.total += amount;
+        this.counters.set(id, counter);
+        this.prune();
+        return { total: counter.total, resetAt };
+    }
+
+    async get(key, windowMs) {
+        const { start, resetAt } = windowOf(windowMs);
+        const counter = this.counters.get(`${key}:${start}`);
+        return { total: counter ? counter.total : 0, resetAt };
+    }
+
+    // Drop counters of finished windows, at most once a minute
+    prune(now = Date.now()) {
+        if (now < this.nextPruneAt) return;
+        this.nextPruneAt = now + 60000;
+        this.counters.forEach((counter, id) => {
+            if (counter.expiresAt <= now) this.counters.delete(id);
+        });
+    }
+}
+
+// Counters in MongoDB, shared by every instance using the same database.
+// Documents expire through a TTL index once their window is over. While the
+// database is not connected, counting falls back to process memory.
+class MongoRateLimitStore {
+    constructor({ fallback = new MemoryRateLimitStore() } = {}) {
+        this.name = 'mongodb';
+        this.fallback = fallback;
+        this.warned = false;
+    }
+
+    isReady() {
+        if (mongoose.connection.readyState === 1) return true;
+        if (!this.warned) {
+            logger.warn('Rate limit store is using process memory until MongoDB is connected');
+            this.warned = true;
+        }
+        return false;
+    }
+
+    async increment(key, amount, windowMs) {
+        if (!this.isReady()) return this.fallback.increment(key, amount, windowMs);
+
+        const { start, resetAt } = windowOf(windowMs);
+        const update = () => RateLimitCounter.findOneAndUpdate(
+            { key: `${key}:${start}` },
+            { $inc: { total: amount }, $setOnInsert: { expiresAt: resetAt } },
+            { upsert: true, new: true, lean: true }
+        );
+
+        let counter;
+        try {
+            counter = await update();
+        } catch (error) {
+            // Two instances created the window's counter at the same time
+            if (error.code !== 11000) throw error;
+            counter = await update();
+        }
+        return { total: counter.total, resetAt };
+    }
+
+    async get(key, windowMs) {
+        if (!this.isReady()) return this.fallback.get(key, windowMs);
+
+        const { start, resetAt } = windowOf(windowMs);
+        const counter = await RateLimitCounter.findOne({ key: `${key}:${start}` }).lean();
+        return { total: counter ? counter.total : 0, resetAt };
+    }
+}
+
+const STORES = {
+    memory: MemoryRateLimitStore,
+    mongodb: MongoRateLimitStore
+};
+
+// Store named by RATE_LIMIT_STORE (memory or mongodb; default memory)
+function createRateLimitStore(name = process.env.RATE_LIMIT_STORE || 'memory') {
+    const Store = STORES[String(name).toLowerCase()];
+    if (!Store) {
+        logger.warn('Unknown RATE_LIMIT_STORE, using memory', { store: name });
+        return new MemoryRateLimitStore();
+    }
+    return new Store();
+}
+
+module.exports = {
+    MemoryRateLimitStore,
+    MongoRateLimitStore,
+    createRateLimitStore
+};
@@ -0,0 +1,220 @@
+const { createRateLimitStore } = require('./rateLimitStores');
+const { getRequestContext } = require('../utils/requestContext');
+const { createError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Request and token budgets per client (API token or IP address; see
+// middleware/rateLimit.js) and per workspace. Each tier has its own request
+// budget per window; generation routes also share a budget of LLM tokens,
+// counted from the usage the providers report. The workspace budgets are
+// shared by every token and user of the workspace, so issuing more tokens or
+// signing in again does not reset them. Environment variables override the defaults:
+//   RATE_LIMIT_WINDOW_MS                           length of the window for every tier
+//   RATE_LIMIT_MAX_REQUESTS                        standard requests per client and window
+//   RATE_LIMIT_GENERATION_MAX_REQUESTS             generation requests per client and window
+//   RATE_LIMIT_GENERATION_MAX_TOKENS               LLM tokens per client and window (0 disables the token budget)
+//   RATE_LIMIT_WORKSPACE_MAX_REQUESTS              standard requests per workspace and window
+//   RATE_LIMIT_WORKSPACE_GENERATION_MAX_REQUESTS   generation requests per workspace and window
+//   RATE_LIMIT_WORKSPACE_GENERATION_MAX_TOKENS     LLM tokens per workspace and window (0 disables)
+//   RATE_LIMIT_AUTH_MAX_FAILURES                   failed authentication attempts per IP address (and sign-ins per account) and window
+//   RATE_LIMIT_STORE                               memory (default) or mongodb, see rateLimitStores.js
+const DEFAULT_WINDOW_MS = 15 * 60 * 1000;
+const DEFAULT_MAX_AUTH_FAILURES = 10;
+
+const TIERS = {
+    standard: {
+        description: 'Reads and other requests that do not call a model',
+        maxRequests: 100,
+        workspaceMaxRequests: 300,
+        env: { maxRequests: 'RATE_LIMIT_MAX_REQUESTS', workspaceMaxRequests: 'RATE_LIMIT_WORKSPACE_MAX_REQUESTS' }
+    },
+    generation: {
+        description: 'Requests that call a model',
+        maxRequests: 20,
+        maxTokens: 100000,
+        workspaceMaxRequests: 60,
+        workspaceMaxTokens: 300000,
+        env: {
+            maxRequests: 'RATE_LIMIT_GENERATION_MAX_REQUESTS',
+            maxTokens: 'RATE_LIMIT_GENERATION_MAX_TOKENS',
+            workspaceMaxRequests: 'RATE_LIMIT_WORKSPACE_GENERATION_MAX_REQUESTS',
+            workspaceMaxTokens: 'RATE_LIMIT_WORKSPACE_GENERATION_MAX_TOKENS'
+        }
+    }
+};
+
+const envNumber = (name) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? undefined : value;
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const budget = (limit, total, resetAt) => ({
+    limit,
+    used: total,
+    remaining: Math.max(0, limit - total),
+    resetAt: resetAt.toISOString()
+});
+
+class RateLimiter {
+    constructor() {
+        this.store = null;
+    }
+
+    getStore() {
+        if (!this.store) this.store = createRateLimitStore();
+        return this.store;
+    }
+
+    setStore(store) {
+        this.store = store;
+    }
+
+    getWindowMs() {
+        return envNumber('RATE_LIMIT_WINDOW_MS') || DEFAULT_WINDOW_MS;
+    }
+
+    getTier(name) {
+        const { env, ...tier } = TIERS[name];
+        Object.entries(env).forEach(([field, variable]) => {
+            const value = envNumber(variable);
+            if (value !== undefined) tier[field] = value;
+        });
+        return { name, ...tier, windowMs: this.getWindowMs() };
+    }
+
+    getTiers() {
+        return Object.keys(TIERS).map(name => this.getTier(name));
+    }
+
+    // The counters a request is charged to: its client and, when it belongs
+    // to one, its workspace (`workspace:<slug>`)
+    budgetsOf(tier, client, workspace) {
+        const budgets = [{ key: client, maxRequests: tier.maxRequests, maxTokens: tier.maxTokens }];
+        if (workspace) {
+            budgets.push({ key: `workspace:${workspace}`, maxRequests: tier.workspaceMaxRequests, maxTokens: tier.workspaceMaxTokens, workspace: true });
+        }
+        return budgets;
+    }
+
+    // Count one request of `client` (and its `workspace`) in `tierName`.
+    // Resolves with the tighter request budget after counting it; throws a 429
+    // when a request or token budget is used up. A failing store lets the
+    // request through.
+    async consume(client, tierName, workspace = null) {
+        const tier = this.getTier(tierName);
+        const store = this.getStore();
+        const budgets = this.budgetsOf(tier, client, workspace);
+
+        let counted;
+        try {
+            for (const { key, maxTokens, workspace: shared } of budgets) {
+                if (!maxTokens) continue;
+                const tokens = await store.get(`${key}:tokens`, tier.windowMs);
+                if (tokens.total >= maxTokens) {
+                    throw createError(`Token limit reached for this ${shared ? 'workspace' : 'client'} and window, please try again later.`, 'TOKEN_LIMIT_EXCEEDED', 429, {
+                        tier: tier.name,
+                        retryAfter: secondsUntil(tokens.resetAt)
+                    });
+                }
+            }
+            counted = await Promise.all(budgets.map(({ key }) => store.increment(`${key}:${tier.name}:requests`, 1, tier.windowMs)));
+        } catch (error) {
+            if (error.status === 429) throw error;
+            logger.warn('Rate limit store failed, request allowed', { store: store.name, error });
+            return null;
+        }
+
+        const statuses = budgets.map(({ maxRequests }, index) => budget(maxRequests, counted[index].total, counted[index].resetAt));
+        const exceeded = budgets.findIndex(({ maxRequests }, index) => counted[index].total > maxRequests);
+        if (exceeded !== -1) {
+            throw createError(`Too many requests${budgets[exceeded].workspace ? ' from this workspace' : ''}, please try again later.`, 'TOO_MANY_REQUESTS', 429, {
+                tier: tier.name,
+                retryAfter: secondsUntil(counted[exceeded].resetAt)
+            });
+        }
+        return statuses.reduce((tightest, status) => (status.remaining < tightest.remaining ? status : tightest));
+    }
+
+    // Add the tokens of an LLM call to the budgets of the client and workspace
+    // making the current request. Never throws: accounting must not break generation.
+    async recordTokens(usage) {
+        const { rateLimitClient, rateLimitWorkspace } = getRequestContext();
+        const tokens = usage?.total_tokens || (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0);
+        if (!rateLimitClient || !tokens) return;
+
+        const keys = [rateLimitClient, ...(rateLimitWorkspace ? [`workspace:${rateLimitWorkspace}`] : [])];
+        try {
+            await Promise.all(keys.map(key => this.getStore().increment(`${key}:tokens`, tokens, this.getWindowMs())));
+        } catch (error) {
+            logger.warn('Failed to record tokens for rate limiting', { error });
+        }
+    }
+
+    getMaxAuthFailures() {
+        const value = envNumber('RATE_LIMIT_AUTH_MAX_FAILURES');
+        return value === undefined ? DEFAULT_MAX_AUTH_FAILURES : value;
+    }
+
+    // Throw a 429 when any of `keys` (e.g. `ip:<address>`) has used up its
+    // failed authentication attempts for the window. Checked before a
+    // credential is verified, so guessing stops even with a correct guess.
+    // A failing store lets the attempt through.
+    async assertAuthAttemptsLeft(keys) {
+        const windowMs = this.getWindowMs();
+        let failures;
+        try {
+            failures = await Promise.all(keys.map(key => this.getStore().get(`${key}:auth-failures`, windowMs)));
+        } catch (error) {
+            logger.warn('Rate limit store failed, authentication attempt allowed', { error });
+            return;
+        }
+
+        const blocked = failures.find(({ total }) => total >= this.getMaxAuthFailures());
+        if (blocked) {
+            throw createError('Too many failed authentication attempts, please try again later.', 'TOO_MANY_FAILED_ATTEMPTS', 429, {
+                retryAfter: secondsUntil(blocked.resetAt)
+            });
+        }
+    }
+
+    // Count a failed authentication attempt against each of `keys`. Never throws.
+    async recordAuthFailure(keys) {
+        try {
+            await Promise.all(keys.map(key => this.getStore().increment(`${key}:auth-failures`, 1, this.getWindowMs())));
+        } catch (error) {
+            logger.warn('Failed to record a failed authentication attempt', { error });
+        }
+    }
+
+    // Remaining allowance of `client` in every tier, and of its `workspace`
+    // (under `workspace` in each tier) when it has one
+    async getQuota(client, workspace = null) {
+        const store = this.getStore();
+        const tiers = {};
+
+        for (const tier of this.getTiers()) {
+            const [own, shared] = await Promise.all(this.budgetsOf(tier, client, workspace).map(async ({ key, maxRequests, maxTokens }) => {
+                const requests = await store.get(`${key}:${tier.name}:requests`, tier.windowMs);
+                const allowance = { requests: budget(maxRequests, requests.total, requests.resetAt) };
+                if (maxTokens) {
+                    const tokens = await store.get(`${key}:tokens`, tier.windowMs);
+                    allowance.tokens = budget(maxTokens, tokens.total, tokens.resetAt);
+                }
+                return allowance;
+            }));
+
+            tiers[tier.name] = {
+                description: tier.description,
+                windowMs: tier.windowMs,
+                ...own,
+                ...(shared ? { workspace: shared } : {})
+            };
+        }
+
+        return { store: store.name, tiers };
+    }
+}
+
+module.exports = new RateLimiter();
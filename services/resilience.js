@@ -0,0 +1,176 @@
+const { ProviderError, PROVIDER_ERROR_CODES } = require('./providers');
+const logger = require('../utils/logger');
+
+// Timeout, retry and circuit breaker policy for upstream LLM calls.
+// Defaults apply to every provider; PROVIDER_POLICIES adjusts individual
+// providers and environment variables override both:
+//   LLM_TIMEOUT_MS, LLM_TIMEOUT_MS_<PROVIDER>  request timeout
+//   LLM_MAX_RETRIES                            retries after the first attempt
+//   LLM_CIRCUIT_FAILURE_THRESHOLD              consecutive failures that open the circuit
+//   LLM_CIRCUIT_COOLDOWN_MS                    how long an open circuit fails fast
+const DEFAULT_POLICY = {
+    timeoutMs: 60000,
+    maxRetries: 2,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+    // A Retry-After longer than this is not waited out; the error is returned instead
+    maxRetryAfterMs: 30000,
+    failureThreshold: 5,
+    cooldownMs: 30000
+};
+
+const PROVIDER_POLICIES = {
+    // Self-hosted models are often slower to produce a full completion
+    custom: { timeoutMs: 120000 }
+};
+
+// Failures worth retrying: the same request may succeed shortly
+const RETRYABLE_CODES = [
+    PROVIDER_ERROR_CODES.RATE_LIMIT,
+    PROVIDER_ERROR_CODES.SERVER,
+    PROVIDER_ERROR_CODES.NETWORK
+];
+
+// Failures that suggest the provider itself is down (counted by the circuit breaker)
+const OUTAGE_CODES = [
+    PROVIDER_ERROR_CODES.SERVER,
+    PROVIDER_ERROR_CODES.NETWORK,
+    PROVIDER_ERROR_CODES.TIMEOUT
+];
+
+const envNumber = (name) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? undefined : value;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class ResilienceManager {
+    constructor() {
+        // provider -> { state: 'closed' | 'open' | 'half_open', failures, openedAt, probing }
+        this.circuits = new Map();
+    }
+
+    getPolicy(provider) {
+        const env = {
+            timeoutMs: envNumber(`LLM_TIMEOUT_MS_${String(provider).toUpperCase()}`) ?? envNumber('LLM_TIMEOUT_MS'),
+            maxRetries: envNumber('LLM_MAX_RETRIES'),
+            failureThreshold: envNumber('LLM_CIRCUIT_FAILURE_THRESHOLD'),
+            cooldownMs: envNumber('LLM_CIRCUIT_COOLDOWN_MS')
+        };
+        Object.keys(env).forEach(key => env[key] === undefined && delete env[key]);
+
+        return { ...DEFAULT_POLICY, ...(PROVIDER_POLICIES[provider] || {}), ...env };
+    }
+
+    getCircuit(provider) {
+        if (!this.circuits.has(provider)) {
+            this.circuits.set(provider, { state: 'closed', failures: 0, openedAt: null, probing: false });
+        }
+        return this.circuits.get(provider);
+    }
+
+    // Throw CIRCUIT_OPEN while the provider is failing; after the cooldown one
+    // trial request is let through (half-open) to test whether it recovered
+    assertAvailable(provider, policy) {
+        const circuit = this.getCircuit(provider);
+        if (circuit.state === 'closed') return;
+
+        const remaining = circuit.openedAt + policy.cooldownMs - Date.now();
+        if (circuit.state === 'open' && remaining <= 0) {
+            circuit.state = 'half_open';
+            circuit.probing = false;
+        }
+
+        if (circuit.state === 'half_open' && !circuit.probing) {
+            circuit.probing = true;
+            return;
+        }
+
+        throw new ProviderError(`${provider} is temporarily unavailable after repeated failures`, {
+            provider,
+            status: 503,
+            code: PROVIDER_ERROR_CODES.CIRCUIT_OPEN,
+            retryAfter: Math.max(remaining, 1000)
+        });
+    }
+
+    recordSuccess(provider) {
+        const circuit = this.getCircuit(provider);
+        if (circuit.state !== 'closed') {
+            logger.info('Circuit closed, provider recovered', { provider });
+        }
+        Object.assign(circuit, { state: 'closed', failures: 0, openedAt: null, probing: false });
+    }
+
+    recordFailure(provider, error, policy) {
+        if (error.code === PROVIDER_ERROR_CODES.ABORTED) {
+            // The caller gave up, which says nothing about the provider; an
+            // aborted trial request lets the next one through
+            this.getCircuit(provider).probing = false;
+            return;
+        }
+
+        if (!OUTAGE_CODES.includes(error.code)) {
+            // The provider answered; only the request was rejected
+            if (this.getCircuit(provider).state === 'half_open') this.recordSuccess(provider);
+            return;
+        }
+
+        const circuit = this.getCircuit(provider);
+        circuit.failures += 1;
+
+        if (circuit.state === 'half_open' || circuit.failures >= policy.failureThreshold) {
+            if (circuit.state !== 'open') {
+                logger.warn('Circuit opened, failing fast', { provider, failures: circuit.failures, cooldownMs: policy.cooldownMs });
+            }
+            Object.assign(circuit, { state: 'open', openedAt: Date.now(), probing: false });
+        }
+    }
+
+    // Milliseconds to wait before the next attempt, or null to stop retrying
+    retryDelay(error, attempt, policy) {
+        if (!RETRYABLE_CODES.includes(error.code) || attempt >= policy.maxRetries) return null;
+
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+            return error.retryAfter <= policy.maxRetryAfterMs ? error.retryAfter : null;
+        }
+
+        // Exponential backoff with full jitter
+        const ceiling = Math.min(policy.baseDelayMs * 2 ** attempt, policy.maxDelayMs);
+        return Math.round(Math.random() * ceiling);
+    }
+
+    // Run `attempt` under the provider's retry and circuit breaker policy
+    async execute(provider, policy, attempt) {
+        for (let attemptNumber = 0; ; attemptNumber++) {
+            this.assertAvailable(provider, policy);
+
+            try {
+                const result = await attempt();
+                this.recordSuccess(provider);
+                return result;
+            } catch (error) {
+                this.recordFailure(provider, error, policy);
+
+                // No point waiting for a retry the open circuit would reject
+                const delay = this.retryDelay(error, attemptNumber, policy);
+                if (delay === null || this.getCircuit(provider).state === 'open') throw error;
+
+                logger.warn('Provider request failed, retrying', { provider, code: error.code, delayMs: delay, attempt: attemptNumber + 2, maxAttempts: policy.maxRetries + 1 });
+                await sleep(delay);
+            }
+        }
+    }
+
+    // Circuit state per provider, for health checks
+    getStatus() {
+        const status = {};
+        this.circuits.forEach((circuit, provider) => {
+            status[provider] = { state: circuit.state, failures: circuit.failures };
+        });
+        return status;
+    }
+}
+
+module.exports = new ResilienceManager();
@@ -0,0 +1,148 @@
+const { UsageRecord, mongoose } = require('../config/database');
+const modelRegistry = require('./modelRegistry');
+const { getRequestContext } = require('../utils/requestContext');
+const { createError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Dimensions usage can be grouped by in reports
+const GROUP_FIELDS = {
+    day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+    endpoint: '$endpoint',
+    provider: '$provider',
+    model: '$model'
+};
+
+const EMPTY_TOTALS = {
+    requests: 0,
+    errors: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    maxTotalTokens: 0,
+    cost: 0,
+    avgLatencyMs: null
+};
+
+const roundCost = (cost) => Math.round(cost * 1000000) / 1000000;
+
+// Records every outbound LLM call (tokens, latency, estimated cost) against the
+// workspace and endpoint of the current request, and aggregates it for reporting.
+class UsageTracker {
+    isDatabaseReady() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    // Store one LLM call. Never throws: accounting must not break generation.
+    async record({ provider, model, usage, latencyMs, streamed = false, error = null }) {
+        if (!this.isDatabaseReady()) return;
+
+        const { workspace = 'default', endpoint, requestId } = getRequestContext();
+        const promptTokens = usage?.prompt_tokens || 0;
+        const completionTokens = usage?.completion_tokens || 0;
+
+        try {
+            await UsageRecord.create({
+                workspace,
+                endpoint,
+                requestId,
+                provider,
+                model,
+                promptTokens,
+                completionTokens,
+                totalTokens: usage?.total_tokens || promptTokens + completionTokens,
+                latencyMs,
+                cost: modelRegistry.estimateCost(provider, model, usage),
+                streamed,
+                status: error ? 'error' : 'success',
+                errorCode: error ? error.code || 'provider_error' : undefined
+            });
+        } catch (dbError) {
+            logger.warn('Failed to record LLM usage', { error: dbError });
+        }
+    }
+
+    assertDatabase() {
+        if (!this.isDatabaseReady()) {
+            throw createError('Usage reporting requires the database, which is not available.', 'DATABASE_UNAVAILABLE', 503);
+        }
+    }
+
+    buildMatch(workspace, { from, to, endpoint, model, requestId } = {}) {
+        const match = { workspace };
+        if (from || to) {
+            match.createdAt = {};
+            if (from) match.createdAt.$gte = from;
+            if (to) match.createdAt.$lte = to;
+        }
+        if (endpoint) match.endpoint = endpoint;
+        if (model) match.model = model;
+        if (requestId) match.requestId = requestId;
+        return match;
+    }
+
+    // Aggregate usage for a workspace.
+    // `groupBy` is a list of dimensions (day, endpoint, provider, model); an
+    // empty list returns only the totals.
+    async summarize(workspace, { groupBy = [], ...filters } = {}) {
+        this.assertDatabase();
+
+        const match = this.buildMatch(workspace, filters);
+        const metrics = {
+            requests: { $sum: 1 },
+            errors: { $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] } },
+            promptTokens: { $sum: '$promptTokens' },
+            completionTokens: { $sum: '$completionTokens' },
+            totalTokens: { $sum: '$totalTokens' },
+            maxTotalTokens: { $max: '$totalTokens' },
+            cost: { $sum: { $ifNull: ['$cost', 0] } },
+            avgLatencyMs: { $avg: '$latencyMs' }
+        };
+
+        const groupId = {};
+        groupBy.forEach(dimension => {
+            groupId[dimension] = GROUP_FIELDS[dimension];
+        });
+
+        const [totals] = await UsageRecord.aggregate([
+            { $match: match },
+            { $group: { _id: null, ...metrics } }
+        ]);
+
+        const groups = groupBy.length > 0
+            ? await UsageRecord.aggregate([
+                { $match: match },
+                { $group: { _id: groupId, ...metrics } },
+                { $sort: groupBy.includes('day') ? { '_id.day': 1, totalTokens: -1 } : { totalTokens: -1 } }
+            ])
+            : [];
+
+        const format = ({ _id, ...values }) => ({
+            ...values,
+            cost: roundCost(values.cost),
+            avgLatencyMs: values.avgLatencyMs === null ? null : Math.round(values.avgLatencyMs)
+        });
+
+        return {
+            totals: totals ? format(totals) : { ...EMPTY_TOTALS },
+            groups: groups.map(group => ({ ...group._id, ...format(group) }))
+        };
+    }
+
+    // Individual calls, newest first (or largest first with sort=tokens),
+    // for finding runaway prompts
+    async listRecords(workspace, { limit = 50, minTokens, sort = 'recent', ...filters } = {}) {
+        this.assertDatabase();
+
+        const match = this.buildMatch(workspace, filters);
+        if (minTokens) match.totalTokens = { $gte: minTokens };
+
+        const records = await UsageRecord.find(match)
+            .sort(sort === 'tokens' ? { totalTokens: -1, createdAt: -1 } : { createdAt: -1 })
+            .limit(limit)
+            .lean();
+
+        return records.map(({ _id, __v, ...record }) => ({ id: _id.toString(), ...record }));
+    }
+}
+
+module.exports = new UsageTracker();
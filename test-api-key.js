@@ -1,5 +1,5 @@
-const OpenAI = require('openai');
 require('dotenv').config();
+const { createProvider } = require('./services/providers');
 
 async function testApiKey() {
   const apiKey = process.env.NVIDIA_API_KEY;
@@ -13,28 +13,27 @@ async function testApiKey() {
     return;
   }
 
-  const openai = new OpenAI({
-    apiKey: apiKey,
-    baseURL: 'https://integrate.api.nvidia.com/v1',
-  });
+  const nvidia = createProvider('nvidia', { apiKey });
 
   try {
     console.log('🚀 Making test API call...');
     
-    const completion = await openai.chat.completions.create({
-      model: "nvidia/llama-3.3-nemotron-super-49b-v1",
+    const completion = await nvidia.chat({
       messages: [
         {
           role: "user",
           content: "Say 'Hello, API key is working!'"
         }
       ],
-      temperature: 0.1,
-      max_tokens: 50,
+      params: {
+        model: "nvidia/llama-3.3-nemotron-super-49b-v1",
+        temperature: 0.1,
+        maxTokens: 50
+      }
     });
 
     console.log('✅ API call successful!');
-    console.log('Response:', completion.choices[0]?.message?.content);
+    console.log('Response:', completion.content);
     console.log('Usage:', completion.usage);
     
   } catch (error) {
@@ -42,7 +41,6 @@ async function testApiKey() {
     console.log('Status:', error.status);
     console.log('Code:', error.code);
     console.log('Message:', error.message);
-    console.log('Type:', error.type);
     
     if (error.status === 401) {
       console.log('\n🔍 Troubleshooting 401 error:');
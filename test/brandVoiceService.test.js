@@ -0,0 +1,74 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const brandVoiceService = require('../services/brandVoiceService');
+
+const voice = (fields = {}) => ({
+  id: 'voice-1',
+  name: 'House style',
+  tone: [],
+  formality: 'neutral',
+  emojiPolicy: 'allowed',
+  bannedWords: [],
+  requiredPhrases: [],
+  samples: [],
+  ...fields
+});
+
+const rules = (check) => check.violations.map(violation => violation.rule);
+
+test('without a voice there is nothing to check', () => {
+  assert.equal(brandVoiceService.check('Anything goes', null), null);
+});
+
+test('text that follows the voice is compliant', () => {
+  const check = brandVoiceService.check('Thank you for visiting us.', voice({ requiredPhrases: ['thank you'] }));
+
+  assert.deepEqual(check, { brandVoice: { id: 'voice-1', name: 'House style' }, compliant: true, violations: [] });
+});
+
+test('banned words match whole words, ignoring case', () => {
+  const banned = voice({ bannedWords: ['cheap', 'no problem'] });
+
+  const check = brandVoiceService.check('No problem, our prices are CHEAP.', banned);
+  assert.equal(check.compliant, false);
+  assert.deepEqual(check.violations.map(violation => violation.term), ['cheap', 'no problem']);
+
+  assert.equal(brandVoiceService.check('Our cheapest option is popular.', banned).compliant, true);
+});
+
+test('required phrases ignore case and spacing', () => {
+  const required = voice({ requiredPhrases: ['See you soon'] });
+
+  assert.equal(brandVoiceService.check('We hope to see  you\nsoon!', required).compliant, true);
+
+  const check = brandVoiceService.check('Goodbye.', required);
+  assert.deepEqual(rules(check), ['required_phrase']);
+  assert.equal(check.violations[0].term, 'See you soon');
+});
+
+test('emoji are checked against the emoji policy', () => {
+  const text = 'Great to hear 😊 See you 👋 soon 🎉';
+
+  assert.deepEqual(rules(brandVoiceService.check(text, voice({ emojiPolicy: 'none' }))), ['emoji']);
+  assert.deepEqual(rules(brandVoiceService.check(text, voice({ emojiPolicy: 'sparing' }))), ['emoji']);
+  assert.equal(brandVoiceService.check('Great to hear 😊', voice({ emojiPolicy: 'sparing' })).compliant, true);
+  assert.equal(brandVoiceService.check(text, voice()).compliant, true);
+});
+
+test('a formal voice reports contractions', () => {
+  const check = brandVoiceService.check("We're sorry, it won't happen again. We're on it.", voice({ formality: 'formal' }));
+
+  assert.deepEqual(rules(check), ['formality']);
+  assert.match(check.violations[0].message, /we're, won't/);
+  assert.equal(brandVoiceService.check("We're on it.", voice({ formality: 'casual' })).compliant, true);
+});
+
+test('decorations at the start of lines are removed only when the voice limits emoji', () => {
+  const text = '🌟 Great service\n  ✨ Friendly staff 😊';
+
+  assert.equal(brandVoiceService.removeDecorations(text, voice({ emojiPolicy: 'none' })), 'Great service\n  Friendly staff 😊');
+  assert.equal(brandVoiceService.removeDecorations(text, voice()), text);
+  assert.equal(brandVoiceService.removeDecorations(text, null), text);
+});
@@ -0,0 +1,78 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatMessage } = require('../config/database');
+const chatSessionService = require('../services/chatSessionService');
+
+const session = { _id: 'session-1' };
+
+// Stub ChatMessage.find(...).sort(...).limit(...) with stored messages, newest first
+const storeMessages = (t, messages) => {
+  t.mock.method(ChatMessage, 'find', () => ({
+    sort: () => ({ limit: async () => messages })
+  }));
+};
+
+const message = (role, content, tokens) => ({ role, content, tokens });
+
+beforeEach(() => {
+  chatSessionService.historyTokenBudget = 100;
+});
+
+test('history is returned oldest first in the shape the LLM services expect', async (t) => {
+  storeMessages(t, [
+    message('assistant', 'Second answer', 10),
+    message('user', 'Second question', 10),
+    message('assistant', 'First answer', 10),
+    message('user', 'First question', 10)
+  ]);
+
+  const history = await chatSessionService.getHistory(session);
+
+  assert.deepEqual(history, [
+    { role: 'user', content: 'First question' },
+    { role: 'assistant', content: 'First answer' },
+    { role: 'user', content: 'Second question' },
+    { role: 'assistant', content: 'Second answer' }
+  ]);
+});
+
+test('older messages beyond the token budget are dropped', async (t) => {
+  storeMessages(t, [
+    message('assistant', 'Newest', 40),
+    message('user', 'Newer', 40),
+    message('assistant', 'Older', 40),
+    message('user', 'Oldest', 10)
+  ]);
+
+  const history = await chatSessionService.getHistory(session);
+
+  // 40 + 40 fit in 100; adding the next 40 would not, and trimming stops there
+  assert.deepEqual(history.map(entry => entry.content), ['Newer', 'Newest']);
+});
+
+test('the newest message is kept even when it alone exceeds the budget', async (t) => {
+  storeMessages(t, [
+    message('assistant', 'A very long answer', 500),
+    message('user', 'Question', 5)
+  ]);
+
+  const history = await chatSessionService.getHistory(session);
+
+  assert.deepEqual(history.map(entry => entry.content), ['A very long answer']);
+});
+
+test('messages without a token count are estimated from their length', async (t) => {
+  chatSessionService.historyTokenBudget = 30;
+  storeMessages(t, [
+    message('assistant', 'x'.repeat(80)),
+    message('user', 'y'.repeat(80)),
+    message('assistant', 'z'.repeat(8))
+  ]);
+
+  const history = await chatSessionService.getHistory(session);
+
+  // ~4 characters per token: 20 + 20 tokens is over the budget of 30
+  assert.deepEqual(history.map(entry => entry.content), ['x'.repeat(80)]);
+});
@@ -0,0 +1,99 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const evaluationService = require('../services/evaluationService');
+
+const assertion = (value, passed) => ({ type: 'contains', value, passed });
+
+const result = (id, status, assertions, qualityScore = 0.7) => ({ id, status, qualityScore, assertions });
+
+const run = (name, results, summary = {}) => ({
+  id: name,
+  name,
+  dataset: 'review_generation',
+  summary: { passRate: 0.5, assertionPassRate: 0.5, avgQualityScore: 0.7, avgLatencyMs: 100, totalTokens: 1000, ...summary },
+  results
+});
+
+const caseOf = (comparison, id) => comparison.cases.find(entry => entry.id === id);
+
+test('a case whose status drops is a regression', () => {
+  const comparison = evaluationService.compareRuns(
+    run('base', [result('a', 'passed', [assertion('pasta', true)])]),
+    run('candidate', [result('a', 'error', [])])
+  );
+
+  assert.equal(caseOf(comparison, 'a').change, 'regressed');
+  assert.equal(comparison.regressions, 1);
+  assert.equal(comparison.regressed, true);
+});
+
+test('newly failed assertions are listed and outweigh newly passed ones', () => {
+  const comparison = evaluationService.compareRuns(
+    run('base', [result('a', 'failed', [assertion('pasta', true), assertion('staff', true), assertion('wine', false)])]),
+    run('candidate', [result('a', 'failed', [assertion('pasta', false), assertion('staff', false), assertion('wine', true)])])
+  );
+
+  const entry = caseOf(comparison, 'a');
+  assert.equal(entry.change, 'regressed');
+  assert.deepEqual(entry.newlyFailed, [{ type: 'contains', value: 'pasta' }, { type: 'contains', value: 'staff' }]);
+});
+
+test('quality score changes only count beyond the tolerance', () => {
+  const comparison = evaluationService.compareRuns(
+    run('base', [result('small', 'passed', [], 0.70), result('large', 'passed', [], 0.70)]),
+    run('candidate', [result('small', 'passed', [], 0.72), result('large', 'passed', [], 0.80)])
+  );
+
+  assert.equal(caseOf(comparison, 'small').change, 'unchanged');
+  assert.equal(caseOf(comparison, 'large').change, 'improved');
+  assert.equal(caseOf(comparison, 'large').qualityDelta, 0.1);
+  assert.equal(comparison.regressed, false);
+});
+
+test('cases present in only one run are reported as added or removed', () => {
+  const comparison = evaluationService.compareRuns(
+    run('base', [result('kept', 'passed', []), result('dropped', 'passed', [])]),
+    run('candidate', [result('kept', 'passed', []), result('new', 'failed', [])])
+  );
+
+  assert.equal(caseOf(comparison, 'dropped').change, 'removed');
+  assert.equal(caseOf(comparison, 'new').change, 'added');
+  assert.equal(comparison.added, 1);
+  assert.equal(comparison.removed, 1);
+});
+
+test('summary deltas are candidate minus base', () => {
+  const comparison = evaluationService.compareRuns(
+    run('base', [], { passRate: 0.5, totalTokens: 1000 }),
+    run('candidate', [], { passRate: 0.75, totalTokens: 800, avgQualityScore: null })
+  );
+
+  assert.equal(comparison.deltas.passRate, 0.25);
+  assert.equal(comparison.deltas.totalTokens, -200);
+  assert.equal(comparison.deltas.avgQualityScore, null);
+});
+
+test('a dataset run with the mock provider compares as unchanged against itself', async () => {
+  const dataset = evaluationService.loadDataset('review_generation');
+  const caseIds = dataset.cases.slice(0, 2).map(testCase => testCase.id);
+
+  const first = await evaluationService.runDataset('review_generation', { apiKey: 'mock', caseIds });
+  const second = await evaluationService.runDataset('review_generation', { apiKey: 'mock', caseIds });
+
+  assert.equal(first.summary.cases, 2);
+  assert.ok(first.results.every(entry => ['passed', 'failed'].includes(entry.status)));
+
+  const comparison = evaluationService.compareRuns(first, second);
+  assert.equal(comparison.unchanged, 2);
+  assert.equal(comparison.regressed, false);
+});
+
+test('a run of more cases than maxCases is rejected', async () => {
+  await assert.rejects(evaluationService.runDataset('review_generation', { apiKey: 'mock', maxCases: 1 }), (error) => {
+    assert.equal(error.code, 'EVAL_TOO_MANY_CASES');
+    assert.equal(error.status, 400);
+    return true;
+  });
+});
@@ -0,0 +1,127 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const rateLimiter = require('../services/rateLimiter');
+const { MemoryRateLimitStore } = require('../services/rateLimitStores');
+const { runWithRequestContext } = require('../utils/requestContext');
+
+const WINDOW_MS = 60000;
+const ENV = {
+  RATE_LIMIT_WINDOW_MS: String(WINDOW_MS),
+  RATE_LIMIT_MAX_REQUESTS: '3',
+  RATE_LIMIT_WORKSPACE_MAX_REQUESTS: '5',
+  RATE_LIMIT_GENERATION_MAX_REQUESTS: '10',
+  RATE_LIMIT_GENERATION_MAX_TOKENS: '1000',
+  RATE_LIMIT_WORKSPACE_GENERATION_MAX_TOKENS: '0',
+  RATE_LIMIT_AUTH_MAX_FAILURES: '2'
+};
+
+let saved;
+let now;
+
+beforeEach((t) => {
+  saved = Object.fromEntries(Object.keys(ENV).map(name => [name, process.env[name]]));
+  Object.assign(process.env, ENV);
+  rateLimiter.setStore(new MemoryRateLimitStore());
+
+  // Start of a window, so the test decides when it ends
+  now = Math.ceil(Date.now() / WINDOW_MS) * WINDOW_MS;
+  t.mock.method(Date, 'now', () => now);
+});
+
+afterEach(() => {
+  Object.entries(saved).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+});
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (error) => {
+  assert.equal(error.code, code);
+  assert.equal(error.status, 429);
+  return true;
+});
+
+test('requests over the budget of a window are rejected until the next window', async () => {
+  for (let i = 1; i <= 3; i++) {
+    const status = await rateLimiter.consume('token:a', 'standard');
+    assert.equal(status.remaining, 3 - i);
+  }
+
+  await rejectsWith(rateLimiter.consume('token:a', 'standard'), 'TOO_MANY_REQUESTS');
+
+  now += WINDOW_MS - 1;
+  await rejectsWith(rateLimiter.consume('token:a', 'standard'), 'TOO_MANY_REQUESTS');
+
+  now += 1;
+  const status = await rateLimiter.consume('token:a', 'standard');
+  assert.equal(status.remaining, 2);
+});
+
+test('the 429 says how long until the window resets', async () => {
+  for (let i = 0; i < 3; i++) await rateLimiter.consume('token:a', 'standard');
+  now += 15000;
+
+  await assert.rejects(rateLimiter.consume('token:a', 'standard'), (error) => {
+    assert.equal(error.retryAfter, 45);
+    return true;
+  });
+});
+
+test('clients and tiers are counted separately', async () => {
+  for (let i = 0; i < 3; i++) await rateLimiter.consume('token:a', 'standard');
+
+  await rateLimiter.consume('token:b', 'standard');
+  await rateLimiter.consume('token:a', 'generation');
+});
+
+test('the workspace budget is shared by all its clients', async () => {
+  await rateLimiter.consume('token:a', 'standard', 'acme');
+  await rateLimiter.consume('token:a', 'standard', 'acme');
+  await rateLimiter.consume('token:b', 'standard', 'acme');
+  await rateLimiter.consume('token:b', 'standard', 'acme');
+  await rateLimiter.consume('token:c', 'standard', 'acme');
+
+  await assert.rejects(rateLimiter.consume('token:c', 'standard', 'acme'), (error) => {
+    assert.equal(error.code, 'TOO_MANY_REQUESTS');
+    assert.match(error.message, /workspace/);
+    return true;
+  });
+  await rateLimiter.consume('token:c', 'standard', 'other');
+});
+
+test('reported LLM tokens use up the generation token budget for the window', async () => {
+  await runWithRequestContext({ rateLimitClient: 'token:a' }, async () => {
+    await rateLimiter.consume('token:a', 'generation');
+    await rateLimiter.recordTokens({ prompt_tokens: 600, completion_tokens: 400 });
+  });
+
+  await rejectsWith(rateLimiter.consume('token:a', 'generation'), 'TOKEN_LIMIT_EXCEEDED');
+  await rateLimiter.consume('token:a', 'standard');
+
+  now += WINDOW_MS;
+  await rateLimiter.consume('token:a', 'generation');
+});
+
+test('failed authentication attempts are limited per window', async () => {
+  const keys = ['ip:127.0.0.1'];
+  await rateLimiter.assertAuthAttemptsLeft(keys);
+  await rateLimiter.recordAuthFailure(keys);
+  await rateLimiter.recordAuthFailure(keys);
+
+  await rejectsWith(rateLimiter.assertAuthAttemptsLeft(keys), 'TOO_MANY_FAILED_ATTEMPTS');
+
+  now += WINDOW_MS;
+  await rateLimiter.assertAuthAttemptsLeft(keys);
+});
+
+test('a failing store lets requests through', async () => {
+  rateLimiter.setStore({
+    name: 'broken',
+    increment: async () => { throw new Error('store down'); },
+    get: async () => { throw new Error('store down'); }
+  });
+
+  assert.equal(await rateLimiter.consume('token:a', 'generation'), null);
+});
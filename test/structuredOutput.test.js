@@ -0,0 +1,78 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStructuredOutput } = require('../utils/structuredOutput');
+const outputSchemas = require('../config/outputSchemas');
+const llamaService = require('../services/llamaService');
+const llmClient = require('../services/llmClient');
+const MockProvider = require('../services/providers/mockProvider');
+
+const TRANSCRIPT = 'The staff were friendly and the food came out fast';
+
+test('parseStructuredOutput reads JSON wrapped in a code fence with comments and trailing commas', () => {
+  const text = 'Here is the analysis:\n```json\n{\n  "sentiment": "positive", // overall\n  "summary": "Great visit",\n}\n```';
+  const parsed = parseStructuredOutput(text, outputSchemas.voiceAnalysis);
+
+  assert.equal(parsed.status, 'ok');
+  assert.equal(parsed.data.sentiment, 'positive');
+  assert.deepEqual(parsed.data.keyPoints, []);
+});
+
+test('parseStructuredOutput coerces values of the wrong type and reports it', () => {
+  const parsed = parseStructuredOutput('{"sentiment": "positive", "summary": "Fine", "confidence": "0.9"}', outputSchemas.voiceAnalysis);
+
+  assert.equal(parsed.status, 'coerced');
+  assert.equal(parsed.data.confidence, 0.9);
+  assert.ok(parsed.notes.length > 0);
+});
+
+test('parseStructuredOutput fails without JSON or without required fields', () => {
+  assert.equal(parseStructuredOutput('no json here', outputSchemas.voiceAnalysis).status, 'failed');
+
+  const missing = parseStructuredOutput('{"sentiment": "positive"}', outputSchemas.voiceAnalysis);
+  assert.equal(missing.status, 'failed');
+  assert.ok(missing.errors.some(error => error.includes('summary')));
+});
+
+test('valid mock output is used without a repair call', async (t) => {
+  const chat = t.mock.method(llmClient, 'chat');
+  const result = await llamaService.analyzeVoiceInput(TRANSCRIPT, 'mock');
+
+  assert.equal(result.parseStatus, 'ok');
+  assert.equal(result.analysis.sentiment, 'positive');
+  assert.equal(chat.mock.callCount(), 1);
+});
+
+test('malformed output is repaired by a second call', async (t) => {
+  const buildContent = MockProvider.prototype.buildContent;
+  let calls = 0;
+  t.mock.method(MockProvider.prototype, 'buildContent', function (messages) {
+    const content = buildContent.call(this, messages);
+    calls += 1;
+    return calls === 1 ? content.slice(0, Math.ceil(content.length / 2)) : content;
+  });
+  const chat = t.mock.method(llmClient, 'chat');
+
+  const result = await llamaService.analyzeVoiceInput(TRANSCRIPT, 'mock');
+
+  assert.equal(result.parseStatus, 'repaired');
+  assert.equal(result.analysis.sentiment, 'positive');
+  assert.equal(chat.mock.callCount(), 2);
+  // The repair request carries the broken output and the parse errors
+  const repairMessages = chat.mock.calls[1].arguments[0].messages;
+  assert.equal(repairMessages[repairMessages.length - 2].role, 'assistant');
+  assert.equal(repairMessages[repairMessages.length - 1].role, 'user');
+});
+
+test('output that is still malformed after the repair fails with INVALID_MODEL_OUTPUT', async (t) => {
+  const chat = t.mock.method(llmClient, 'chat');
+
+  await assert.rejects(llamaService.analyzeVoiceInput(TRANSCRIPT, 'mock-malformed'), (error) => {
+    assert.equal(error.code, 'INVALID_MODEL_OUTPUT');
+    assert.equal(error.status, 502);
+    assert.ok(error.parseErrors.length > 0);
+    return true;
+  });
+  assert.equal(chat.mock.callCount(), 2);
+});
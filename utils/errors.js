@@ -0,0 +1,159 @@
+// Error types for the API and the single mapping from any thrown value to the
+// JSON error envelope sent by middleware/errorHandler.js:
+//   { success: false, error, code, requestId, ...fields, details? }
+// Services and middleware throw (or pass to next) an AppError subclass; routes
+// pass whatever they catch through toAppError() with their fallback message
+// and code so unexpected failures still get a route-specific code.
+
+const { mapProviderError } = require('./providerErrors');
+
+// Extra properties of an error that are part of its response body
+const ENVELOPE_FIELDS = ['errors', 'problems', 'parseStatus', 'parseErrors', 'retryAfter', 'attempts', 'availableModels', 'tier'];
+
+class AppError extends Error {
+    constructor(message, { code = 'INTERNAL_ERROR', status = 500, cause, ...fields } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.status = status;
+        if (cause) this.cause = cause;
+        Object.assign(this, fields);
+    }
+}
+
+// 400: the request is malformed. `errors` lists failing fields when known.
+class ValidationError extends AppError {
+    constructor(message, { code = 'INVALID_INPUT', ...fields } = {}) {
+        super(message, { code, status: 400, ...fields });
+    }
+}
+
+// 401: the bearer token is missing or invalid, or the provider rejected the credential
+class AuthenticationError extends AppError {
+    constructor(message, { code = 'INVALID_API_KEY', ...fields } = {}) {
+        super(message, { code, status: 401, ...fields });
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message, { code = 'FORBIDDEN', ...fields } = {}) {
+        super(message, { code, status: 403, ...fields });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message, { code = 'NOT_FOUND', ...fields } = {}) {
+        super(message, { code, status: 404, ...fields });
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message, { code = 'CONFLICT', ...fields } = {}) {
+        super(message, { code, status: 409, ...fields });
+    }
+}
+
+// 503: a dependency (database, vault, admin key) is not configured or reachable
+class ServiceUnavailableError extends AppError {
+    constructor(message, { code = 'SERVICE_UNAVAILABLE', ...fields } = {}) {
+        super(message, { code, status: 503, ...fields });
+    }
+}
+
+// Provider failure mapped by utils/providerErrors.js (429, 502, 503, 504)
+class UpstreamError extends AppError {}
+
+// 502: the model's JSON could not be parsed or repaired
+class InvalidModelOutputError extends AppError {
+    constructor({ parseErrors, usage } = {}) {
+        super('The model did not return valid structured output, even after a repair attempt.', {
+            code: 'INVALID_MODEL_OUTPUT',
+            status: 502,
+            parseStatus: 'failed',
+            parseErrors,
+            usage
+        });
+    }
+}
+
+const STATUS_CLASSES = {
+    400: ValidationError,
+    401: AuthenticationError,
+    403: ForbiddenError,
+    404: NotFoundError,
+    409: ConflictError,
+    503: ServiceUnavailableError
+};
+
+// Typed error for a status and code, e.g. createError('Chat session not found', 'SESSION_NOT_FOUND', 404)
+function createError(message, code, status, fields = {}) {
+    const ErrorClass = STATUS_CLASSES[status];
+    return ErrorClass
+        ? new ErrorClass(message, { code, ...fields })
+        : new AppError(message, { code, status, ...fields });
+}
+
+// The AppError for a known failure: an AppError, a provider failure (keeping
+// its status and code) or an express.json() error (400/413). Null otherwise.
+function classifyError(error) {
+    if (error instanceof AppError) return error;
+
+    const provider = mapProviderError(error);
+    if (provider) {
+        const { error: message, code, status, retryAfter, attempts } = provider;
+        return status === 401
+            ? new AuthenticationError(message, { code, retryAfter, attempts, cause: error })
+            : new UpstreamError(message, { code, status, retryAfter, attempts, cause: error });
+    }
+
+    if (error && error.type === 'entity.parse.failed') {
+        return new ValidationError('Request body is not valid JSON', { code: 'INVALID_JSON', cause: error });
+    }
+    if (error && error.type === 'entity.too.large') {
+        return new AppError('Request body is too large', { code: 'PAYLOAD_TOO_LARGE', status: 413, cause: error });
+    }
+
+    return null;
+}
+
+// Convert anything thrown into an AppError; unknown failures become a 500
+// with `fallbackMessage` and `fallbackCode`
+function toAppError(error, fallbackMessage = 'Internal server error', fallbackCode = 'INTERNAL_ERROR') {
+    return classifyError(error) || new AppError(fallbackMessage, { code: fallbackCode, status: 500, cause: error });
+}
+
+// JSON body for an AppError. Server-side causes are only described in development.
+function errorEnvelope(error, requestId) {
+    const body = {
+        success: false,
+        error: error.message,
+        code: error.code,
+        requestId
+    };
+
+    ENVELOPE_FIELDS.forEach(field => {
+        if (error[field] !== undefined && error[field] !== null) body[field] = error[field];
+    });
+
+    if (error.status >= 500 && error.cause && process.env.NODE_ENV === 'development') {
+        body.details = error.cause.message || String(error.cause);
+    }
+
+    return body;
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    ServiceUnavailableError,
+    UpstreamError,
+    InvalidModelOutputError,
+    createError,
+    classifyError,
+    toAppError,
+    errorEnvelope
+};
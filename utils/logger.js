@@ -0,0 +1,126 @@
+const { getRequestContext } = require('./requestContext');
+
+// Structured JSON logging. Every entry is one line:
+//   {"time":"...","level":"info","msg":"...","requestId":"...","workspace":"...",...fields}
+// requestId and workspace come from the request context, so services log with
+// the id of the request they serve without it being passed in.
+//
+// LOG_LEVEL (debug, info, warn, error, silent; default info) drops entries
+// below that level. Credentials are always redacted; user and model text
+// (transcripts, reviews, prompts, responses) is redacted from entries at or
+// above LOG_REDACT_LEVEL (default debug, i.e. always). Set LOG_REDACT_LEVEL=info
+// to see that text in debug entries while investigating a problem locally.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names holding credentials, compared in lower case without "-" or "_"
+// (apiKey, x-api-key, authorization, adminKey, idToken, ...)
+const SECRET_FIELD = /(apikey|secret|password|passphrase|authorization|cookie|token|adminkey|masterkey)$/;
+
+// Credentials that can appear inside free text such as error messages
+const SECRET_PATTERNS = [
+    /\bBearer\s+[A-Za-z0-9._~+/=-]+/gi,
+    /\b(?:nvapi-|sk-|AIza)[A-Za-z0-9_-]{16,}/g
+];
+
+// Fields holding user or model text
+const CONTENT_FIELDS = new Set([
+    'transcript', 'review', 'text', 'prompt', 'content', 'messages', 'body',
+    'response', 'aiResponse', 'conversationHistory', 'history',
+    'userText', 'assistantText', 'blogPost'
+]);
+
+const MAX_DEPTH = 6;
+
+const levelOf = (name, fallback) => LEVELS[String(name || '').toLowerCase()] ?? LEVELS[fallback];
+
+const isSecretField = (key) => SECRET_FIELD.test(key.toLowerCase().replace(/[-_]/g, ''));
+
+function scrubText(value) {
+    return SECRET_PATTERNS.reduce((text, pattern) => text.replace(pattern, '[REDACTED]'), value);
+}
+
+function redactContent(value) {
+    return typeof value === 'string' ? `[REDACTED ${value.length} chars]` : '[REDACTED]';
+}
+
+function serializeError(error, options, depth) {
+    const serialized = {
+        name: error.name,
+        message: scrubText(error.message || ''),
+        code: error.code,
+        status: error.status
+    };
+    if (options.stack && error.stack) serialized.stack = scrubText(error.stack);
+    if (error.cause && depth < MAX_DEPTH) serialized.cause = redact(error.cause, options, depth + 1);
+    return serialized;
+}
+
+// Copy of `value` that is safe to log: credentials replaced, user and model
+// text replaced when `options.content` is set, errors reduced to name, message,
+// code, status (and stack when `options.stack` is set)
+function redact(value, options = { content: true }, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') return scrubText(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof Error) return serializeError(value, options, depth);
+    if (depth >= MAX_DEPTH || seen.has(value)) return '[Truncated]';
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, options, depth + 1, seen));
+    }
+
+    const result = {};
+    Object.entries(value).forEach(([key, field]) => {
+        if (field === undefined) return;
+        if (isSecretField(key)) {
+            result[key] = '[REDACTED]';
+        } else if (options.content && CONTENT_FIELDS.has(key)) {
+            result[key] = redactContent(field);
+        } else {
+            result[key] = redact(field, options, depth + 1, seen);
+        }
+    });
+    return result;
+}
+
+function isEnabled(level) {
+    return LEVELS[level] >= levelOf(process.env.LOG_LEVEL, 'info');
+}
+
+function write(level, message, fields = {}) {
+    if (!isEnabled(level)) return;
+
+    const { requestId, workspace } = getRequestContext();
+    const options = {
+        content: LEVELS[level] >= levelOf(process.env.LOG_REDACT_LEVEL, 'debug'),
+        stack: LEVELS[level] >= LEVELS.error
+    };
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: scrubText(String(message)),
+        requestId,
+        workspace,
+        ...redact(fields, options)
+    };
+
+    const line = JSON.stringify(entry) + '\n';
+    if (LEVELS[level] >= LEVELS.warn) {
+        process.stderr.write(line);
+    } else {
+        process.stdout.write(line);
+    }
+}
+
+module.exports = {
+    LEVELS,
+    isEnabled,
+    redact,
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
@@ -0,0 +1,400 @@
+// Build the OpenAPI 3 document for the Express app.
+// Operations are discovered from the app's router stack, so the document
+// lists exactly the routes that are mounted. Request bodies and query
+// parameters come from the validate() middleware schemas
+// (config/requestSchemas.js), credential fields
+// from resolveApiKey / resolveCredentialMap, `businessId` from resolveBusiness, required scopes from requireScope
+// and requireServerAdmin, signed-in users from requireUser, public routes from
+// middleware/auth.js, rate limit errors from the route's tier (middleware/rateLimit.js); summaries, responses and route-specific error codes from config/apiDocs.js.
+
+const { PUBLIC_PATHS, requireUser, requireServerAdmin } = require('../middleware/auth');
+const { resolveCredentialMap } = require('../middleware/credentials');
+const { resolveBusiness } = require('../middleware/business');
+const { GENERATION_ROUTES } = require('../middleware/rateLimit');
+const { MAX_TEXT_LENGTH } = require('../config/requestSchemas');
+const { ERROR_CODES, PROVIDER_ERRORS, CREDENTIAL_MAP_ERRORS, BUSINESS_ERRORS, AUTH_ERRORS, SCOPE_ERRORS, USER_ERRORS, ADMIN_ERRORS, RATE_LIMIT_ERRORS, GENERATION_LIMIT_ERRORS, OPERATIONS } = require('../config/apiDocs');
+const { version } = require('../package.json');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['success', 'error', 'code', 'requestId'],
+    properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string', description: 'Human-readable message' },
+        code: { type: 'string', description: 'Machine-readable error code (see the table above)' },
+        requestId: { type: 'string', description: 'Id of the request, for matching server logs' },
+        errors: {
+            type: 'array',
+            description: 'Every failing field (validation errors only)',
+            items: {
+                type: 'object',
+                properties: {
+                    field: { type: 'string' },
+                    message: { type: 'string' },
+                    code: { type: 'string' }
+                }
+            }
+        },
+        problems: { type: 'array', items: { type: 'string' }, description: 'Configuration problems (registry, templates, datasets)' },
+        retryAfter: { type: 'number', description: 'Seconds to wait before retrying; also sent as Retry-After' },
+        attempts: { type: 'number', description: 'Provider calls made before giving up (provider errors)' },
+        tier: { type: 'string', enum: ['standard', 'generation'], description: 'Rate limit tier whose budget is used up (429 only)' },
+        availableModels: { type: 'array', items: { type: 'string' }, description: 'Model registry keys (UNKNOWN_MODEL only)' },
+        parseStatus: { type: 'string', enum: ['failed'], description: 'Structured output parse result (INVALID_MODEL_OUTPUT only)' },
+        parseErrors: { type: 'array', items: { type: 'string' }, description: 'Why the model output could not be parsed (INVALID_MODEL_OUTPUT only)' },
+        details: { type: 'string', description: 'Error detail (development only)' }
+    }
+};
+
+// Join description sentences, e.g. ('User message', 'Trimmed.') -> 'User message. Trimmed.'
+const describe = (...parts) => parts.filter(Boolean).map(part => (/[.!?]$/.test(part) ? part : `${part}.`)).join(' ') || undefined;
+
+// Convert a request schema (utils/requestValidation.js format) to an OpenAPI schema
+function toOpenApiSchema(schema = {}) {
+    const types = [].concat(schema.type || []);
+    if (types.length > 1) {
+        return {
+            description: schema.description,
+            nullable: schema.nullable || undefined,
+            oneOf: types.map(type => toOpenApiSchema({ ...schema, type, description: undefined, nullable: undefined }))
+        };
+    }
+
+    const [type] = types;
+    const result = {
+        type: type === 'number' && schema.integer ? 'integer' : type,
+        format: schema.format,
+        description: describe(
+            schema.description,
+            schema.sanitize && 'Trimmed; angle brackets are removed.',
+            schema.maxLengthCode && `Longer values are rejected with ${schema.maxLengthCode}.`,
+            schema.enum && type === 'string' && 'Case-insensitive.'
+        ),
+        nullable: schema.nullable || undefined,
+        default: schema.default,
+        enum: schema.enum,
+        minLength: schema.minLength,
+        maxLength: schema.maxLength,
+        minimum: schema.minimum,
+        maximum: schema.maximum,
+        minItems: schema.minItems,
+        maxItems: schema.maxItems,
+        minProperties: schema.minProperties,
+        additionalProperties: schema.additionalProperties,
+        items: schema.items ? toOpenApiSchema(schema.items) : undefined
+    };
+
+    if (schema.properties) {
+        result.properties = {};
+        const required = [];
+
+        Object.entries(schema.properties).forEach(([key, property]) => {
+            if (!property.alias) {
+                result.properties[key] = toOpenApiSchema(property);
+                if (property.required && property.default === undefined) required.push(key);
+                return;
+            }
+
+            // Either name is accepted; neither is required on its own
+            result.properties[key] = toOpenApiSchema({
+                ...property,
+                description: describe(property.description, property.required && `Required unless \`${property.alias}\` is sent.`)
+            });
+            result.properties[property.alias] = toOpenApiSchema({ ...property, description: `Alias of \`${key}\`` });
+        });
+
+        if (required.length > 0) result.required = required;
+    }
+
+    return JSON.parse(JSON.stringify(result));
+}
+
+// Error codes set by code or maxLengthCode anywhere in a schema
+function schemaErrorCodes(schema) {
+    if (!schema || typeof schema !== 'object') return [];
+    return [
+        ...(schema.code ? [schema.code] : []),
+        ...(schema.maxLengthCode ? [schema.maxLengthCode] : []),
+        ...schemaErrorCodes(schema.items),
+        ...Object.values(schema.properties || {}).flatMap(schemaErrorCodes)
+    ];
+}
+
+// Mount path of a router added with app.use(path, router).
+// Express 4 only keeps the compiled pattern, e.g. /^\/api\/?(?=\/|$)/i.
+function mountPath(layer) {
+    if (layer.regexp.fast_slash) return '';
+    const match = layer.regexp.source.match(/^\^((?:\\\/[\w.-]+)+)\\\/\?\(\?=\\\/\|\$\)$/);
+    return match ? match[1].replace(/\\\//g, '/') : null;
+}
+
+// Every route of the app as { method, path, handlers }, in mounting order
+function listRoutes(stack, prefix = '') {
+    return stack.flatMap(layer => {
+        if (layer.route && typeof layer.route.path === 'string') {
+            return HTTP_METHODS
+                .filter(method => layer.route.methods[method])
+                .map(method => ({
+                    method,
+                    path: prefix + layer.route.path,
+                    handlers: layer.route.stack.map(routeLayer => routeLayer.handle)
+                }));
+        }
+
+        if (layer.name === 'router' && layer.handle.stack) {
+            const path = mountPath(layer);
+            return path === null ? [] : listRoutes(layer.handle.stack, prefix + path);
+        }
+
+        return [];
+    });
+}
+
+// /api/reviews/:id -> /api/reviews/{id}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// POST /api/voice/analyze -> postVoiceAnalyze, GET /api/reviews/:id -> getReviewsById
+function operationId(method, path) {
+    const words = path.replace(/^\/api/, '').split(/[/\-_.]/).filter(Boolean).map(segment => (
+        segment.startsWith(':') ? `By${segment[1].toUpperCase()}${segment.slice(2)}` : segment
+    ));
+    return method + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+const tagFor = (path) => {
+    const segment = path.replace(/^\/api\/?/, '').split('/')[0] || 'api';
+    return segment[0].toUpperCase() + segment.slice(1);
+};
+
+function buildRequestBody(schema, { credential, credentialMap, business }) {
+    if (!schema && !credential && !credentialMap && !business) return undefined;
+
+    const body = toOpenApiSchema(schema || { type: 'object', properties: {} });
+    body.properties = body.properties || {};
+
+    if (credential) {
+        body.properties.credentialId = {
+            type: 'string',
+            description: `Stored ${credential.provider} credential (POST /api/credentials). Without one, the workspace default is used${credential.optional ? '; optional' : ''}.`
+        };
+        body.properties.apiKey = {
+            type: 'string',
+            deprecated: true,
+            description: 'Raw provider API key; register a credential and send credentialId instead'
+        };
+    }
+
+    if (credentialMap) {
+        body.properties.credentials = {
+            type: 'object',
+            description: 'Credentials for other providers: { anthropic: { credentialId }, openai: { apiKey } }',
+            additionalProperties: {
+                type: 'object',
+                properties: { credentialId: { type: 'string' }, apiKey: { type: 'string' } }
+            }
+        };
+    }
+
+    if (business) {
+        body.properties.businessId = {
+            type: 'string',
+            description: 'Business profile (POST /api/businesses) to describe to the model'
+        };
+    }
+
+    return { required: Boolean(body.required), content: { 'application/json': { schema: body } } };
+}
+
+// Group error codes by HTTP status into OpenAPI responses
+function buildErrorResponses(codes) {
+    const byStatus = {};
+    codes.forEach(code => {
+        const statuses = [].concat(ERROR_CODES[code] ? ERROR_CODES[code].status : 500);
+        statuses.forEach(status => {
+            byStatus[status] = byStatus[status] || [];
+            byStatus[status].push(code);
+        });
+    });
+
+    return Object.fromEntries(Object.entries(byStatus).map(([status, statusCodes]) => [status, {
+        description: statusCodes.map(code => `\`${code}\`${ERROR_CODES[code] ? `: ${ERROR_CODES[code].description}` : ''}`).join('\n\n'),
+        content: {
+            'application/json': {
+                schema: {
+                    allOf: [
+                        { $ref: '#/components/schemas/Error' },
+                        { type: 'object', properties: { code: { type: 'string', enum: statusCodes } } }
+                    ]
+                }
+            }
+        }
+    }]));
+}
+
+function buildOperation({ method, path, handlers }) {
+    const key = `${method.toUpperCase()} ${path}`;
+    const docs = OPERATIONS[key] || {};
+    const schema = handlers.find(handler => handler.schema)?.schema;
+    const querySchema = handlers.find(handler => handler.querySchema)?.querySchema;
+    const credential = handlers.find(handler => handler.credential)?.credential;
+    const credentialMap = handlers.includes(resolveCredentialMap);
+    const business = handlers.includes(resolveBusiness);
+    const scope = handlers.find(handler => handler.scope)?.scope;
+    const serverAdmin = handlers.includes(requireServerAdmin);
+    const userOnly = handlers.includes(requireUser);
+    const tag = docs.tag || tagFor(path);
+    // Health checks, docs, registration and sign-in need no token;
+    // System routes are not rate limited either
+    const isPublic = PUBLIC_PATHS.some(publicPath => path === publicPath || path.startsWith(`${publicPath}/`));
+    const isExempt = tag === 'System';
+
+    const parameters = [
+        ...[...path.matchAll(/:(\w+)/g)].map(([, name]) => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+        ...Object.entries(querySchema ? querySchema.properties : docs.query || {}).map(([name, parameter]) => ({
+            name,
+            in: 'query',
+            required: parameter.required || undefined,
+            description: parameter.description,
+            schema: toOpenApiSchema({ ...parameter, description: undefined })
+        })),
+        ...(isPublic || userOnly ? [] : [{ $ref: '#/components/parameters/Workspace' }])
+    ];
+
+    const successContent = docs.contentType === 'text/html'
+        ? { 'text/html': { schema: { type: 'string' } } }
+        : { 'application/json': { schema: toOpenApiSchema(docs.response || { type: 'object', properties: { success: { type: 'boolean' } } }) } };
+    if (docs.stream) {
+        successContent['text/event-stream'] = {
+            schema: {
+                type: 'string',
+                description: 'Sent when the request has `Accept: text/event-stream`: `delta` events with text chunks, ' +
+                    'then a `done` event with the JSON body, or an `error` event with the error body'
+            }
+        };
+    }
+
+    const errorCodes = new Set([
+        ...(schema || querySchema ? ['INVALID_INPUT', ...schemaErrorCodes(schema), ...schemaErrorCodes(querySchema)] : []),
+        ...(credential ? PROVIDER_ERRORS : []),
+        ...(credentialMap ? CREDENTIAL_MAP_ERRORS : []),
+        ...(business ? BUSINESS_ERRORS : []),
+        ...(isPublic ? [] : AUTH_ERRORS),
+        ...(scope ? SCOPE_ERRORS : []),
+        ...(userOnly ? USER_ERRORS : []),
+        ...(serverAdmin ? ADMIN_ERRORS : []),
+        ...(docs.errors || []),
+        ...(isExempt ? [] : GENERATION_ROUTES.includes(key) ? GENERATION_LIMIT_ERRORS : RATE_LIMIT_ERRORS)
+    ]);
+
+    return JSON.parse(JSON.stringify({
+        tags: [tag],
+        summary: docs.summary || key,
+        description: [
+            docs.description,
+            serverAdmin ? 'Requires the server admin key (`ADMIN_API_KEY`) as bearer token.' : scope ? `Requires a token with the \`${scope}\` scope.` : undefined,
+            userOnly ? 'Requires the session token of a signed-in user.' : undefined
+        ].filter(Boolean).join('\n\n') || undefined,
+        operationId: operationId(method, path),
+        parameters: parameters.length > 0 ? parameters : undefined,
+        requestBody: buildRequestBody(schema || docs.body, { credential, credentialMap, business }),
+        security: isPublic ? [] : [{ BearerToken: [] }],
+        responses: {
+            [docs.status || 200]: { description: 'Success', content: successContent },
+            ...buildErrorResponses([...errorCodes])
+        }
+    }));
+}
+
+function describeApi() {
+    const rows = Object.entries(ERROR_CODES).map(([code, { status, description }]) =>
+        `| \`${code}\` | ${[].concat(status).join(', ')} | ${description.replace(/\|/g, '\\|')} |`
+    );
+
+    return [
+        'Review generation, voice analysis, blog generation and multi-model LLM endpoints.',
+        '',
+        'Generation endpoints take a provider credential: `credentialId` (from POST /api/credentials), the deprecated `apiKey`, ' +
+            'or the default credential of the workspace named by `X-Workspace-Id`.',
+        'They also take an optional `businessId`: the business profile (POST /api/businesses) is then described to the model.',
+        'The brand voice of that business, else the workspace default voice (POST /api/brand-voices), is described to the ' +
+            'model as well, and the generated text is checked against it (`brandVoiceCheck`).',
+        `Text inputs are limited to ${MAX_TEXT_LENGTH} characters.`,
+        '',
+        'Every route except the System ones needs `Authorization: Bearer <token>`. Tokens are issued per workspace with ' +
+            'POST /api/tokens and carry scopes: `reviews:read`, `reviews:write`, `generate`, `prompts:write`, `businesses:write` ' +
+            'and `admin` (which includes the others). A token acts on its own workspace. The server admin key (`ADMIN_API_KEY`) is accepted ' +
+            'as a token with every scope and picks the workspace with `X-Workspace-Id`; use it to issue the first tokens.',
+        '',
+        'Users register with POST /api/auth/register and sign in with POST /api/auth/login, which return a session token. ' +
+            'A user acts on the workspace named by `X-Workspace-Id` (default: their first one) with the scopes of their role ' +
+            'there: `owner` (admin), `editor` (reviews, generation, prompts, business profiles, brand voices), `responder` (reviews, generation) or `viewer` ' +
+            '(read reviews). Every stored review belongs to a workspace and is only visible in it.',
+        '',
+        'Every response carries an `X-Request-Id` header: the id sent in that request header, or a generated one. ' +
+            'Quote it when reporting a problem; server logs are keyed by it.',
+        '',
+        'Errors are JSON `{ success: false, error, code, requestId }`. Streams report failures after the first event as an ' +
+            '`error` event with the same body.',
+        '',
+        'Requests are rate limited per bearer token and per workspace (shared by all its tokens and users). Generation routes have a smaller request budget than other routes plus a budget of LLM ' +
+            'tokens. Responses carry `RateLimit-Limit`, `RateLimit-Remaining` and `RateLimit-Reset` headers; over a budget the ' +
+            'response is 429 with code `TOO_MANY_REQUESTS` or `TOKEN_LIMIT_EXCEEDED` and a `tier`. GET /api/quota reports ' +
+            'the remaining allowance.',
+        '',
+        '| Code | Status | Meaning |',
+        '| --- | --- | --- |',
+        ...rows
+    ].join('\n');
+}
+
+// Build the OpenAPI document for the routes mounted on `app`
+function buildOpenApiSpec(app) {
+    const paths = {};
+    const tags = [];
+
+    listRoutes(app._router ? app._router.stack : []).forEach(route => {
+        const operation = buildOperation(route);
+        const path = toOpenApiPath(route.path);
+        paths[path] = paths[path] || {};
+        paths[path][route.method] = operation;
+        if (!tags.includes(operation.tags[0])) tags.push(operation.tags[0]);
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'ReviewGen Backend API',
+            version,
+            description: describeApi()
+        },
+        tags: tags.map(name => ({ name })),
+        paths,
+        components: {
+            schemas: { Error: ERROR_SCHEMA },
+            parameters: {
+                Workspace: {
+                    name: 'X-Workspace-Id',
+                    in: 'header',
+                    required: false,
+                    description: 'Workspace to act on: for users, one they are a member of (default: their first); for the server admin, any (default: "default"). Workspace tokens always act on their own workspace',
+                    schema: { type: 'string' }
+                }
+            },
+            securitySchemes: {
+                BearerToken: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'API token from POST /api/tokens, session token from POST /api/auth/login, or ADMIN_API_KEY for the server admin'
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApiSpec,
+    toOpenApiSchema,
+    listRoutes
+};
@@ -0,0 +1,74 @@
+const { PROVIDER_ERROR_CODES } = require('../services/providers');
+
+// HTTP status, API error code and message for each provider failure.
+// Failures not listed here (invalid_request, provider_error) are left to the
+// route's own generic 500 response.
+const PROVIDER_ERROR_RESPONSES = {
+    [PROVIDER_ERROR_CODES.AUTHENTICATION]: {
+        status: 401,
+        code: 'INVALID_API_KEY',
+        error: (provider) => `Invalid or missing ${provider} API key. Please check your API key configuration.`
+    },
+    [PROVIDER_ERROR_CODES.QUOTA]: {
+        status: 429,
+        code: 'QUOTA_EXCEEDED',
+        error: () => 'API quota exceeded. Please try again later.'
+    },
+    [PROVIDER_ERROR_CODES.RATE_LIMIT]: {
+        status: 429,
+        code: 'RATE_LIMIT_EXCEEDED',
+        error: () => 'Rate limit exceeded. Please try again later.'
+    },
+    [PROVIDER_ERROR_CODES.TIMEOUT]: {
+        status: 504,
+        code: 'UPSTREAM_TIMEOUT',
+        error: (provider) => `The ${provider} API did not respond in time. Please try again.`
+    },
+    [PROVIDER_ERROR_CODES.CIRCUIT_OPEN]: {
+        status: 503,
+        code: 'PROVIDER_UNAVAILABLE',
+        error: (provider) => `The ${provider} API is temporarily unavailable after repeated failures. Please try again later.`
+    },
+    [PROVIDER_ERROR_CODES.SERVER]: {
+        status: 502,
+        code: 'UPSTREAM_ERROR',
+        error: (provider) => `The ${provider} API returned an error. Please try again later.`
+    },
+    [PROVIDER_ERROR_CODES.NETWORK]: {
+        status: 502,
+        code: 'UPSTREAM_ERROR',
+        error: (provider) => `Could not reach the ${provider} API. Please try again later.`
+    }
+};
+
+const PROVIDER_LABELS = {
+    nvidia: 'NVIDIA',
+    openai: 'OpenAI',
+    anthropic: 'Anthropic',
+    gemini: 'Gemini',
+    custom: 'custom LLM',
+    mock: 'mock LLM'
+};
+
+// Map a provider failure to the error object services return to routes:
+// { success: false, error, code, status, retryAfter, attempts }. `attempts` is
+// set when a fallback chain was tried. Returns null when the error is not a
+// known provider failure.
+function mapProviderError(error) {
+    const response = error && PROVIDER_ERROR_RESPONSES[error.code];
+    if (!response) return null;
+
+    const provider = PROVIDER_LABELS[error.provider] || error.provider || 'LLM';
+    return {
+        success: false,
+        error: response.error(provider),
+        code: response.code,
+        status: response.status,
+        retryAfter: error.retryAfter ? Math.ceil(error.retryAfter / 1000) : null,
+        attempts: error.attempts
+    };
+}
+
+module.exports = {
+    mapProviderError
+};
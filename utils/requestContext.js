@@ -0,0 +1,20 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context (requestId, workspace, endpoint) available to code deep in the call
+// stack, such as the LLM client recording token usage, without threading it
+// through every service signature. Populated by middleware/requestContext.js.
+const storage = new AsyncLocalStorage();
+
+function runWithRequestContext(context, callback) {
+    return storage.run(context, callback);
+}
+
+// Context of the current request, or {} outside of a request
+function getRequestContext() {
+    return storage.getStore() || {};
+}
+
+module.exports = {
+    runWithRequestContext,
+    getRequestContext
+};
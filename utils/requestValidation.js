@@ -0,0 +1,170 @@
+// Declarative validation of request bodies and query strings against the
+// schemas in config/requestSchemas.js. Unlike model output
+// (utils/structuredOutput.js), client input is never coerced: a value of the
+// wrong type or out of range is an error. The one exception is the query
+// string, where every value arrives as text: there a number or boolean field
+// also accepts its text form ("20", "true"). Every failing field is reported,
+// not just the first.
+//
+// Schema nodes: { type (or a list of types), required, nullable, default, enum,
+// minLength, maxLength, maxLengthCode, sanitize, format, minimum, maximum,
+// integer, minItems, maxItems, properties, additionalProperties, minProperties,
+// items, alias, code, description }.
+// `sanitize` trims strings and removes angle brackets; `format: 'date'` requires
+// a string that parses as a date; `alias` names another body field accepted in
+// place of this one; `additionalProperties: false` rejects fields the schema
+// does not list; `code` is the error code for any failure of the field and
+// `maxLengthCode` the one for a too-long string (default INVALID_INPUT).
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    boolean: (value) => typeof value === 'boolean',
+    object: isPlainObject,
+    array: Array.isArray
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    boolean: 'a boolean',
+    object: 'an object',
+    array: 'a list'
+};
+
+const NUMERIC_TEXT = /^-?\d+(\.\d+)?$/;
+
+// Query string values are text: read "20" as 20 and "true" as true where the
+// schema expects a number or boolean
+const fromQueryText = (value, types) => {
+    if (typeof value !== 'string') return value;
+    const text = value.trim();
+    if (types.includes('number') && NUMERIC_TEXT.test(text)) return Number(text);
+    if (types.includes('boolean') && (text === 'true' || text === 'false')) return text === 'true';
+    return value;
+};
+
+const cloneDefault = (value) => (value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value);
+
+// Trim and strip characters that could smuggle markup into prompts or pages
+const sanitizeText = (text) => text.trim().replace(/[<>]/g, '');
+
+// Validate `value` against `schema`, pushing { field, message, code } entries
+// onto `errors`. Returns the value with defaults applied and strings sanitized.
+// `options.query` reads number and boolean fields from their text form.
+function validateValue(value, schema, path, label, errors, options = {}) {
+    const fail = (message, code = schema.code || 'INVALID_INPUT') => {
+        errors.push({ field: path || options.root, message: `${label || options.rootLabel} ${message}`, code });
+        return undefined;
+    };
+
+    if (value === undefined || (value === null && !schema.nullable)) {
+        if (schema.default !== undefined) return cloneDefault(schema.default);
+        if (schema.required) return fail('is required');
+        return undefined;
+    }
+
+    if (value === null) return null;
+
+    const types = [].concat(schema.type);
+    if (options.query) value = fromQueryText(value, types);
+    const type = types.find(candidate => TYPE_CHECKS[candidate](value));
+    if (!type) {
+        return fail(`must be ${types.map(candidate => TYPE_NAMES[candidate]).join(' or ')}`);
+    }
+
+    switch (type) {
+        case 'string': {
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                return fail(`must be at most ${schema.maxLength} characters`, schema.maxLengthCode);
+            }
+
+            const text = schema.sanitize ? sanitizeText(value) : value;
+            if (schema.minLength !== undefined && text.length < schema.minLength) {
+                return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.format === 'date' && Number.isNaN(new Date(text).getTime())) {
+                return fail('must be a date, e.g. 2025-01-31 or 2025-01-31T12:00:00Z');
+            }
+
+            if (schema.enum) {
+                const match = schema.enum.find(option => option.toLowerCase() === text.trim().toLowerCase());
+                if (match === undefined) return fail(`must be one of ${schema.enum.join(', ')}`);
+                return match;
+            }
+            return text;
+        }
+
+        case 'number': {
+            if (schema.integer && !Number.isInteger(value)) return fail('must be an integer');
+            if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+            return value;
+        }
+
+        case 'array': {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                return fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return fail(`must have at most ${schema.maxItems} items`);
+            }
+            if (!schema.items) return value;
+
+            return value.map((item, index) =>
+                validateValue(item, schema.items, `${path}[${index}]`, `${label}[${index}]`, errors, options)
+            );
+        }
+
+        case 'object': {
+            if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+                return fail(`must set at least ${schema.minProperties} field${schema.minProperties === 1 ? '' : 's'}`);
+            }
+            if (!schema.properties) return value;
+
+            if (schema.additionalProperties === false) {
+                Object.keys(value)
+                    .filter(key => !Object.prototype.hasOwnProperty.call(schema.properties, key))
+                    .forEach(key => {
+                        const field = path ? `${path}.${key}` : key;
+                        errors.push({ field, message: `${field} is not a field that can be set`, code: schema.code || 'INVALID_INPUT' });
+                    });
+            }
+
+            // Fields without a schema (credentials, etc.) are passed through untouched
+            const result = { ...value };
+            Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+                const field = path ? `${path}.${key}` : key;
+                const raw = value[key] === undefined && propertySchema.alias ? value[propertySchema.alias] : value[key];
+                const fieldLabel = propertySchema.alias ? `${field} (or ${propertySchema.alias})` : field;
+
+                const validated = validateValue(raw, propertySchema, field, fieldLabel, errors, options);
+                if (validated === undefined) delete result[key];
+                else result[key] = validated;
+            });
+            return result;
+        }
+
+        default:
+            return value;
+    }
+}
+
+// Validate a request body (or other input object), or with { query: true }
+// a query string. Returns { value, errors } where `value` has defaults applied
+// and `errors` lists every failing field as { field, message, code }.
+function validateRequest(data, schema, { query = false } = {}) {
+    const errors = [];
+    const options = query
+        ? { query, root: 'query', rootLabel: 'Query string' }
+        : { query, root: 'body', rootLabel: 'Request body' };
+    const value = validateValue(data, schema, '', '', errors, options);
+    return { value, errors };
+}
+
+module.exports = {
+    validateRequest,
+    sanitizeText
+};
@@ -0,0 +1,82 @@
+// Server-Sent Events helpers for streaming LLM output to clients
+
+const { toAppError, errorEnvelope } = require('./errors');
+const logger = require('./logger');
+
+// Streaming is opt-in: `Accept: text/event-stream` or `stream: true` in the body
+function wantsEventStream(req) {
+    const accept = req.headers.accept || '';
+    return req.body?.stream === true || accept.includes('text/event-stream');
+}
+
+// Write the SSE response headers
+function openEventStream(res) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+}
+
+// Write a single named event
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // The compression middleware buffers output unless explicitly flushed
+    if (typeof res.flush === 'function') {
+        res.flush();
+    }
+}
+
+// Relay an async iterator of { type, ...data } events to the client.
+// Headers are only sent once the first event arrives, so failures before
+// any output (bad key, quota) are rethrown for the route's normal JSON error
+// handling. Failures after that point are reported as an `error` event with
+// the same envelope (see utils/errors.js).
+// `onEvent` may return a replacement payload for an event (e.g. to attach
+// quality analysis to the final `done` event).
+async function streamEvents(res, events, { onEvent } = {}) {
+    let started = false;
+    let clientClosed = false;
+
+    res.on('close', () => {
+        clientClosed = true;
+    });
+
+    try {
+        for await (const event of events) {
+            if (clientClosed) break;
+
+            if (!started) {
+                openEventStream(res);
+                started = true;
+            }
+
+            const { type, ...data } = event;
+            const payload = onEvent ? (await onEvent(event)) || data : data;
+            sendEvent(res, type, payload);
+        }
+    } catch (error) {
+        if (!started) throw error;
+
+        const streamError = toAppError(error, 'Stream interrupted', 'STREAM_ERROR');
+        if (streamError.status >= 500) {
+            logger.error('Stream interrupted', { code: streamError.code, error: streamError.cause || streamError });
+        }
+        sendEvent(res, 'error', errorEnvelope(streamError, res.req && res.req.id));
+    }
+
+    if (!res.writableEnded) {
+        res.end();
+    }
+}
+
+module.exports = {
+    wantsEventStream,
+    openEventStream,
+    sendEvent,
+    streamEvents
+};
@@ -0,0 +1,273 @@
+// Structured output parsing for LLM responses that should be JSON.
+// Models often wrap JSON in code fences or prose, add comments or trailing
+// commas, or return numbers as strings; this module recovers the JSON value
+// and coerces it to a per-endpoint schema (see config/outputSchemas.js).
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Remove // and /* */ comments and trailing commas outside of strings
+function stripJSONNoise(text) {
+    let output = '';
+    let inString = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            output += char;
+            if (char === '\\') {
+                output += text[i + 1] || '';
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+            output += char;
+        } else if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+            output += '\n';
+        } else if (char === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 1;
+        } else if (char === ',' && /^\s*[}\]]/.test(text.slice(i + 1))) {
+            continue;
+        } else {
+            output += char;
+        }
+    }
+
+    return output;
+}
+
+// JSON.parse, then a second attempt with comments and trailing commas removed
+function parseLenient(text) {
+    try {
+        return { ok: true, value: JSON.parse(text) };
+    } catch (error) {
+        try {
+            return { ok: true, value: JSON.parse(stripJSONNoise(text)) };
+        } catch (lenientError) {
+            return { ok: false, error: error.message };
+        }
+    }
+}
+
+// The balanced {...} or [...] starting at `start`, respecting strings
+function balancedSlice(text, start) {
+    const stack = [];
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+            continue;
+        }
+
+        if (char === '"') inString = true;
+        else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+        else if (char === '}' || char === ']') {
+            if (stack.pop() !== char) return null;
+            if (stack.length === 0) return text.slice(start, i + 1);
+        }
+    }
+
+    return null;
+}
+
+// Find the JSON value in a model response.
+// Tries the whole text, then fenced code blocks, then each balanced {...}/[...]
+// in the surrounding prose. Returns { found, value } or { found: false, error }.
+function extractJSON(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        return { found: false, error: 'Response is empty' };
+    }
+
+    const whole = parseLenient(text.trim());
+    if (whole.ok) return { found: true, value: whole.value };
+
+    const fencePattern = /```(?:json|JSON)?\s*\n?([\s\S]*?)```/g;
+    for (const [, body] of text.matchAll(fencePattern)) {
+        const fenced = parseLenient(body.trim());
+        if (fenced.ok) return { found: true, value: fenced.value };
+    }
+
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] !== '{' && text[i] !== '[') continue;
+
+        const candidate = balancedSlice(text, i);
+        if (!candidate) continue;
+
+        const parsed = parseLenient(candidate);
+        if (parsed.ok) return { found: true, value: parsed.value };
+    }
+
+    return { found: false, error: `No valid JSON found (${whole.error})` };
+}
+
+const cloneDefault = (value) => (value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value);
+
+// Coerce `value` to `schema`, collecting errors and notes about coercions.
+// Schema nodes: { type: 'object'|'array'|'string'|'number'|'boolean', required,
+// nullable, default, enum, minimum, maximum, integer, properties, items }.
+function coerceValue(value, schema, path, report) {
+    if (value === undefined || (value === null && !schema.nullable)) {
+        if (schema.default !== undefined) {
+            if (value === null || schema.required) report.notes.push(`${path}: missing, used default`);
+            return cloneDefault(schema.default);
+        }
+        if (schema.required) report.errors.push(`${path || 'response'} is required`);
+        return undefined;
+    }
+
+    if (value === null) return null;
+
+    switch (schema.type) {
+        case 'object': {
+            if (!isPlainObject(value)) {
+                report.errors.push(`${path || 'response'} must be an object`);
+                return undefined;
+            }
+            const result = {};
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                const coerced = coerceValue(value[key], propertySchema, path ? `${path}.${key}` : key, report);
+                if (coerced !== undefined) result[key] = coerced;
+            });
+            return result;
+        }
+
+        case 'array': {
+            const items = Array.isArray(value) ? value : [value];
+            if (!Array.isArray(value)) report.notes.push(`${path}: wrapped single value in an array`);
+            if (!schema.items) return items;
+
+            // Drop items that cannot be coerced rather than failing the whole array
+            return items.reduce((result, item, index) => {
+                const itemReport = { errors: [], notes: [] };
+                const coerced = coerceValue(item, schema.items, `${path}[${index}]`, itemReport);
+                if (itemReport.errors.length > 0 || coerced === undefined) {
+                    report.notes.push(`${path}[${index}]: dropped (${itemReport.errors.join('; ') || 'empty'})`);
+                    return result;
+                }
+                report.notes.push(...itemReport.notes);
+                result.push(coerced);
+                return result;
+            }, []);
+        }
+
+        case 'string': {
+            let text = value;
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                text = String(value);
+                report.notes.push(`${path}: converted ${typeof value} to string`);
+            } else if (typeof value !== 'string') {
+                report.errors.push(`${path} must be a string`);
+                return undefined;
+            }
+
+            if (schema.enum) {
+                const match = schema.enum.find(option => option.toLowerCase() === text.trim().toLowerCase());
+                if (match === undefined) {
+                    if (schema.default !== undefined) {
+                        report.notes.push(`${path}: "${text}" is not one of ${schema.enum.join('|')}, used default`);
+                        return cloneDefault(schema.default);
+                    }
+                    report.errors.push(`${path} must be one of ${schema.enum.join('|')}`);
+                    return undefined;
+                }
+                if (match !== text) report.notes.push(`${path}: normalized "${text}" to "${match}"`);
+                return match;
+            }
+            return text;
+        }
+
+        case 'number': {
+            let number = value;
+            if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value.trim().replace(/%$/, '')))) {
+                const trimmed = value.trim();
+                number = trimmed.endsWith('%') && schema.maximum === 1
+                    ? Number(trimmed.slice(0, -1)) / 100
+                    : Number(trimmed.replace(/%$/, ''));
+                report.notes.push(`${path}: converted string to number`);
+            } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+                if (schema.default !== undefined) {
+                    report.notes.push(`${path}: not a number, used default`);
+                    return cloneDefault(schema.default);
+                }
+                report.errors.push(`${path} must be a number`);
+                return undefined;
+            }
+
+            if (schema.integer && !Number.isInteger(number)) {
+                number = Math.round(number);
+                report.notes.push(`${path}: rounded to an integer`);
+            }
+            if (schema.minimum !== undefined && number < schema.minimum) {
+                report.notes.push(`${path}: raised ${number} to minimum ${schema.minimum}`);
+                number = schema.minimum;
+            }
+            if (schema.maximum !== undefined && number > schema.maximum) {
+                report.notes.push(`${path}: lowered ${number} to maximum ${schema.maximum}`);
+                number = schema.maximum;
+            }
+            return number;
+        }
+
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const normalized = String(value).trim().toLowerCase();
+            if (['true', 'yes', '1'].includes(normalized)) {
+                report.notes.push(`${path}: converted "${value}" to true`);
+                return true;
+            }
+            if (['false', 'no', '0'].includes(normalized)) {
+                report.notes.push(`${path}: converted "${value}" to false`);
+                return false;
+            }
+            report.errors.push(`${path} must be a boolean`);
+            return undefined;
+        }
+
+        default:
+            return value;
+    }
+}
+
+// Extract and coerce a model response.
+// Returns { status, data, errors, notes } where status is
+//   'ok'      - valid JSON that matched the schema
+//   'coerced' - usable after type coercion or dropping bad items
+//   'failed'  - no JSON, or required fields missing / of the wrong type
+// Optional fields the model left out are filled from schema defaults
+// without counting as a coercion.
+function parseStructuredOutput(text, schema) {
+    const extracted = extractJSON(text);
+    if (!extracted.found) {
+        return { status: 'failed', data: null, errors: [extracted.error], notes: [] };
+    }
+
+    const report = { errors: [], notes: [] };
+    const data = coerceValue(extracted.value, { ...schema, required: true }, '', report);
+
+    if (report.errors.length > 0 || data === undefined) {
+        return { status: 'failed', data: null, errors: report.errors, notes: report.notes };
+    }
+
+    return {
+        status: report.notes.length > 0 ? 'coerced' : 'ok',
+        data,
+        errors: [],
+        notes: report.notes
+    };
+}
+
+module.exports = {
+    extractJSON,
+    parseStructuredOutput
+};